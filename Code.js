@@ -2,7 +2,8 @@
  * PROJECT: Mail → Calendar V3.01
  *
  * Цель:
- *  - ждать письмо от queue-mailer@kdmid.ru (действительно 24 часа)
+ *  - ждать письма по правилам наблюдения (WATCH_RULES), например
+ *    от queue-mailer@kdmid.ru (действительно 24 часа)
  *  - создать в Google Calendar события, чтобы сложно было пропустить уведомления
  *
  * Модель: 3 вида событий
@@ -12,11 +13,25 @@
  *     (создаётся/проверяется цепочкой, прекращается при удалении)
  *  3) FINAL — финальное событие перед дедлайном
  *
+ * Подтверждение “я обработал” (ярлык MailAlertDone, звезда, ответ в треде,
+ * выполненная Google Task) останавливает весь комплект.
+ * Задача и календарная цепочка связаны по baseId (…|TASK): выполнение задачи
+ * останавливает цепочку, остановка цепочки выполняет задачу.
+ *
+ * Правила:
+ *  - каждое правило задаёт свой Gmail-запрос/отправителя, окно, наборы
+ *    напоминаний LONG/FINAL, тихие часы и ярлык обработанных тредов
+ *  - id правила пишется в каждое событие (MAILALERT_RULE) и в лог
+ *
  * Режимы:
- *  - LIVE: берём новые письма from:sender -label:processed newer_than:2d
- *  - TEST: берём ПОСЛЕДНЕЕ реальное письмо от sender (subject/thread/link/realDate),
+ *  - LIVE: для каждого правила берём новые письма <query> -label:processed newer_than:2d
+ *  - TEST: берём ПОСЛЕДНЕЕ реальное письмо по правилу (subject/thread/link/realDate),
  *          но считаем, что оно “пришло сейчас” (receivedAt=now) — для теста “пищит ли”.
  *
+ * Настройки:
+ *  - CONFIG ниже — значения по умолчанию; при запуске их переопределяют
+ *    Script Property MAILALERT_CONFIG (JSON) и лист Config таблицы лога
+ *
  * Логи:
  *  - Executions → Logs (console.log) brief/verbose
  *  - Google Sheets лог: MailToCalendarLog / лист Log
@@ -26,21 +41,120 @@
  * CONFIG
  ***********************/
 const CONFIG = {
-  // Ожидаемый отправитель
-  EXPECTED_SENDER_EMAIL: "queue-mailer@kdmid.ru",
+  // Правила наблюдения. Поля правила:
+  //  id                     — короткий идентификатор (пишется в события и лог)
+  //  senderEmail            — отправитель (query = from:<senderEmail>)
+  //  gmailQuery             — своя Gmail-query (если задана, senderEmail не используется)
+  //  activeWindowHours      — “письмо действительно” (часов), если дедлайн не найден в письме
+  //  deadlineExtractors     — экстракторы дедлайна из текста письма (см. DEADLINE_EXTRACTORS_)
+  //  bodyTimeZone           — часовой пояс дат в письме, если в тексте он не указан
+  //  actionLinkPatterns     — RegExp-строки ссылки для действия (первое совпадение)
+  //  notifyChannels         — имена каналов из NOTIFY_CHANNELS (LONG, каждый HOURLY-сигнал, FINAL)
+  //  escalations            — эскалации, если никто не отреагировал (см. ESCALATIONS_DEFAULT)
+  //  longRemindersMinutes   — напоминания LONG
+  //  finalRemindersMinutes  — напоминания FINAL
+  //  timeZone               — IANA-пояс правила: тихие часы, округление сигналов, ID (см. TIME_ZONE)
+  //  quietHourStart/End     — тихий интервал (если не задан quietSchedule)
+  //  quietSchedule          — тихие окна по дням недели (см. QUIET_SCHEDULE)
+  //  quietShabbat           — блок Шаббата (см. QUIET_SHABBAT)
+  //  quietHolidayCalendarId — календарь праздников (см. QUIET_HOLIDAY_CALENDAR_ID)
+  //  busyCalendarIds        — календари занятости для сигналов (см. BUSY_CALENDAR_IDS)
+  //  busySignalMode         — "shift" или "double" (см. BUSY_SIGNAL_MODE)
+  //  cadenceProfile         — имя профиля частоты сигналов (см. CADENCE_PROFILES)
+  //  allDayAnchor           — true = якоря ALLDAY на дни окна (см. ALLDAY_ANCHOR_ENABLED)
+  //  processedLabel         — ярлык обработанных тредов (календарный поток)
+  //  processedTaskLabel     — ярлык обработанных тредов (поток TASKS)
+  //  latestWins             — true = новое письмо правила закрывает более старые комплекты
+  //  stalePolicy            — что делать с поздно подхваченным письмом (см. STALE_POLICY)
+  //  staleMinRemainingMinutes — порог «почти истекло» (см. STALE_MIN_REMAINING_MINUTES)
+  //  staleMinPickupLagMinutes — задержка, с которой письмо считается поздним (см. STALE_MIN_PICKUP_LAG_MINUTES)
+  //  includePatterns        — алерты только для писем с совпадением (см. CLASSIFY_INCLUDE_PATTERNS)
+  //  excludePatterns        — неважные письма: без алертов (см. CLASSIFY_EXCLUDE_PATTERNS)
+  //  cancelPatterns         — письма-отмены: закрывают прежние алерты (см. CLASSIFY_CANCEL_PATTERNS)
+  //  excludedLabel          — ярлык неважных писем
+  //  authChecks             — обязательные проверки подлинности (см. AUTH_REQUIRED_CHECKS)
+  //  authDomain             — домен для проверок (по умолчанию — домен senderEmail)
+  //  quarantineLabel        — ярлык писем, не прошедших проверку
+  //  attachmentPatterns     — какие вложения сохранять в Drive (см. ATTACHMENT_PATTERNS)
+  //  enabled                — false = правило выключено
+  // Незаданные поля берутся из общих значений CONFIG ниже.
+  WATCH_RULES: [
+    {
+      id: "kdmid",
+      senderEmail: "queue-mailer@kdmid.ru",
+      deadlineExtractors: ["kdmid", "generic"],
+      actionLinkPatterns: ["https?://[^\\s\"'<>]*kdmid\\.ru[^\\s\"'<>]*"],
+      cancelPatterns: ["запись\\s+(была\\s+)?отменена", "appointment\\s+(has\\s+been\\s+)?cancell?ed"],
+      attachmentPatterns: ["\\.pdf$"],
+    },
+  ],
+
+  // Правило для TEST-режима (пусто = первое включённое правило)
+  TEST_RULE_ID: "",
+
+  // Правило, заменившее EXPECTED_SENDER_EMAIL: его baseId — без "|R<id>", как до правил,
+  // чтобы комплекты, события и задачи прежней версии находились после обновления.
+  // Цепочка без ruleId (прежняя версия) тоже относится к нему.
+  LEGACY_RULE_ID: "kdmid",
+
+  // IANA-пояс правил по умолчанию ("Asia/Jerusalem"; пусто = timezone скрипта).
+  // В нём считаются тихие часы, округление сигналов до часа и время в ID событий.
+  TIME_ZONE: "",
 
   // Твой ящик (для описания/логов)
   YOUR_INBOX_EMAIL: "misterx1970@gmail.com",
 
-  // Для LIVE: помечаем обработанные треды ярлыком
+  // Для LIVE: помечаем обработанные треды ярлыком (по умолчанию для правил)
   PROCESSED_LABEL_NAME: "MailAlertProcessed",
 
   // Для отдельного потока TASKS: не конфликтует с календарным ярлыком
   PROCESSED_TASK_LABEL_NAME: "MailAlertTaskProcessed",
 
-  // “Письмо действительно” (часов)
+  // Классификация писем (RegExp-строки без учёта регистра; по умолчанию — тема и текст,
+  // префикс "subject:" или "body:" ограничивает поле). Порядок: отмена, исключение, включение.
+  //  CANCEL  — письмо об отмене: прежние комплекты правила (цепочка, LONG, задача) закрываются
+  //  EXCLUDE — неважное письмо: ярлык EXCLUDED_LABEL_NAME, строка MAIL_EXCLUDED, без алертов
+  //  INCLUDE — если список не пуст, алерты только для писем с совпадением (остальные — как EXCLUDE)
+  CLASSIFY_CANCEL_PATTERNS: [],
+  CLASSIFY_EXCLUDE_PATTERNS: [],
+  CLASSIFY_INCLUDE_PATTERNS: [],
+  EXCLUDED_LABEL_NAME: "MailAlertIgnored",
+
+  // Подлинность отправителя: верхний заголовок Authentication-Results в исходнике письма
+  // (его добавляет Gmail, authserv-id = AUTH_SERV_ID). Каждая проверка из AUTH_REQUIRED_CHECKS
+  // ("dkim", "spf", "dmarc") должна быть pass для домена правила или его поддомена; [] = не проверять.
+  // По умолчанию только DMARC: DKIM/SPF письма через ESP (рассыльщик, bounce-домен)
+  // проходят для чужого домена, а DMARC проверяет именно домен From.
+  // Не прошло — ярлык QUARANTINE_LABEL_NAME, строка ERR_AUTH, алертов нет;
+  // AUTH_WARNING_EVENT = true — вместо комплекта одно тихое событие-предупреждение.
+  AUTH_REQUIRED_CHECKS: ["dmarc"],
+  AUTH_SERV_ID: "mx.google.com",
+  QUARANTINE_LABEL_NAME: "MailAlertQuarantine",
+  AUTH_WARNING_EVENT: true,
+
+  // Вложения → Drive: ATTACHMENTS_FOLDER_NAME/<id правила>/"<baseId> <имя файла>".
+  // ATTACHMENT_PATTERNS — RegExp-строки по имени файла (без учёта регистра); [] = не сохранять.
+  // Ссылки попадают в описания LONG/HOURLY/FINAL и в заметки задачи; повторный запуск
+  // берёт уже сохранённый файл с тем же именем.
+  ATTACHMENT_PATTERNS: [],
+  ATTACHMENTS_FOLDER_NAME: "MailAlertAttachments",
+  ATTACHMENT_MAX_BYTES: 10 * 1024 * 1024,
+
+  // “Письмо действительно” (часов) — запасной вариант, если дедлайн не найден в письме
   ACTIVE_WINDOW_HOURS: 24,
 
+  // Дедлайн из текста письма: экстракторы по порядку (пусто = всегда ACTIVE_WINDOW_HOURS)
+  DEADLINE_EXTRACTORS: ["generic"],
+  // Часовой пояс дат в письме, если в тексте он не указан (пусто = timezone скрипта)
+  BODY_TIME_ZONE: "",
+  // Дедлайн из письма принимаем, только если он в (receivedAt; receivedAt + N дней]
+  BODY_DEADLINE_MAX_DAYS: 14,
+
+  // Ссылка для действия: RegExp-строки по умолчанию (пусто = первая “обычная” ссылка письма)
+  ACTION_LINK_PATTERNS: [],
+  // Ссылки, которые никогда не считаются ссылкой для действия
+  ACTION_LINK_IGNORE_PATTERNS: ["unsubscribe", "mail\\.google\\.com", "\\.(png|jpe?g|gif)(\\?|$)"],
+
   // LONG: старт now + 10 минут
   EVENT1_START_PLUS_MINUTES: 10,
 
@@ -53,17 +167,120 @@ const CONFIG = {
   // HOURLY-CHAIN: максимум сигналов в одном событии
   HOURLY_BLOCK_MAX_SIGNALS: 5,
 
+  // HOURLY-CHAIN: точные одноразовые триггеры .at() на смену блока/FINAL
+  // (почасовой триггер остаётся страховкой). Лимит Apps Script — 20 триггеров
+  // на скрипт, поэтому ставим не больше PRECISE_TRIGGERS_MAX ближайших.
+  PRECISE_TRIGGERS_ENABLED: true,
+  PRECISE_TRIGGERS_MAX: 10,
+
   // FINAL: напоминания в минутах до старта
   FINAL_REMINDERS_MINUTES: [40, 30, 20, 10, 0],
 
-  // Тихий интервал (по Израилю — timezone скрипта/аккаунта)
+  // Профили частоты HOURLY-сигналов: name -> { phases, finalRemindersMinutes? }.
+  // Фаза { everyMinutes: N } действует с начала цепочки, { lastMinutes: M, everyMinutes: N } —
+  // когда до дедлайна осталось M минут и меньше (M строго убывает от фазы к фазе).
+  // Сигналы фазы стоят на сетке шага по часам пояса правила (каждые 30 мин = :00 и :30)
+  // и заканчиваются там, где начинаются напоминания FINAL. finalRemindersMinutes профиля
+  // заменяет FINAL_REMINDERS_MINUTES (у правила своё поле главнее).
+  CADENCE_PROFILES: {
+    escalating: {
+      phases: [
+        { everyMinutes: 120 },                  // раз в 2 часа…
+        { lastMinutes: 360, everyMinutes: 30 }, // …последние 6 часов — каждые 30 минут…
+        { lastMinutes: 60, everyMinutes: 10 }   // …последний час — каждые 10 минут
+      ]
+    }
+  },
+  // Профиль по умолчанию ("" = ровный шаг HOURLY_INTERVAL_HOURS до expiresAt - 1 ч)
+  CADENCE_PROFILE: "",
+
+  // Тихий интервал (в поясе правила, см. TIME_ZONE), одинаковый каждый день.
+  // Используется, если не задан QUIET_SCHEDULE.
   QUIET_HOUR_START: 23, // 23:00
   QUIET_HOUR_END: 7,    // 07:00
-  QUIET_SET_TO_HOUR: 7, // старт tail ставим на 07:00
+
+  // Тихий график по дням недели: ключ "0".."6" (0 = вс, 5 = пт, 6 = сб) или "*"
+  // (дни без своего списка), значение — окна "HH:MM-HH:MM". Окно через полночь
+  // ("23:00-07:00") относится к дню, в который начинается. null = QUIET_HOUR_START/END.
+  //  { "*": ["23:00-07:00", "14:00-15:00"], "5": ["22:00-08:00"] }
+  QUIET_SCHEDULE: null,
+
+  // Шаббат: всё тихо с пятницы start до субботы end
+  QUIET_SHABBAT: { enabled: false, start: "16:00", end: "20:00" },
+
+  // Календарь праздников: дни с событиями «весь день» тихие целиком (пусто = выкл.),
+  // например "en.jewish#holiday@group.v.calendar.google.com".
+  // QUIET_HOLIDAY_TITLE_PATTERN — RegExp-строка названий, которые считаются праздником (пусто = любые).
+  QUIET_HOLIDAY_CALENDAR_ID: "",
+  QUIET_HOLIDAY_TITLE_PATTERN: "",
+
+  // Занятость: HOURLY-сигнал, попавший на встречу в одном из этих календарей ("default" =
+  // календарь по умолчанию), переносится или дублируется ([] = не учитывать).
+  // События «весь день», отклонённые встречи и наши собственные события не считаются.
+  //  "shift"  — сигнал переезжает на ближайшую свободную минуту (до встречи или сразу после)
+  //  "double" — сигнал остаётся, и ещё один звучит сразу после встречи
+  // Сигналы не уходят в тихие часы и не переходят expiresAt.
+  BUSY_CALENDAR_IDS: [],
+  BUSY_SIGNAL_MODE: "shift",
+
+  // ALLDAY: якорь «весь день» на каждый день окна (от создания комплекта до дедлайна) —
+  // с дедлайном и ссылкой для действия, без напоминаний. Удаляется при подтверждении и отмене.
+  ALLDAY_ANCHOR_ENABLED: false,
+
+  // Отдельный календарь для всех событий (создаётся, если его нет; пусто = календарь по умолчанию)
+  ALERT_CALENDAR_NAME: "Mail Alerts",
+
+  // Цвета событий по видам: имя CalendarApp.EventColor или номер "1".."11" (пусто = цвет календаря)
+  EVENT_COLORS: {
+    LONG: "ORANGE",
+    HOURLY: "YELLOW",
+    FINAL: "RED",
+    STALE: "GRAY",
+    AUTH: "GRAY",
+    ALLDAY: "PALE_BLUE",
+  },
+
+  // Каналы уведомлений помимо popup календаря. name -> настройки:
+  //  { type: "email", to: "a@b.c" }
+  //  { type: "webhook", url: "https://..." | urlProperty: "<ScriptProperty>" }  — POST JSON
+  //  { type: "telegram", chatId: "123", tokenProperty: "TELEGRAM_BOT_TOKEN", apiBaseUrl: "https://api.telegram.org" }
+  //  { type: "ntfy", topic: "my-alerts", serverUrl: "https://ntfy.sh", tokenProperty: "" }
+  // Секреты — только в Script Properties (tokenProperty/urlProperty), не в коде.
+  // apiBaseUrl/serverUrl можно направить на локальную заглушку для проверки.
+  NOTIFY_CHANNELS: {
+    email: { type: "email", to: "misterx1970@gmail.com" },
+  },
+  // Каналы по умолчанию для правил без notifyChannels
+  NOTIFY_CHANNELS_DEFAULT: [],
+  // Каналы для TEST-комплектов вместо каналов правила ([] = TEST ничего не отправляет)
+  TEST_NOTIFY_CHANNELS: [],
+  // HOURLY-сигнал, обнаруженный позже чем через N минут (сбой триггера), не отправляем
+  NOTIFY_MAX_LATE_MINUTES: 30,
+
+  // Эскалации по умолчанию для правил. Срабатывают, пока комплект активен
+  // (цепочка жива, подтверждения нет). Элемент:
+  //  { id: "partner",
+  //    hoursBeforeDeadline: 3,        // когда: за N часов до дедлайна…
+  //    onFinal: false,                // …или в момент срабатывания FINAL
+  //    addGuestsToFinal: ["p@x.y"],   // гости события FINAL
+  //    emailTo: ["p@x.y"],            // письмо со ссылкой на тред
+  //    notifyChannels: [] }           // каналы из NOTIFY_CHANNELS
+  ESCALATIONS_DEFAULT: [],
 
   // Sheets лог
   LOG_SPREADSHEET_NAME: "MailToCalendarLog",
   LOG_SHEET_NAME: "Log",
+  // Лист для previewPlan (перезаписывается при каждом запуске)
+  PLAN_SHEET_NAME: "Plan",
+
+  // Настройки без правки кода: лист Config (Key | Value) в таблице лога
+  // и Script Property с JSON-объектом. Лист важнее свойства, оба — важнее CONFIG.
+  CONFIG_SHEET_NAME: "Config",
+  CONFIG_PROPERTY_NAME: "MAILALERT_CONFIG",
+
+  // Удаление TEST: карта alertId -> eventId + запасной скан календаря на ±N дней
+  // (ловит события без записи в карте, например созданные до её появления)
+  TEST_CLEANUP_SCAN_DAYS: 30,
 
   // Встроенный лог
   SCRIPT_LOG_LEVEL: "verbose", // "brief" | "verbose"
@@ -71,15 +288,37 @@ const CONFIG = {
   // Режим работы
   TEST_MODE: false,
 
+  // Эскалации TEST-комплектов (гости FINAL, письма, каналы): только с явным true,
+  // чтобы тестовый запуск не звал запасных людей
+  TEST_ESCALATIONS_ENABLED: false,
+
   // В тесте: искать последнее письмо за N дней
   TEST_LOOKBACK_DAYS: 60,
 
   // В LIVE: период поиска новых писем
   LIVE_NEWER_THAN_DAYS: 2,
 
-  // Google Tasks
+  // Письмо подхвачено поздно (после простоя триггеров): до дедлайна меньше
+  // STALE_MIN_REMAINING_MINUTES (но не меньше EVENT1_START_PLUS_MINUTES + 60) или он уже прошёл.
+  //  "skip"     — ничего не создаём, только строка STALE_SKIPPED в логе
+  //  "notice"   — одно событие «⌛ Срок истёк/почти истёк» сейчас + каналы уведомлений
+  //  "compress" — LONG с сейчас и сигналы, сжатые в оставшееся время (если срок уже прошёл — как notice)
+  STALE_POLICY: "notice",
+  STALE_MIN_REMAINING_MINUTES: 90,
+  // Поздним считается письмо, подхваченное через столько минут после получения и позже.
+  // Короткий срок у свежего письма (срок в тексте) — не простой: план сжимается (как "compress").
+  STALE_MIN_PICKUP_LAG_MINUTES: 30,
+
+  // “Я обработал”: любой включённый источник останавливает весь комплект
+  // (цепочка, текущий блок, FINAL; LONG укорачивается и помечается)
+  ACK_LABEL_NAME: "MailAlertDone",
+  ACK_ON_LABEL: true,          // ярлык ACK_LABEL_NAME на треде
+  ACK_ON_STAR: true,           // звёздочка на треде
+  ACK_ON_REPLY: true,          // мой ответ в треде после receivedAt
+  ACK_ON_TASK_COMPLETED: true, // связанная Google Task выполнена
+
+  // Google Tasks (срок задачи = expiresAt письма, как у календарных событий)
   TASKS_TASKLIST_ID: "@default",
-  TASKS_DUE_DAYS_AHEAD: 1,
 };
 
 /***********************
@@ -87,6 +326,7 @@ const CONFIG = {
  ***********************/
 function checkMailAndCreateTwoEvents() {
   const runId = newRunId_();
+  loadRuntimeConfig_(runId);
   const lock = LockService.getScriptLock();
   const lockAcquired = lock.tryLock(5000);
 
@@ -96,9 +336,11 @@ function checkMailAndCreateTwoEvents() {
     return;
   }
 
+  const rules = getWatchRules_();
+
   slogInfo_(runId, "START", "Запуск", {
     testMode: CONFIG.TEST_MODE,
-    expectedSender: CONFIG.EXPECTED_SENDER_EMAIL,
+    rules: rules.map(r => r.id),
     inbox: CONFIG.YOUR_INBOX_EMAIL,
     tz: Session.getScriptTimeZone(),
     logLevel: CONFIG.SCRIPT_LOG_LEVEL,
@@ -107,103 +349,604 @@ function checkMailAndCreateTwoEvents() {
   try {
     if (CONFIG.TEST_MODE) {
       // TEST: берём последнее реальное письмо для контекста, но receivedAt = NOW
-      const latest = findLatestMailFromSender_(runId, CONFIG.EXPECTED_SENDER_EMAIL, CONFIG.TEST_LOOKBACK_DAYS);
-      const now = new Date();
-
-      const mail = {
-        mode: "TEST",
-        receivedAt: now, // ВАЖНО: тест всегда "как будто сейчас"
-        subject: latest ? latest.subject : "TEST: не найдено писем — симуляция",
-        threadId: latest ? latest.threadId : "TEST_THREAD_NOW",
-        gmailLink: latest ? latest.gmailLink : "https://mail.google.com/mail/u/0/#inbox",
-        meta: {
-          test_used_latest_real_mail: Boolean(latest),
-          realMailReceivedAt: latest ? latest.realReceivedAt.toString() : "",
-          realMailMessageId: latest ? latest.messageId : "",
-          lookbackDays: CONFIG.TEST_LOOKBACK_DAYS,
-          note: "TEST: контекст реального письма, но receivedAt=NOW",
-          gmailMessageLink: latest ? latest.gmailMessageLink : ""
-        }
-      };
+      const rule = getTestRule_(rules);
+      const mail = buildTestMail_(runId, rule, "TEST: контекст реального письма, но receivedAt=NOW");
 
       slogInfo_(runId, "TEST_MODE", "TEST: используем контекст последнего письма, но receivedAt=NOW", {
-        now: now.toString(),
-        usedLatest: Boolean(latest),
+        rule: rule.id,
+        now: mail.receivedAt.toString(),
+        usedLatest: mail.meta.test_used_latest_real_mail,
         subject: mail.subject,
         threadId: mail.threadId,
         realMailReceivedAt: mail.meta.realMailReceivedAt
       });
 
-      createTwoEventsForMail_(runId, mail);
-      slogOk_(runId, "DONE_TEST", "Тест завершён", {});
+      createTwoEventsForMail_(runId, mail, rule);
+      slogOk_(runId, "DONE_TEST", "Тест завершён", { rule: rule.id });
       return;
     }
 
-    // LIVE
-    const label = getOrCreateGmailLabel_(CONFIG.PROCESSED_LABEL_NAME);
+    // LIVE: каждое правило обрабатывается своим запросом и своим ярлыком.
+    // Момент включения учёта по Message-ID фиксируется до разбора писем первого прогона
+    getMessageTrackingSince_();
+    let processedThreads = 0;
+    const byRule = {};
+
+    for (let r = 0; r < rules.length; r++) {
+      const rule = rules[r];
+      const count = processRuleLive_(runId, rule);
+      byRule[rule.id] = count;
+      processedThreads += count;
+    }
 
-    const query =
-      "from:" + CONFIG.EXPECTED_SENDER_EMAIL +
-      " newer_than:" + CONFIG.LIVE_NEWER_THAN_DAYS + "d" +
-      " -label:" + CONFIG.PROCESSED_LABEL_NAME;
+    const acknowledged = processAcknowledgements_(runId);
+    pruneThreadMessageState_(new Date());
 
-    slogInfo_(runId, "GMAIL_QUERY", "LIVE: поиск в Gmail", { query });
+    slogOk_(runId, "DONE_LIVE", "LIVE завершён", { processedThreads, byRule, acknowledged });
+    sheetLog_(runId, "LIVE", "DONE", "Live завершён", { processedThreads, byRule, acknowledged });
 
-    const threads = GmailApp.search(query);
-    slogInfo_(runId, "GMAIL_RESULT", "LIVE: найдено тредов", { threadsFound: threads.length });
+  } catch (err) {
+    const payload = { error: String(err), stack: err && err.stack ? String(err.stack) : "" };
+    slogErr_(runId, "FATAL", "Фатальная ошибка", payload);
+    sheetLog_(runId, CONFIG.TEST_MODE ? "TEST" : "LIVE", "ERR_FATAL", "Фатальная ошибка", payload);
+    throw err;
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-    if (!threads || threads.length === 0) {
-      slogOk_(runId, "NO_MAIL", "LIVE: писем не найдено", {});
-      sheetLog_(runId, "LIVE", "NO_MAIL", "Писем не найдено (проверка выполнена)", {});
-      return;
-    }
+function processRuleLive_(runId, rule) {
+  const label = getOrCreateGmailLabel_(rule.processedLabel);
 
-    let processedThreads = 0;
+  // Без -label: в уже обработанный тред может прийти новое письмо.
+  // Что уже видели, решает MAILALERT_MSG:<threadId> (Message-ID последнего письма)
+  const query =
+    buildRuleSearchQuery_(rule) +
+    " newer_than:" + CONFIG.LIVE_NEWER_THAN_DAYS + "d";
 
-    for (let i = 0; i < threads.length; i++) {
-      const thread = threads[i];
-      const threadId = thread.getId();
+  slogInfo_(runId, "GMAIL_QUERY", "LIVE: поиск в Gmail", { rule: rule.id, query });
 
-      const messages = thread.getMessages();
-      const message = messages[messages.length - 1];
+  const threads = GmailApp.search(query);
+  slogInfo_(runId, "GMAIL_RESULT", "LIVE: найдено тредов", { rule: rule.id, threadsFound: threads.length });
 
-      const receivedAt = message.getDate();
-      const subject = message.getSubject();
-      const gmailLink = buildGmailThreadLink_(threadId);
+  if (!threads || threads.length === 0) {
+    slogOk_(runId, "NO_MAIL", "LIVE: писем не найдено", { rule: rule.id });
+    sheetLog_(runId, "LIVE", "NO_MAIL", "Писем не найдено (проверка выполнена)", { rule: rule.id });
+    return 0;
+  }
 
-      slogBrief_(runId, "THREAD", `threadId=${threadId} receivedAt=${receivedAt.toISOString()} subj="${truncate_(subject, 60)}"`);
+  let processedThreads = 0;
 
-      const mail = {
-        mode: "LIVE",
-        receivedAt,
-        subject,
-        threadId,
-        gmailLink,
-        meta: { gmailMessageLink: buildGmailMessageLink_(message) }
-      };
+  for (let i = 0; i < threads.length; i++) {
+    const thread = threads[i];
+    const message = findLatestIncomingMessage_(thread);
+    if (!message) continue;
+
+    const threadId = thread.getId();
+    const messageKey = getMessageKey_(message);
+    const seen = readThreadMessageState_(threadId);
 
-      createTwoEventsForMail_(runId, mail);
+    if (seen && seen.messageKey === messageKey) continue;
 
-      thread.addLabel(label);
-      slogVerbose_(runId, "THREAD_LABELED", "LIVE: тред помечен PROCESSED", {
+    if (!seen && threadHasLabel_(thread, rule.processedLabel) && isMessageBeforeTracking_(message)) {
+      // Миграция: письмо пришло до появления учёта по Message-ID (или его запись уже удалена
+      // по возрасту) — считаем его обработанным. Ярлык сам по себе «виденным» не считается:
+      // новое письмо в давно обработанном треде идёт дальше как обычное.
+      saveThreadMessageState_(threadId, { ruleId: rule.id, messageKey, receivedAt: message.getDate().toISOString(), migrated: true });
+      slogVerbose_(runId, "THREAD_MIGRATED", "LIVE: тред с ярлыком взят на учёт без алертов", {
+        rule: rule.id,
         threadId,
-        label: CONFIG.PROCESSED_LABEL_NAME
+        messageKey
       });
+      continue;
+    }
+
+    const mail = buildLiveMail_(thread, message);
+
+    slogBrief_(runId, "THREAD", `rule=${rule.id} threadId=${mail.threadId} receivedAt=${mail.receivedAt.toISOString()} subj="${truncate_(mail.subject, 60)}"`);
 
-      processedThreads++;
+    // Поддельное письмо — в карантин до любых действий с комплектами
+    const auth = verifySenderAuth_(message, rule);
+    if (!auth.ok) {
+      saveThreadMessageState_(threadId, { ruleId: rule.id, messageKey, receivedAt: mail.receivedAt.toISOString(), category: "quarantine" });
+      quarantineMail_(runId, rule, thread, mail, auth);
+      continue;
     }
 
-    slogOk_(runId, "DONE_LIVE", "LIVE завершён", { processedThreads });
-    sheetLog_(runId, "LIVE", "DONE", "Live завершён", { processedThreads });
+    // Неважное письмо не трогает комплект треда; отмена закрывает все прежние комплекты правила
+    const verdict = classifyMail_(mail, rule);
+    saveThreadMessageState_(threadId, { ruleId: rule.id, messageKey, receivedAt: mail.receivedAt.toISOString(), category: verdict.category });
 
-  } catch (err) {
-    const payload = { error: String(err), stack: err && err.stack ? String(err.stack) : "" };
-    slogErr_(runId, "FATAL", "Фатальная ошибка", payload);
-    sheetLog_(runId, CONFIG.TEST_MODE ? "TEST" : "LIVE", "ERR_FATAL", "Фатальная ошибка", payload);
-    throw err;
-  } finally {
-    lock.releaseLock();
+    if (verdict.category === "exclude") {
+      excludeMail_(runId, rule, thread, mail, verdict);
+      continue;
+    }
+
+    if (verdict.category === "cancel") {
+      cancelRuleAlerts_(runId, rule, mail, verdict);
+    } else {
+      if (seen) restartThreadAlerts_(runId, rule, threadId, seen, messageKey);
+
+      const newer = rule.latestWins ? findNewerRuleAlert_(rule, mail) : null;
+      if (newer) {
+        const payload = { rule: rule.id, threadId, receivedAt: mail.receivedAt.toISOString(), newerBaseId: newer.baseId, skipped: true };
+        slogOk_(runId, "SUPERSEDED", "latestWins: письмо старше активного комплекта, алерты не создаём", payload);
+        sheetLog_(runId, "LIVE", "SUPERSEDED", "Письмо старше активного комплекта правила — пропущено", payload);
+      } else {
+        createTwoEventsForMail_(runId, mail, rule);
+        if (rule.latestWins) supersedeOlderRuleAlerts_(runId, rule, mail);
+      }
+    }
+
+    thread.addLabel(label);
+    slogVerbose_(runId, "THREAD_LABELED", "LIVE: тред помечен PROCESSED", {
+      rule: rule.id,
+      threadId: mail.threadId,
+      label: rule.processedLabel,
+      messageKey
+    });
+
+    processedThreads++;
+  }
+
+  return processedThreads;
+}
+
+/***********************
+ * MESSAGE TRACKING
+ ***********************/
+const THREAD_MSG_PREFIX_ = "MAILALERT_MSG:";
+const THREAD_MSG_SINCE_PROP_ = "MAILALERT_MSG_TRACKING_SINCE";
+
+// Момент включения учёта по Message-ID: ставится первым LIVE-прогоном этой версии
+function getMessageTrackingSince_() {
+  const props = PropertiesService.getScriptProperties();
+  const raw = props.getProperty(THREAD_MSG_SINCE_PROP_);
+  if (raw) return new Date(raw);
+  const now = new Date();
+  props.setProperty(THREAD_MSG_SINCE_PROP_, now.toISOString());
+  return now;
+}
+
+// Письмо старше учёта: пришло до его включения или раньше срока хранения записей
+// (pruneThreadMessageState_), то есть его запись могла быть удалена
+function isMessageBeforeTracking_(message) {
+  const at = message.getDate().getTime();
+  if (at < getMessageTrackingSince_().getTime()) return true;
+  return at < addHours_(new Date(), -24 * (Number(CONFIG.LIVE_NEWER_THAN_DAYS) + 1)).getTime();
+}
+
+// Последнее письмо треда не от меня: мой ответ — это подтверждение, а не новое письмо
+function findLatestIncomingMessage_(thread) {
+  const mine = getMyEmails_();
+  const messages = thread.getMessages();
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const from = String(messages[i].getFrom() || "").toLowerCase();
+    let isMine = false;
+    for (let j = 0; j < mine.length; j++) {
+      if (from.indexOf(mine[j]) !== -1) { isMine = true; break; }
+    }
+    if (!isMine) return messages[i];
+  }
+  return null;
+}
+
+// Message-ID, а если заголовка нет — id письма в Gmail
+function getMessageKey_(message) {
+  try {
+    const header = message.getHeader("Message-ID");
+    if (header) return String(header).replace(/[<>\s]/g, "");
+  } catch (e) {}
+  return "gmail:" + message.getId();
+}
+
+function readThreadMessageState_(threadId) {
+  const raw = PropertiesService.getScriptProperties().getProperty(THREAD_MSG_PREFIX_ + threadId);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch (e) { return null; }
+}
+
+function saveThreadMessageState_(threadId, entry) {
+  PropertiesService.getScriptProperties().setProperty(THREAD_MSG_PREFIX_ + threadId, JSON.stringify(entry));
+}
+
+// Новое письмо в известном треде: старые цепочки этого правила закрываем (текущий блок,
+// отложенный и FINAL удаляются, LONG помечается), затем создаётся свежий комплект
+function restartThreadAlerts_(runId, rule, threadId, seen, messageKey) {
+  const states = listHourlyChainStates_();
+  let closed = 0;
+  for (let i = 0; i < states.length; i++) {
+    const st = states[i];
+    if (st.threadId !== threadId || chainRuleId_(st) !== rule.id) continue;
+    closeAlertSet_(runId, st, {
+      status: "RESTARTED",
+      message: "Новое письмо в треде: прежний комплект закрыт",
+      mark: "🔁 Новое письмо",
+      via: "new_message",
+      detail: messageKey
+    });
+    closed++;
+  }
+
+  slogInfo_(runId, "THREAD_NEW_MESSAGE", "LIVE: новое письмо в обработанном треде", {
+    rule: rule.id,
+    threadId,
+    previous: seen.messageKey,
+    messageKey,
+    closedChains: closed
+  });
+  return closed;
+}
+
+// Учёт держим, пока тред может попасть в окно поиска LIVE (+1 день запаса)
+function pruneThreadMessageState_(now) {
+  const props = PropertiesService.getScriptProperties();
+  const all = props.getProperties();
+  const cutoff = addHours_(now, -24 * (Number(CONFIG.LIVE_NEWER_THAN_DAYS) + 1)).getTime();
+  const keys = Object.keys(all).filter(k => k.indexOf(THREAD_MSG_PREFIX_) === 0);
+
+  for (let i = 0; i < keys.length; i++) {
+    let entry = null;
+    try { entry = JSON.parse(all[keys[i]]); } catch (e) { entry = null; }
+    if (!entry || !entry.receivedAt || new Date(entry.receivedAt).getTime() < cutoff) {
+      props.deleteProperty(keys[i]);
+    }
+  }
+}
+
+/***********************
+ * LATEST WINS
+ ***********************/
+
+// Активные LIVE-комплекты правила: цепочки из состояния и LONG без цепочки (из карты событий).
+// minuteKey — минута receivedAt из baseId (в поясе правила), сравнивается как строка.
+function listActiveRuleAlerts_(rule, now) {
+  const out = [];
+  const seen = {};
+  const states = listHourlyChainStates_();
+  for (let i = 0; i < states.length; i++) {
+    const st = states[i];
+    if ((st.mode || "LIVE") !== "LIVE" || chainRuleId_(st) !== rule.id) continue;
+    out.push({ baseId: st.baseId, threadId: st.threadId || "", minuteKey: String(st.baseId).split("|")[1] || "", state: st });
+    seen[st.baseId] = true;
+  }
+
+  const all = PropertiesService.getScriptProperties().getProperties();
+  const re = new RegExp("^(LIVE\\|(\\d{12})\\|T([^|]*)" + escapeRegExp_(ruleIdSuffix_(rule.id)) + ")\\|LONG$");
+  const ids = listMappedAlertIds_(all, "LIVE|");
+  for (let i = 0; i < ids.length; i++) {
+    const m = ids[i].match(re);
+    if (!m || seen[m[1]]) continue;
+    let entry = null;
+    try { entry = JSON.parse(all[EVENT_MAP_PREFIX_ + ids[i]]); } catch (e) { entry = null; }
+    if (!entry || !entry.until || new Date(entry.until).getTime() <= now.getTime()) continue;
+    out.push({ baseId: m[1], tid8: m[3], minuteKey: m[2], state: null });
+  }
+  return out;
+}
+
+function isSameThreadAlert_(alert, threadId) {
+  const tid8 = String(threadId || "NO_THREAD").slice(-8);
+  return alert.state ? alert.threadId === threadId : alert.tid8 === tid8;
+}
+
+// Более новый активный комплект правила из другого треда (письма пришли не по порядку)
+function findNewerRuleAlert_(rule, mail) {
+  const key = formatYYYYMMDDHHMM_(mail.receivedAt, rule.timeZone);
+  const alerts = listActiveRuleAlerts_(rule, new Date());
+  for (let i = 0; i < alerts.length; i++) {
+    if (isSameThreadAlert_(alerts[i], mail.threadId)) continue;
+    if (alerts[i].minuteKey > key) return alerts[i];
+  }
+  return null;
+}
+
+// Закрывает более старые комплекты правила: цепочка — через closeAlertSet_,
+// LONG без цепочки — помечается и замолкает
+function supersedeOlderRuleAlerts_(runId, rule, mail) {
+  const now = new Date();
+  const key = formatYYYYMMDDHHMM_(mail.receivedAt, rule.timeZone);
+  const alerts = listActiveRuleAlerts_(rule, now);
+  const reason = {
+    status: "SUPERSEDED",
+    message: "latestWins: комплект заменён более новым письмом",
+    mark: "⏭ Заменено новым письмом",
+    via: "latest_wins",
+    detail: truncate_(mail.subject || "", 60) + " " + formatDateTime_(mail.receivedAt)
+  };
+  let closed = 0;
+
+  for (let i = 0; i < alerts.length; i++) {
+    const a = alerts[i];
+    if (isSameThreadAlert_(a, mail.threadId) || a.minuteKey > key) continue;
+    if (closeRuleAlert_(runId, rule, a, reason, now)) closed++;
+  }
+
+  return closed;
+}
+
+// Один комплект из listActiveRuleAlerts_: цепочка — через closeAlertSet_;
+// LONG без цепочки помечается и замолкает, связанная задача выполняется
+function closeRuleAlert_(runId, rule, alert, reason, now) {
+  if (alert.state) {
+    closeAlertSet_(runId, alert.state, reason);
+    return true;
+  }
+
+  const longId = alert.baseId + "|LONG";
+  const ev = getMappedAlertEvent_(getAlertCalendar_(), longId);
+  if (!ev || ev.getEndTime().getTime() <= now.getTime()) return false;
+
+  const deletedEvents = removeAllDayAnchors_(getAlertCalendar_(), alert.baseId, [], addHours_(ev.getStartTime(), -48), addHours_(ev.getEndTime(), 48));
+  annotateLongEvent_(ev, reason.mark, now, reason.detail ? reason.via + " " + reason.detail : reason.via);
+  const taskCompleted = completeLinkedTask_(runId, { baseId: alert.baseId, ruleId: rule.id });
+  const payload = { rule: rule.id, baseId: alert.baseId, longId, via: reason.via, detail: reason.detail || "", deletedEvents, taskCompleted };
+  slogOk_(runId, reason.status, reason.message, payload);
+  sheetLog_(runId, "LIVE", reason.status, reason.message, payload);
+  return true;
+}
+
+/***********************
+ * MAIL CLASSIFICATION
+ ***********************/
+
+// "subject:..." / "body:..." — только это поле; без префикса — тема и текст
+function splitClassifyPattern_(pattern) {
+  const m = String(pattern).match(/^(subject|body):([\s\S]*)$/);
+  return m ? { field: m[1], source: m[2] } : { field: "", source: String(pattern) };
+}
+
+// Первое совпадение из списка: { pattern, field } или null
+function matchClassifyPatterns_(patterns, mail) {
+  const list = patterns || [];
+  const subject = String(mail.subject || "");
+  const body = String(mail.body || "");
+
+  for (let i = 0; i < list.length; i++) {
+    const p = splitClassifyPattern_(list[i]);
+    let re = null;
+    try { re = new RegExp(p.source, "i"); } catch (e) {
+      console.error(`[classify] Неверный RegExp "${list[i]}": ${e}`);
+      continue;
+    }
+    if (p.field !== "body" && re.test(subject)) return { pattern: list[i], field: "subject" };
+    if (p.field !== "subject" && re.test(body)) return { pattern: list[i], field: "body" };
+  }
+  return null;
+}
+
+// { category: "alert" | "exclude" | "cancel", reason, pattern, field }
+function classifyMail_(mail, rule) {
+  const cancel = matchClassifyPatterns_(rule.cancelPatterns, mail);
+  if (cancel) return Object.assign({ category: "cancel", reason: "cancel" }, cancel);
+
+  const exclude = matchClassifyPatterns_(rule.excludePatterns, mail);
+  if (exclude) return Object.assign({ category: "exclude", reason: "exclude" }, exclude);
+
+  if (rule.includePatterns && rule.includePatterns.length) {
+    const include = matchClassifyPatterns_(rule.includePatterns, mail);
+    if (!include) return { category: "exclude", reason: "include_miss", pattern: "", field: "" };
+    return Object.assign({ category: "alert", reason: "include" }, include);
+  }
+
+  return { category: "alert", reason: "", pattern: "", field: "" };
+}
+
+function excludeMail_(runId, rule, thread, mail, verdict) {
+  thread.addLabel(getOrCreateGmailLabel_(rule.excludedLabel));
+  const payload = {
+    rule: rule.id,
+    threadId: mail.threadId,
+    subject: mail.subject || "",
+    receivedAt: mail.receivedAt.toISOString(),
+    reason: verdict.reason,
+    pattern: verdict.pattern,
+    field: verdict.field,
+    label: rule.excludedLabel
+  };
+  slogOk_(runId, "MAIL_EXCLUDED", "Неважное письмо: алерты не создаём", payload);
+  sheetLog_(runId, "LIVE", "MAIL_EXCLUDED", "Неважное письмо — без алертов", payload);
+}
+
+// Письмо-отмена: закрываются все активные комплекты правила, полученные не позже него
+function cancelRuleAlerts_(runId, rule, mail, verdict) {
+  const now = new Date();
+  const key = formatYYYYMMDDHHMM_(mail.receivedAt, rule.timeZone);
+  const alerts = listActiveRuleAlerts_(rule, now);
+  const reason = {
+    status: "CANCELLED",
+    message: "Письмо об отмене: комплект закрыт",
+    mark: "🚫 Отменено",
+    via: "cancel_mail",
+    detail: truncate_(mail.subject || "", 60) + " " + formatDateTime_(mail.receivedAt)
+  };
+  const closed = [];
+
+  for (let i = 0; i < alerts.length; i++) {
+    if (alerts[i].minuteKey > key) continue;
+    if (closeRuleAlert_(runId, rule, alerts[i], reason, now)) closed.push(alerts[i].baseId);
+  }
+
+  const payload = {
+    rule: rule.id,
+    threadId: mail.threadId,
+    subject: mail.subject || "",
+    receivedAt: mail.receivedAt.toISOString(),
+    pattern: verdict.pattern,
+    field: verdict.field,
+    closed
+  };
+  slogOk_(runId, "MAIL_CANCEL", "Письмо об отмене: прежние алерты правила закрыты", payload);
+  sheetLog_(runId, "LIVE", "MAIL_CANCEL", closed.length ? "Письмо об отмене: закрыто комплектов — " + closed.length : "Письмо об отмене: активных комплектов нет", payload);
+  return closed;
+}
+
+/***********************
+ * SENDER AUTH
+ ***********************/
+const AUTH_METHODS_ = ["dkim", "spf", "dmarc"];
+
+/**
+ * Проверка подлинности по верхнему Authentication-Results (его ставит Gmail при приёме).
+ * Нижние заголовки мог дописать кто угодно, поэтому им не доверяем.
+ * { ok, skipped, domain, servId, checks: { dkim: "pass:kdmid.ru" | "fail" | "none", ... }, failed }
+ */
+function verifySenderAuth_(message, rule) {
+  const required = rule.authChecks || [];
+  const domain = rule.authDomain;
+  if (!required.length) return { ok: true, skipped: "disabled", domain, checks: {}, failed: [] };
+  // Проверки заданы, а сверять не с чем — карантин, а не пропуск (loadRuntimeConfig_ такое отклоняет)
+  if (!domain) {
+    return { ok: false, skipped: "", domain, servId: "", checks: {}, failed: required.slice(), error: "Нет домена для проверок: задайте authDomain или senderEmail" };
+  }
+
+  let headers = [];
+  try {
+    headers = readRawHeaders_(message);
+  } catch (e) {
+    return { ok: false, skipped: "", domain, servId: "", checks: {}, failed: required.slice(), error: "Нет исходника письма: " + e };
+  }
+
+  const ar = headers.filter(h => h.name.toLowerCase() === "authentication-results")[0];
+  const parsed = ar ? parseAuthResults_(ar.value) : { servId: "", results: [] };
+  const trusted = parsed.servId.toLowerCase() === String(CONFIG.AUTH_SERV_ID).toLowerCase();
+
+  const checks = {};
+  const failed = [];
+  for (let i = 0; i < required.length; i++) {
+    const method = required[i];
+    checks[method] = trusted ? evaluateAuthMethod_(parsed.results, method, domain) : "untrusted";
+    if (checks[method].indexOf("pass:") !== 0) failed.push(method);
+  }
+
+  return { ok: failed.length === 0, skipped: "", domain, servId: parsed.servId, checks, failed };
+}
+
+// Заголовки из getRawContent(): до первой пустой строки, продолжения склеены
+function readRawHeaders_(message) {
+  const raw = String(message.getRawContent() || "");
+  const end = raw.search(/\r?\n\r?\n/);
+  const head = (end === -1 ? raw : raw.slice(0, end)).replace(/\r?\n[ \t]+/g, " ");
+  const out = [];
+  const lines = head.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const idx = lines[i].indexOf(":");
+    if (idx <= 0) continue;
+    out.push({ name: lines[i].slice(0, idx).trim(), value: lines[i].slice(idx + 1).trim() });
+  }
+  return out;
+}
+
+// "mx.google.com; dkim=pass header.i=@kdmid.ru; spf=pass (...) smtp.mailfrom=a@kdmid.ru"
+function parseAuthResults_(value) {
+  let text = String(value || "");
+  // Комментарии (...) могут быть вложенными — убираем изнутри наружу
+  for (let guard = 0; guard < 10 && /\([^()]*\)/.test(text); guard++) {
+    text = text.replace(/\([^()]*\)/g, " ");
+  }
+
+  const parts = text.split(";");
+  const servId = (parts[0] || "").trim().split(/\s+/)[0] || "";
+  const results = [];
+  for (let i = 1; i < parts.length; i++) {
+    const tokens = parts[i].trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) continue;
+    const head = tokens[0].match(/^([a-z-]+)=([a-z]+)$/i);
+    if (!head) continue;
+    const props = {};
+    for (let j = 1; j < tokens.length; j++) {
+      const kv = tokens[j].match(/^([a-z.-]+)=(.*)$/i);
+      if (kv) props[kv[1].toLowerCase()] = kv[2].replace(/^"|"$/g, "");
+    }
+    results.push({ method: head[1].toLowerCase(), result: head[2].toLowerCase(), props });
+  }
+  return { servId, results };
+}
+
+// "pass:<домен>" — pass для домена правила (или поддомена); иначе лучший найденный результат
+function evaluateAuthMethod_(results, method, domain) {
+  let seen = "none";
+  for (let i = 0; i < results.length; i++) {
+    const r = results[i];
+    if (r.method !== method) continue;
+    let d = "";
+    if (method === "dkim") d = r.props["header.d"] || r.props["header.i"] || "";
+    else if (method === "spf") d = r.props["smtp.mailfrom"] || r.props["smtp.helo"] || "";
+    else d = r.props["header.from"] || "";
+    d = d.replace(/^.*@/, "").toLowerCase();
+
+    if (r.result === "pass" && isDomainAligned_(d, domain)) return "pass:" + d;
+    seen = r.result === "pass" ? "pass_other:" + d : r.result;
+  }
+  return seen;
+}
+
+function isDomainAligned_(d, domain) {
+  if (!d || !domain) return false;
+  return d === domain || d.slice(-(domain.length + 1)) === "." + domain;
+}
+
+// Карантин: ярлык, ERR_AUTH в листе и (по настройке) одно тихое событие-предупреждение
+function quarantineMail_(runId, rule, thread, mail, auth) {
+  thread.addLabel(getOrCreateGmailLabel_(rule.quarantineLabel));
+
+  const payload = {
+    rule: rule.id,
+    threadId: mail.threadId,
+    subject: mail.subject || "",
+    receivedAt: mail.receivedAt.toISOString(),
+    domain: auth.domain,
+    servId: auth.servId,
+    checks: auth.checks,
+    failed: auth.failed,
+    error: auth.error || "",
+    label: rule.quarantineLabel,
+    warningEventId: ""
+  };
+
+  if (CONFIG.AUTH_WARNING_EVENT) {
+    try {
+      payload.warningEventId = createAuthWarningEvent_(mail, rule, auth);
+    } catch (err) {
+      payload.warningError = String(err);
+    }
   }
+
+  slogErr_(runId, "ERR_AUTH", "Письмо не прошло проверку подлинности — карантин", payload);
+  sheetLog_(runId, "LIVE", "ERR_AUTH", "Не прошло " + auth.failed.join("/").toUpperCase() + " для " + auth.domain + " — карантин", payload);
+}
+
+// Ссылку из письма в «Место» не ставим: письмо может быть фишинговым
+function createAuthWarningEvent_(mail, rule, auth) {
+  const cal = getAlertCalendar_();
+  const now = new Date();
+  const baseId = buildBaseId_("LIVE", mail.threadId || "NO_THREAD", mail.receivedAt, now, rule.id, rule.timeZone);
+  const warnId = baseId + "|AUTH";
+
+  if (findEventById_(cal, addMinutes_(now, -60), addMinutes_(now, 60), warnId, { allowAllDay: false })) return warnId;
+
+  const title = "⚠️ Подозрительное письмо - " + truncate_(mail.subject || "(без темы)", 120) + " (не прошло " + auth.failed.join("/").toUpperCase() + ")";
+  const description = buildDescriptionNew_({
+    id: warnId,
+    mode: "LIVE",
+    kind: "AUTH",
+    ruleId: rule.id,
+    expectedSender: rule.senderEmail,
+    inbox: CONFIG.YOUR_INBOX_EMAIL,
+    subject: mail.subject || "",
+    receivedAt: mail.receivedAt,
+    gmailLink: mail.gmailLink || "",
+    threadId: mail.threadId || "",
+    eventStart: now,
+    meta: { authDomain: auth.domain, authChecks: auth.checks }
+  });
+
+  const ev = cal.createEvent(title, now, addMinutes_(now, 15), buildEventOptions_(description, ""));
+  registerAlertEvent_(ev, warnId);
+  applyEventColor_(ev, "AUTH");
+  ev.removeAllReminders();
+  ev.addPopupReminder(0);
+  return warnId;
 }
 
 /***********************
@@ -227,6 +970,18 @@ function setupSingleTriggerEveryMinute() {
   setupTriggerEveryMinute();
 }
 
+/***********************
+ * CALENDAR SETUP
+ ***********************/
+function setupAlertCalendar() {
+  const runId = newRunId_();
+  loadRuntimeConfig_(runId);
+  const cal = getAlertCalendar_();
+  const out = { calendarId: cal.getId(), name: cal.getName() };
+  slogOk_(runId, "CALENDAR_READY", "Календарь для событий готов", out);
+  sheetLog_(runId, "LIVE", "CALENDAR_READY", "Календарь для событий готов", out);
+}
+
 /***********************
  * SHEETS LOG UI (optional)
  ***********************/
@@ -235,10 +990,33 @@ function setupLogSheetUi() {
   setupConditionalFormatting_(sheet);
 }
 
+// Создаёт лист Config (Key | Value | Comment) с примерами-комментариями
+function setupConfigSheet() {
+  const runId = newRunId_();
+  const sheet = getOrCreateLogSheet_();
+  const ss = sheet.getParent();
+  let cfg = ss.getSheetByName(CONFIG.CONFIG_SHEET_NAME);
+  if (!cfg) cfg = ss.insertSheet(CONFIG.CONFIG_SHEET_NAME);
+
+  if (cfg.getLastRow() === 0) {
+    cfg.appendRow(["Key", "Value", "Comment"]);
+    cfg.appendRow(["# FINAL_REMINDERS_MINUTES", "[40, 30, 20, 10, 0]", "строки с # не читаются; Value — JSON или текст"]);
+    cfg.appendRow(["# QUIET_HOUR_START", "23", "0..23"]);
+    cfg.appendRow(["# WATCH_RULES", "[{\"id\":\"kdmid\",\"senderEmail\":\"queue-mailer@kdmid.ru\"}]", "правила целиком"]);
+  }
+
+  const cache = getScriptCache_();
+  if (cache) cache.remove(CONFIG_CACHE_KEY_);
+
+  slogOk_(runId, "CONFIG_SHEET_READY", "Лист настроек готов", { sheet: CONFIG.CONFIG_SHEET_NAME });
+}
+
 /***********************
  * TEST HELPERS
  ***********************/
 function runTestOnce() {
+  // Сначала настройки (они могли бы вернуть TEST_MODE), потом включаем TEST
+  loadRuntimeConfig_(newRunId_());
   const saved = CONFIG.TEST_MODE;
   CONFIG.TEST_MODE = true;
   try {
@@ -249,6 +1027,7 @@ function runTestOnce() {
 }
 
 function runTaskTestOnce() {
+  loadRuntimeConfig_(newRunId_());
   const saved = CONFIG.TEST_MODE;
   CONFIG.TEST_MODE = true;
   try {
@@ -263,23 +1042,26 @@ function runTaskTestOnce() {
  ***********************/
 
 /**
- * Удаляет НОВЫЕ тестовые события (созданные ЭТОЙ версией кода)
- * по строке "MAILALERT_ID: TEST|...".
+ * Удаляет НОВЫЕ тестовые события (созданные ЭТОЙ версией кода):
+ * сначала по карте alertId -> eventId (TEST|...), затем запасным сканом
+ * календаря на ±TEST_CLEANUP_SCAN_DAYS по строке "MAILALERT_ID: TEST|...".
  * Также очищает TEST-состояния HOURLY-CHAIN из ScriptProperties.
  * И удаляет TEST-задачи Google Tasks по marker в notes.
  */
 function deleteAllTestAlerts() {
   const runId = newRunId_();
+  loadRuntimeConfig_(runId);
   slogInfo_(runId, "DEL_TEST_START", "Удаление TEST-событий (NEW FORMAT)", {});
 
-  const cal = CalendarApp.getDefaultCalendar();
-  const from = new Date(Date.now() - 180 * 24 * 60 * 60 * 1000);
-  const to   = new Date(Date.now() + 180 * 24 * 60 * 60 * 1000);
+  const cal = getAlertCalendar_();
+  const scanDays = CONFIG.TEST_CLEANUP_SCAN_DAYS;
+  const from = new Date(Date.now() - scanDays * 24 * 60 * 60 * 1000);
+  const to   = new Date(Date.now() + scanDays * 24 * 60 * 60 * 1000);
 
-  const events = cal.getEvents(from, to);
   const scriptProps = PropertiesService.getScriptProperties();
   const allProps = scriptProps.getProperties();
 
+  let mapDeleted = 0;
   let scanned = 0;
   let matched = 0;
   let deleted = 0;
@@ -290,15 +1072,35 @@ function deleteAllTestAlerts() {
   let tasksDeleteErrors = 0;
   let tasksCleanupSkipped = false;
 
+  const mapped = listMappedAlertIds_(allProps, "TEST|");
+  for (let i = 0; i < mapped.length; i++) {
+    const ev = getMappedAlertEvent_(cal, mapped[i]);
+    if (ev) {
+      ev.deleteEvent();
+      mapDeleted++;
+    }
+    forgetAlertEvent_(mapped[i]);
+  }
+
+  // Скан и в календаре по умолчанию: там остались события версий до ALERT_CALENDAR_NAME
+  const scanCalendars = [cal];
+  const defaultCal = CalendarApp.getDefaultCalendar();
+  if (defaultCal.getId() !== cal.getId()) scanCalendars.push(defaultCal);
+
+  let events = [];
+  for (let c = 0; scanDays > 0 && c < scanCalendars.length; c++) {
+    events = events.concat(scanCalendars[c].getEvents(from, to));
+  }
   for (let i = 0; i < events.length; i++) {
     scanned++;
     const ev = events[i];
     const desc = ev.getDescription() || "";
-    if (desc.indexOf("MAILALERT_ID: TEST|") === -1) continue;
+    const tag = safeGetAlertTag_(ev);
+    if (desc.indexOf("MAILALERT_ID: TEST|") === -1 && tag.indexOf("TEST|") !== 0) continue;
 
     matched++;
     const title = ev.getTitle();
-    const id = extractLineValue_(desc, "MAILALERT_ID");
+    const id = tag || extractLineValue_(desc, "MAILALERT_ID");
 
     slogVerbose_(runId, "DEL_TEST_MATCH", "Удаляем TEST событие", {
       title, id,
@@ -307,6 +1109,7 @@ function deleteAllTestAlerts() {
     });
 
     ev.deleteEvent();
+    if (id) forgetAlertEvent_(id);
     deleted++;
   }
 
@@ -336,6 +1139,7 @@ function deleteAllTestAlerts() {
   }
 
   const result = {
+    mapDeleted,
     scanned,
     matched,
     deleted,
@@ -355,6 +1159,7 @@ function deleteAllTestAlerts() {
  ***********************/
 function checkMailAndCreateTaskOnce() {
   const runId = newRunId_();
+  loadRuntimeConfig_(runId);
   const lock = LockService.getScriptLock();
   const lockAcquired = lock.tryLock(5000);
 
@@ -364,9 +1169,11 @@ function checkMailAndCreateTaskOnce() {
     return;
   }
 
+  const rules = getWatchRules_();
+
   slogInfo_(runId, "TASK_START", "Запуск создания Google Task", {
     testMode: CONFIG.TEST_MODE,
-    expectedSender: CONFIG.EXPECTED_SENDER_EMAIL,
+    rules: rules.map(r => r.id),
     tasklistId: CONFIG.TASKS_TASKLIST_ID
   });
 
@@ -374,85 +1181,18 @@ function checkMailAndCreateTaskOnce() {
     ensureTasksServiceEnabled_();
 
     if (CONFIG.TEST_MODE) {
-      const latest = findLatestMailFromSender_(runId, CONFIG.EXPECTED_SENDER_EMAIL, CONFIG.TEST_LOOKBACK_DAYS);
-      const now = new Date();
-
-      const mail = {
-        mode: "TEST",
-        receivedAt: now,
-        subject: latest ? latest.subject : "TEST: не найдено писем — симуляция",
-        threadId: latest ? latest.threadId : "TEST_THREAD_NOW",
-        gmailLink: latest ? latest.gmailLink : "https://mail.google.com/mail/u/0/#inbox",
-        meta: {
-          test_used_latest_real_mail: Boolean(latest),
-          realMailReceivedAt: latest ? latest.realReceivedAt.toString() : "",
-          realMailMessageId: latest ? latest.messageId : "",
-          lookbackDays: CONFIG.TEST_LOOKBACK_DAYS,
-          note: "TEST TASK: контекст реального письма, но receivedAt=NOW",
-          gmailMessageLink: latest ? latest.gmailMessageLink : ""
-        }
-      };
+      const rule = getTestRule_(rules);
+      const mail = buildTestMail_(runId, rule, "TEST TASK: контекст реального письма, но receivedAt=NOW");
 
-      const res = createTaskForMail_(runId, mail);
+      const res = createTaskForMail_(runId, mail, rule);
       slogOk_(runId, "TASK_DONE_TEST", "TEST: создание Google Task завершено", res);
       sheetLog_(runId, "TEST", "TASK_DONE", "TEST: обработка Google Task завершена", res);
       return;
     }
 
-    // LIVE (отдельный поток): берём только самое свежее необработанное письмо
-    const label = getOrCreateGmailLabel_(CONFIG.PROCESSED_TASK_LABEL_NAME);
-    const query =
-      "from:" + CONFIG.EXPECTED_SENDER_EMAIL +
-      " newer_than:" + CONFIG.LIVE_NEWER_THAN_DAYS + "d" +
-      " -label:" + CONFIG.PROCESSED_TASK_LABEL_NAME;
-
-    slogInfo_(runId, "TASK_GMAIL_QUERY", "LIVE TASK: поиск в Gmail", { query });
-
-    const threads = GmailApp.search(query, 0, 20);
-    if (!threads || threads.length === 0) {
-      slogOk_(runId, "TASK_NO_MAIL", "LIVE TASK: писем не найдено", {});
-      sheetLog_(runId, "LIVE", "TASK_NO_MAIL", "LIVE TASK: писем не найдено", {});
-      return;
-    }
-
-    let latestThread = null;
-    let latestMessage = null;
-    let latestDate = 0;
-
-    for (let i = 0; i < threads.length; i++) {
-      const t = threads[i];
-      const msgs = t.getMessages();
-      if (!msgs || !msgs.length) continue;
-      const m = msgs[msgs.length - 1];
-      const d = m.getDate().getTime();
-      if (d > latestDate) {
-        latestDate = d;
-        latestThread = t;
-        latestMessage = m;
-      }
-    }
-
-    if (!latestThread || !latestMessage) {
-      slogOk_(runId, "TASK_NO_MAIL", "LIVE TASK: не удалось выбрать письмо", {});
-      sheetLog_(runId, "LIVE", "TASK_NO_MAIL", "LIVE TASK: не удалось выбрать письмо", {});
-      return;
+    for (let r = 0; r < rules.length; r++) {
+      processRuleTaskLive_(runId, rules[r]);
     }
-
-    const threadId = latestThread.getId();
-    const mail = {
-      mode: "LIVE",
-      receivedAt: latestMessage.getDate(),
-      subject: latestMessage.getSubject(),
-      threadId,
-      gmailLink: buildGmailThreadLink_(threadId),
-      meta: { gmailMessageLink: buildGmailMessageLink_(latestMessage) }
-    };
-
-    const res = createTaskForMail_(runId, mail);
-    latestThread.addLabel(label);
-
-    slogOk_(runId, "TASK_DONE_LIVE", "LIVE TASK: создание Google Task завершено", res);
-    sheetLog_(runId, "LIVE", "TASK_DONE", "LIVE TASK: обработка Google Task завершена", res);
   } catch (err) {
     const payload = { error: String(err), stack: err && err.stack ? String(err.stack) : "" };
     slogErr_(runId, "TASK_FATAL", "Фатальная ошибка в потоке TASK", payload);
@@ -463,21 +1203,85 @@ function checkMailAndCreateTaskOnce() {
   }
 }
 
-function createTaskForMail_(runId, mail) {
-  ensureTasksServiceEnabled_();
+function processRuleTaskLive_(runId, rule) {
+  // LIVE (отдельный поток): берём только самое свежее необработанное письмо правила
+  const label = getOrCreateGmailLabel_(rule.processedTaskLabel);
+  const query =
+    buildRuleSearchQuery_(rule) +
+    " newer_than:" + CONFIG.LIVE_NEWER_THAN_DAYS + "d" +
+    " -label:" + rule.processedTaskLabel;
 
-  const mode = mail.mode || "LIVE";
-  const receivedAt = new Date(mail.receivedAt);
-  const now = new Date();
-  const dueIso = buildTaskDueIso_(CONFIG.TASKS_DUE_DAYS_AHEAD);
-  const dueDate = new Date(dueIso);
-  const baseId = buildBaseId_(mode, mail.threadId || "NO_THREAD", receivedAt, now);
-  const taskMarkerId = baseId + "|TASK";
+  slogInfo_(runId, "TASK_GMAIL_QUERY", "LIVE TASK: поиск в Gmail", { rule: rule.id, query });
 
-  const existing = findTaskByMarker_(CONFIG.TASKS_TASKLIST_ID, taskMarkerId);
-  if (existing) {
-    let dueUpdated = false;
-    const existingDueYmd = isoToYmd_(existing.due);
+  const threads = GmailApp.search(query, 0, 20);
+  if (!threads || threads.length === 0) {
+    slogOk_(runId, "TASK_NO_MAIL", "LIVE TASK: писем не найдено", { rule: rule.id });
+    sheetLog_(runId, "LIVE", "TASK_NO_MAIL", "LIVE TASK: писем не найдено", { rule: rule.id });
+    return;
+  }
+
+  let latestThread = null;
+  let latestMessage = null;
+  let latestDate = 0;
+
+  for (let i = 0; i < threads.length; i++) {
+    const t = threads[i];
+    // Как в календарном потоке: мой ответ в треде не источник (иначе baseId задачи и цепочки разойдутся)
+    const m = findLatestIncomingMessage_(t);
+    if (!m) continue;
+    const d = m.getDate().getTime();
+    if (d > latestDate) {
+      latestDate = d;
+      latestThread = t;
+      latestMessage = m;
+    }
+  }
+
+  if (!latestThread || !latestMessage) {
+    slogOk_(runId, "TASK_NO_MAIL", "LIVE TASK: не удалось выбрать письмо", { rule: rule.id });
+    sheetLog_(runId, "LIVE", "TASK_NO_MAIL", "LIVE TASK: не удалось выбрать письмо", { rule: rule.id });
+    return;
+  }
+
+  const mail = buildLiveMail_(latestThread, latestMessage);
+
+  // Неподлинные, неважные письма и письма-отмены задачу не создают
+  const auth = verifySenderAuth_(latestMessage, rule);
+  const verdict = auth.ok ? classifyMail_(mail, rule) : { category: "quarantine", reason: "auth", pattern: "" };
+  if (verdict.category !== "alert") {
+    latestThread.addLabel(label);
+    if (verdict.category === "quarantine") latestThread.addLabel(getOrCreateGmailLabel_(rule.quarantineLabel));
+    const skipped = { rule: rule.id, threadId: mail.threadId, category: verdict.category, reason: verdict.reason, pattern: verdict.pattern };
+    slogOk_(runId, "TASK_SKIPPED", "LIVE TASK: письмо не требует задачи", skipped);
+    sheetLog_(runId, "LIVE", "TASK_SKIPPED", "LIVE TASK: письмо не требует задачи (" + verdict.category + ")", skipped);
+    return;
+  }
+
+  const res = createTaskForMail_(runId, mail, rule);
+  latestThread.addLabel(label);
+
+  slogOk_(runId, "TASK_DONE_LIVE", "LIVE TASK: создание Google Task завершено", res);
+  sheetLog_(runId, "LIVE", "TASK_DONE", "LIVE TASK: обработка Google Task завершена", res);
+}
+
+function createTaskForMail_(runId, mail, rule) {
+  ensureTasksServiceEnabled_();
+
+  const mode = mail.mode || "LIVE";
+  const receivedAt = new Date(mail.receivedAt);
+  const now = new Date();
+  // Тот же дедлайн, что и у LONG/FINAL (из письма или фиксированное окно)
+  const deadline = resolveDeadline_(mail, rule);
+  const dueDate = deadline.expiresAt;
+  const dueIso = buildAlertPlan_(receivedAt, now, rule, deadline).taskDue;
+  const baseId = buildBaseId_(mode, mail.threadId || "NO_THREAD", receivedAt, now, rule.id, rule.timeZone);
+  const taskMarkerId = baseId + "|TASK";
+
+  const existing = findTaskByMarker_(CONFIG.TASKS_TASKLIST_ID, taskMarkerId);
+  if (existing) {
+    if (existing.id) linkTaskToChain_(baseId, existing);
+    let dueUpdated = false;
+    const existingDueYmd = isoToYmd_(existing.due);
     const targetDueYmd = isoToYmd_(dueIso);
 
     if (existing.id && existingDueYmd !== targetDueYmd) {
@@ -486,20 +1290,22 @@ function createTaskForMail_(runId, mail) {
     }
 
     const out = {
+      rule: rule.id,
       created: false,
       dueUpdated,
       taskMarkerId,
       taskId: existing.id || "",
       taskTitle: existing.title || "",
       existingDue: existing.due || "",
-      targetDue: dueIso
+      targetDue: dueIso,
+      expiresSource: deadline.source
     };
     slogOk_(runId, dueUpdated ? "TASK_DUE_UPDATED" : "TASK_EXISTS", dueUpdated ? "Google Task найдена, дедлайн обновлён" : "Google Task уже существует (по marker)", out);
     return out;
   }
 
   const title = buildTaskTitle_(mail, dueDate, mode === "TEST");
-  const notes = buildTaskNotes_(mail, taskMarkerId, dueDate);
+  const notes = buildTaskNotes_(withAttachments_(mail, saveMailAttachments_(runId, mail, rule, baseId)), taskMarkerId, dueDate, rule);
   const payload = {
     title,
     notes,
@@ -509,11 +1315,15 @@ function createTaskForMail_(runId, mail) {
   };
 
   const created = Tasks.Tasks.insert(payload, CONFIG.TASKS_TASKLIST_ID);
+  if (created && created.id) linkTaskToChain_(baseId, created);
   const out = {
+    rule: rule.id,
     created: true,
     taskMarkerId,
     taskId: created && created.id ? created.id : "",
     due: dueIso,
+    expiresAt: dueDate.toISOString(),
+    expiresSource: deadline.source,
     title
   };
   slogOk_(runId, "TASK_CREATED", "Создан Google Task", out);
@@ -556,6 +1366,59 @@ function findTaskByMarker_(taskListId, markerId) {
   return null;
 }
 
+// marker -> задача на время выполнения: один проход по списку на все цепочки без st.taskId
+let taskMarkerIndex_ = null;
+
+function getTaskMarkerIndex_() {
+  if (taskMarkerIndex_) return taskMarkerIndex_;
+  const index = {};
+  let pageToken = "";
+
+  do {
+    const params = { showCompleted: true, showHidden: true, maxResults: 100 };
+    if (pageToken) params.pageToken = pageToken;
+
+    const resp = Tasks.Tasks.list(CONFIG.TASKS_TASKLIST_ID, params);
+    const items = (resp && resp.items) ? resp.items : [];
+    for (let i = 0; i < items.length; i++) {
+      const m = String(items[i] && items[i].notes || "").match(/MAILALERT_TASK_ID: (\S+)/);
+      if (m && !index[m[1]]) index[m[1]] = items[i];
+    }
+
+    pageToken = (resp && resp.nextPageToken) ? String(resp.nextPageToken) : "";
+  } while (pageToken);
+
+  taskMarkerIndex_ = index;
+  return index;
+}
+
+/**
+ * Связанная задача цепочки: по st.taskId — один Tasks.Tasks.get, иначе по индексу
+ * маркеров. Найденный id запоминается в st.taskId (сохраняет состояние вызывающий).
+ */
+function findLinkedTask_(st) {
+  if (st.taskId) {
+    try {
+      const task = Tasks.Tasks.get(CONFIG.TASKS_TASKLIST_ID, st.taskId);
+      if (task && !task.deleted) return task;
+    } catch (e) {}
+    st.taskId = "";
+  }
+
+  const task = getTaskMarkerIndex_()[st.baseId + "|TASK"] || null;
+  if (task && task.id) st.taskId = String(task.id);
+  return task;
+}
+
+// Новая задача сразу привязывается к цепочке того же baseId (если она уже есть)
+function linkTaskToChain_(baseId, task) {
+  if (taskMarkerIndex_) taskMarkerIndex_[baseId + "|TASK"] = task;
+  const st = getHourlyChainState_(baseId + "|HCHAIN");
+  if (!st || st.taskId === task.id) return;
+  st.taskId = task.id;
+  saveHourlyChainState_(st);
+}
+
 function deleteTasksByMarkerPrefix_(runId, markerPrefix) {
   let pageToken = "";
   const markerLinePrefix = "MAILALERT_TASK_ID: " + markerPrefix;
@@ -603,38 +1466,87 @@ function deleteTasksByMarkerPrefix_(runId, markerPrefix) {
 
 function buildTaskTitle_(mail, dueDate, isTest) {
   const subject = truncate_(mail.subject || "(без темы)", 120);
-  let title = "Важное письмо: " + subject + " до " + formatDateOnly_(dueDate);
+  let title = "Важное письмо: " + subject + " до " + formatDateTime_(dueDate);
   if (isTest) title += " (тест)";
   return title;
 }
 
-function buildTaskNotes_(mail, taskMarkerId, dueDate) {
+function buildTaskNotes_(mail, taskMarkerId, dueDate, rule) {
   const mode = mail.mode || "LIVE";
   const receivedAt = mail.receivedAt ? new Date(mail.receivedAt) : null;
+  const actionLink = rule ? extractActionLink_(mail, rule) : "";
 
   const lines = [];
+  if (actionLink) lines.push("Ссылка для действия: " + actionLink);
   lines.push("Задача создана из письма Gmail.");
   if (receivedAt) lines.push("Письмо получено: " + formatDateTime_(receivedAt));
-  lines.push("Срок выполнения: " + formatDateOnly_(dueDate));
+  // Tasks хранит только дату, точное время дедлайна — в заметках
+  lines.push("Срок выполнения: " + formatDateTime_(dueDate));
   lines.push("Тема: " + (mail.subject || "(без темы)"));
   if (mail.gmailLink) lines.push("Письмо (тред): " + mail.gmailLink);
 
   const messageLink = (mail.meta && mail.meta.gmailMessageLink) ? String(mail.meta.gmailMessageLink) : "";
   if (messageLink) lines.push("Письмо (сообщение): " + messageLink);
+  appendAttachmentLines_(lines, mail.meta);
 
   lines.push("MAILALERT_TASK_ID: " + taskMarkerId);
   lines.push("MAILALERT_MODE: " + mode);
+  if (rule) lines.push("MAILALERT_RULE: " + rule.id);
   return lines.join("\n");
 }
 
-function buildTaskDueIso_(daysAhead) {
-  const ahead = typeof daysAhead === "number" ? Math.max(0, Math.floor(daysAhead)) : 1;
-  const dt = new Date();
-  dt.setDate(dt.getDate() + ahead);
-  const ymd = Utilities.formatDate(dt, Session.getScriptTimeZone(), "yyyy-MM-dd");
+function buildTaskDueIso_(dueDate, timeZone) {
+  const ymd = Utilities.formatDate(dueDate, timeZone || Session.getScriptTimeZone(), "yyyy-MM-dd");
   return ymd + "T00:00:00.000Z";
 }
 
+// Срок связанной задачи следует за expiresAt цепочки (продление из dashboard)
+function updateLinkedTaskDue_(runId, st) {
+  if (typeof Tasks === "undefined" || !Tasks || !Tasks.Tasks) return false;
+
+  try {
+    const task = findLinkedTask_(st);
+    if (!task || !task.id) return false;
+
+    const dueIso = buildTaskDueIso_(new Date(st.expiresAt), getRuleById_(st.ruleId).timeZone);
+    if (isoToYmd_(task.due) === isoToYmd_(dueIso)) return false;
+
+    Tasks.Tasks.patch({ due: dueIso }, CONFIG.TASKS_TASKLIST_ID, task.id);
+    slogOk_(runId, "TASK_DUE_UPDATED", "Срок связанной Google Task обновлён", { baseId: st.baseId, taskId: task.id, due: dueIso });
+    return true;
+  } catch (err) {
+    slogErr_(runId, "TASK_DUE_ERR", "Не удалось обновить срок связанной Google Task", { baseId: st.baseId, error: String(err) });
+    return false;
+  }
+}
+
+/**
+ * Обратная связь “цепочка -> задача”: выполнить связанную задачу (marker baseId|TASK).
+ * Ошибки Tasks не должны мешать остановке цепочки — только лог.
+ */
+function completeLinkedTask_(runId, st) {
+  if (typeof Tasks === "undefined" || !Tasks || !Tasks.Tasks) return "";
+
+  try {
+    const task = findLinkedTask_(st);
+    if (!task || !task.id || task.status === "completed") return "";
+
+    Tasks.Tasks.patch({ status: "completed" }, CONFIG.TASKS_TASKLIST_ID, task.id);
+    slogOk_(runId, "TASK_COMPLETED", "Связанная Google Task выполнена", {
+      rule: st.ruleId || "",
+      baseId: st.baseId,
+      taskId: task.id
+    });
+    return task.id;
+  } catch (err) {
+    slogErr_(runId, "TASK_COMPLETE_ERR", "Не удалось выполнить связанную Google Task", {
+      baseId: st.baseId,
+      error: String(err)
+    });
+    return "";
+  }
+}
+
 function isoToYmd_(isoValue) {
   if (!isoValue) return "";
   const s = String(isoValue);
@@ -642,41 +1554,260 @@ function isoToYmd_(isoValue) {
   return m ? m[1] : "";
 }
 
+/***********************
+ * ALERT PLAN (DRY RUN)
+ ***********************/
+
+/**
+ * Полный план комплекта без обращения к Calendar/Tasks: окно LONG, блоки
+ * HOURLY с напоминаниями, FINAL, срок задачи и сигналы, выпавшие из-за тихих
+ * часов. Его же использует боевой путь (createTwoEventsForMail_, задача).
+ * deadline — результат resolveDeadline_ (по умолчанию фиксированное окно правила).
+ * busy — занятые интервалы (loadBusyIntervals_): календари читает вызывающий.
+ */
+function buildAlertPlan_(receivedAt, now, rule, deadline, busy) {
+  const received = new Date(receivedAt);
+  const d = deadline || {
+    expiresAt: addHours_(received, rule.activeWindowHours),
+    appointmentAt: null,
+    source: "fixed_window",
+    match: ""
+  };
+  const expiresAt = new Date(d.expiresAt);
+  const stale = detectStaleMail_(received, now, expiresAt, rule);
+
+  // LONG не стартует в тихое время: переносим на конец тихого окна (если успеваем до дедлайна)
+  // Сжатый план (stale + compress): LONG звенит сразу, сигналы равномерно до дедлайна
+  const compressed = !!stale && stale.policy === "compress" && !stale.expired;
+  const longStartRaw = compressed ? new Date(now) : addMinutes_(now, CONFIG.EVENT1_START_PLUS_MINUTES);
+  let longStart = longStartRaw;
+  if (!compressed && isInQuietHours_(longStartRaw, rule)) {
+    const quietEnd = getQuietEndAfter_(longStartRaw, rule);
+    if (quietEnd && quietEnd.getTime() < expiresAt.getTime()) longStart = quietEnd;
+  }
+
+  const quietSkips = [];
+  const busyAdjusted = [];
+  const signals = compressed
+    ? buildCompressedSignals_(now, expiresAt, rule, quietSkips)
+    : buildHourlySignals_(longStart, expiresAt, rule, { quietSkipped: quietSkips, busy: busy || [], busyAdjusted });
+  const longReminders = compressed ? [0] : rule.longRemindersMinutes.slice();
+  const blocks = buildHourlyBlocks_(signals).map((b, i) => ({
+    index: i,
+    start: b.start,
+    reminders: b.reminders,
+    signals: listReminderTimes_(new Date(b.start), b.reminders)
+  }));
+
+  return {
+    ruleId: rule.id,
+    timeZone: rule.timeZone,
+    cadenceProfile: compressed ? "" : rule.cadenceProfile,
+    receivedAt: received,
+    now: new Date(now),
+    expiresAt,
+    expiresSource: d.source,
+    appointmentAt: d.appointmentAt || null,
+    long: {
+      start: longStart,
+      end: expiresAt,
+      quietShiftedFrom: longStart.getTime() !== longStartRaw.getTime() ? longStartRaw : null,
+      reminders: longReminders,
+      signals: listReminderTimes_(longStart, longReminders)
+    },
+    blocks,
+    final: {
+      start: expiresAt,
+      end: addMinutes_(expiresAt, 5),
+      reminders: rule.finalRemindersMinutes.slice(),
+      signals: listReminderTimes_(expiresAt, rule.finalRemindersMinutes)
+    },
+    taskDue: buildTaskDueIso_(expiresAt, rule.timeZone),
+    quietSkips,
+    busyAdjusted,
+    stale
+  };
+}
+
+const STALE_POLICIES_ = ["skip", "notice", "compress"];
+// Сжатые сигналы — не чаще, чем раз в столько минут
+const STALE_COMPRESS_MIN_STEP_MINUTES_ = 10;
+
+// null — до срока достаточно времени; иначе { policy, remainingMinutes, lagMinutes, late, expired, compressed }.
+// Порог не ниже EVENT1_START_PLUS_MINUTES + 60: обычный план с последним сигналом
+// за час до дедлайна иначе получил бы сигналы в прошлом и LONG «задом наперёд».
+// Политика правила действует только для позднего письма (late); у свежего письма
+// с коротким сроком план всегда сжимается — пропускать или сводить его к notice нельзя.
+function detectStaleMail_(receivedAt, now, expiresAt, rule) {
+  const remaining = (expiresAt.getTime() - now.getTime()) / 60000;
+  const threshold = Math.max(Number(rule.staleMinRemainingMinutes) || 0, CONFIG.EVENT1_START_PLUS_MINUTES + 60);
+  if (remaining >= threshold) return null;
+
+  const lag = Math.max(0, Math.floor((now.getTime() - receivedAt.getTime()) / 60000));
+  const late = lag >= (Number(rule.staleMinPickupLagMinutes) || 0);
+  const configured = STALE_POLICIES_.indexOf(rule.stalePolicy) !== -1 ? rule.stalePolicy : "notice";
+  const policy = late ? configured : "compress";
+  const expired = remaining <= 0;
+  return {
+    policy,
+    remainingMinutes: Math.max(0, Math.floor(remaining)),
+    lagMinutes: lag,
+    late,
+    expired,
+    compressed: policy === "compress" && !expired
+  };
+}
+
+// До HOURLY_BLOCK_MAX_SIGNALS сигналов с равным шагом между now и дедлайном (один блок)
+function buildCompressedSignals_(now, expiresAt, rule, skipped) {
+  const remaining = Math.floor((expiresAt.getTime() - now.getTime()) / 60000);
+  const count = Math.min(CONFIG.HOURLY_BLOCK_MAX_SIGNALS, Math.floor(remaining / STALE_COMPRESS_MIN_STEP_MINUTES_) - 1);
+  if (count <= 0) return [];
+
+  const step = Math.floor(remaining / (count + 1));
+  const base = Math.ceil(now.getTime() / 60000) * 60000;
+  const signals = [];
+  for (let i = 1; i <= count; i++) {
+    const t = new Date(base + i * step * 60000);
+    if (isInQuietHours_(t, rule)) skipped.push(t);
+    else signals.push(t);
+  }
+  return signals;
+}
+
+// Моменты срабатывания напоминаний события (start - minutes), по возрастанию
+function listReminderTimes_(start, reminders) {
+  return reminders
+    .map(m => addMinutes_(start, -m))
+    .sort((a, b) => a.getTime() - b.getTime());
+}
+
+/**
+ * Печатает план для правила в лог выполнения и на лист PLAN_SHEET_NAME.
+ * Ничего не создаёт в Calendar/Tasks. Аргументы необязательны:
+ * ruleId (по умолчанию — правило TEST), receivedAt (ISO; по умолчанию — сейчас).
+ */
+function previewPlan(ruleId, receivedAtIso) {
+  const runId = newRunId_();
+  loadRuntimeConfig_(runId);
+
+  const rule = typeof ruleId === "string" && ruleId ? getRuleById_(ruleId) : getTestRule_(getWatchRules_());
+  const parsed = receivedAtIso ? new Date(receivedAtIso) : null;
+  const now = new Date();
+  const receivedAt = parsed && !isNaN(parsed.getTime()) ? parsed : now;
+
+  const busy = loadBusyIntervals_(rule, now, addHours_(receivedAt, rule.activeWindowHours));
+  const plan = buildAlertPlan_(receivedAt, now, rule, null, busy);
+  const rows = buildPlanRows_(plan);
+
+  for (let i = 0; i < rows.length; i++) console.log(rows[i].join(" | "));
+
+  const sheet = getOrCreateLogSheet_();
+  const ss = sheet.getParent();
+  let planSheet = ss.getSheetByName(CONFIG.PLAN_SHEET_NAME);
+  if (!planSheet) planSheet = ss.insertSheet(CONFIG.PLAN_SHEET_NAME);
+  planSheet.clearContents();
+  planSheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+
+  slogOk_(runId, "PLAN_PREVIEW", "План записан на лист " + CONFIG.PLAN_SHEET_NAME, {
+    rule: rule.id,
+    blocks: plan.blocks.length,
+    quietSkips: plan.quietSkips.length
+  });
+  return plan;
+}
+
+// Таблица плана: заголовок + строки Kind | # | Start | End | Reminders | Signals | Note
+function buildPlanRows_(plan) {
+  const tz = plan.timeZone;
+  const fmt = dt => (dt ? Utilities.formatDate(new Date(dt), tz, "dd.MM.yyyy HH:mm") : "");
+  const fmtList = list => list.map(fmt).join(", ");
+
+  const rows = [["Kind", "#", "Start", "End", "Reminders (min)", "Signals", "Note"]];
+  rows.push(["INFO", "", fmt(plan.receivedAt), fmt(plan.expiresAt), "", "",
+    "rule=" + plan.ruleId + "; tz=" + tz + "; now=" + fmt(plan.now) + "; expiresSource=" + plan.expiresSource +
+    (plan.cadenceProfile ? "; cadence=" + plan.cadenceProfile : "") +
+    (plan.stale ? "; stale=" + plan.stale.policy + (plan.stale.expired ? " (срок истёк)" : ", осталось " + plan.stale.remainingMinutes + " мин") : "")]);
+  rows.push(["LONG", "", fmt(plan.long.start), fmt(plan.long.end), plan.long.reminders.join(", "), fmtList(plan.long.signals),
+    plan.long.quietShiftedFrom ? "перенесено из тихого времени: " + fmt(plan.long.quietShiftedFrom) : ""]);
+  for (let i = 0; i < plan.blocks.length; i++) {
+    const b = plan.blocks[i];
+    rows.push(["HOURLY", b.index, fmt(b.start), fmt(addMinutes_(new Date(b.start), 5)), b.reminders.join(", "), fmtList(b.signals), ""]);
+  }
+  rows.push(["FINAL", "", fmt(plan.final.start), fmt(plan.final.end), plan.final.reminders.join(", "), fmtList(plan.final.signals), ""]);
+  for (let i = 0; i < (plan.busyAdjusted || []).length; i++) {
+    const a = plan.busyAdjusted[i];
+    rows.push(["BUSY", "", fmt(a.busyStart), fmt(a.busyEnd), "", fmt(a.to), a.mode + ": сигнал " + fmt(a.from) + (a.mode === "shift" ? " перенесён" : " + повтор после встречи")]);
+  }
+  rows.push(["TASK", "", isoToYmd_(plan.taskDue), "", "", "", "срок задачи (только дата)"]);
+  for (let i = 0; i < plan.quietSkips.length; i++) {
+    rows.push(["QUIET_SKIP", i, fmt(plan.quietSkips[i]), "", "", "", "сигнал пропущен: тихие часы"]);
+  }
+  return rows;
+}
+
 /***********************
  * CORE: CREATE EVENTS
  ***********************/
-function createTwoEventsForMail_(runId, mail) {
+function createTwoEventsForMail_(runId, mail, rule) {
   const mode = mail.mode || "LIVE";
 
   // В LIVE: время письма реальное, в TEST: now
   const receivedAt = mail.receivedAt;
-  const expiresAt = new Date(receivedAt.getTime() + CONFIG.ACTIVE_WINDOW_HOURS * 60 * 60 * 1000);
+  const deadline = resolveDeadline_(mail, rule);
+  const expiresAt = deadline.expiresAt;
+  const actionLink = extractActionLink_(mail, rule);
 
   const now = new Date();
-  const longStart = addMinutes_(now, CONFIG.EVENT1_START_PLUS_MINUTES);
+  const busy = loadBusyIntervals_(rule, now, expiresAt);
+  const plan = buildAlertPlan_(receivedAt, now, rule, deadline, busy);
+  const longStart = plan.long.start;
 
-  const cal = CalendarApp.getDefaultCalendar();
+  const cal = getAlertCalendar_();
 
   // Уникальная база ID для антидубликатов:
   // В LIVE и TEST по-разному.
   // В TEST: чтобы каждый тест создавал новый комплект — используем timeKey по текущей минуте.
   // В LIVE: можно использовать receivedAt minute + threadId.
-  const baseId = buildBaseId_(mode, mail.threadId || "NO_THREAD", receivedAt, now);
+  const baseId = buildBaseId_(mode, mail.threadId || "NO_THREAD", receivedAt, now, rule.id, rule.timeZone);
 
   slogVerbose_(runId, "ALERT_PLAN", "План событий", {
     mode,
+    rule: rule.id,
     baseId,
     receivedAt: receivedAt.toString(),
     expiresAt: expiresAt.toString(),
+    expiresSource: deadline.source,
+    expiresMatch: deadline.match,
+    appointmentAt: deadline.appointmentAt ? deadline.appointmentAt.toString() : "",
+    actionLink,
     now: now.toString(),
     longStart: longStart.toString(),
-    quiet: { startHour: CONFIG.QUIET_HOUR_START, endHour: CONFIG.QUIET_HOUR_END, setToHour: CONFIG.QUIET_SET_TO_HOUR },
+    blocks: plan.blocks.length,
+    quiet: {
+      schedule: getQuietSchedule_(rule),
+      shabbat: rule.quietShabbat && rule.quietShabbat.enabled ? rule.quietShabbat : null,
+      holidayCalendarId: rule.quietHolidayCalendarId,
+      longStartShifted: plan.long.quietShiftedFrom ? plan.long.quietShiftedFrom.toString() : "",
+      skippedSignals: plan.quietSkips.length
+    },
+    busyAdjusted: plan.busyAdjusted.length,
+    stale: plan.stale,
     meta: mail.meta || {}
   });
 
   const subjectShort = truncate_(mail.subject || "(без темы)", 120);
   const isTest = mode === "TEST";
 
+  // Поздно подхваченное письмо: обычный комплект не строим (кроме compress с оставшимся временем)
+  if (plan.stale && !plan.stale.compressed) {
+    handleStaleMail_(runId, mail, rule, plan, baseId, actionLink);
+    return;
+  }
+
+  // Ссылки на вложения едут в meta: дальше они попадают в LONG, состояние цепочки, блоки и FINAL
+  mail = withAttachments_(mail, saveMailAttachments_(runId, mail, rule, baseId));
+
   // -------------------------
   // EVENT 2: LONG (24h)
   // -------------------------
@@ -687,7 +1818,9 @@ function createTwoEventsForMail_(runId, mail) {
     id: longId,
     mode,
     kind: "LONG",
-    expectedSender: CONFIG.EXPECTED_SENDER_EMAIL,
+    ruleId: rule.id,
+    actionLink,
+    expectedSender: rule.senderEmail,
     inbox: CONFIG.YOUR_INBOX_EMAIL,
     subject: mail.subject || "",
     receivedAt,
@@ -695,48 +1828,155 @@ function createTwoEventsForMail_(runId, mail) {
     gmailLink: mail.gmailLink || "",
     threadId: mail.threadId || "",
     eventStart: longStart,
-    meta: mail.meta || {}
+    meta: Object.assign({}, mail.meta || {}, {
+      expiresSource: deadline.source,
+      appointmentAt: deadline.appointmentAt ? deadline.appointmentAt.toISOString() : ""
+    })
   });
 
   const longExists = findEventById_(cal, addMinutes_(longStart, -60), addMinutes_(expiresAt, 60), longId, { allowAllDay: false });
   if (longExists) {
     slogOk_(runId, "LONG_EXISTS", "LONG уже есть (по ID)", { title: longExists.getTitle(), id: longId });
   } else {
-    const evLong = cal.createEvent(longTitle, longStart, expiresAt, { description: longDescription });
+    const evLong = cal.createEvent(longTitle, longStart, expiresAt, buildEventOptions_(longDescription, actionLink));
+    registerAlertEvent_(evLong, longId);
+    applyEventColor_(evLong, "LONG");
     evLong.removeAllReminders();
-    for (let i = 0; i < CONFIG.EVENT1_REMINDERS_MINUTES.length; i++) {
-      evLong.addPopupReminder(CONFIG.EVENT1_REMINDERS_MINUTES[i]);
+    for (let i = 0; i < plan.long.reminders.length; i++) {
+      evLong.addPopupReminder(plan.long.reminders[i]);
     }
     slogOk_(runId, "LONG_CREATED", "Создано LONG (24h)", {
+      rule: rule.id,
       title: longTitle,
       id: longId,
       longStart: longStart.toString(),
       expiresAt: expiresAt.toString(),
-      remindersMinutes: CONFIG.EVENT1_REMINDERS_MINUTES
+      remindersMinutes: plan.long.reminders
+    });
+
+    notifyAlert_(runId, rule, "LONG", {
+      mode,
+      baseId,
+      subject: mail.subject || "",
+      expiresAt,
+      signalAt: longStart,
+      actionLink,
+      gmailLink: mail.gmailLink || ""
     });
   }
 
+  // -------------------------
+  // ALLDAY: якоря на дни окна
+  // -------------------------
+  const allDayIds = ensureAllDayAnchors_(runId, cal, {
+    baseId,
+    mode,
+    subject: mail.subject || "",
+    receivedAt,
+    threadId: mail.threadId || "",
+    gmailLink: mail.gmailLink || "",
+    actionLink,
+    meta: Object.assign({}, mail.meta || {}, { expiresSource: deadline.source })
+  }, rule, now, expiresAt);
+
   // -------------------------
   // EVENT 3: HOURLY CHAIN + FINAL
   // -------------------------
-  startHourlyChainForMail_(runId, mail, baseId, longStart, expiresAt);
+  startHourlyChainForMail_(runId, mail, rule, baseId, plan, deadline, actionLink, cal.getId(), allDayIds);
 
-  sheetLog_(runId, mode, "ALERTS_CREATED", "Созданы: LONG + CHAIN", {
+  sheetLog_(runId, mode, "ALERTS_CREATED", plan.stale ? "Созданы: LONG + CHAIN (сжато в оставшееся время)" : "Созданы: LONG + CHAIN", {
+    rule: rule.id,
     baseId,
     longId,
+    allDayIds,
     receivedAt: receivedAt.toISOString(),
     longStart: longStart.toISOString(),
-    expiresAt: expiresAt.toISOString()
+    expiresAt: expiresAt.toISOString(),
+    expiresSource: deadline.source,
+    stale: plan.stale,
+    actionLink
+  });
+}
+
+// Политика skip/notice (или compress, когда срок уже прошёл): вместо комплекта —
+// строка в логе и, для notice, одно событие «сейчас» с уведомлением по каналам
+function handleStaleMail_(runId, mail, rule, plan, baseId, actionLink) {
+  const mode = mail.mode || "LIVE";
+  const stale = plan.stale;
+  const payload = {
+    rule: rule.id,
+    baseId,
+    policy: stale.policy,
+    expired: stale.expired,
+    remainingMinutes: stale.remainingMinutes,
+    lagMinutes: stale.lagMinutes,
+    receivedAt: plan.receivedAt.toISOString(),
+    expiresAt: plan.expiresAt.toISOString(),
+    expiresSource: plan.expiresSource
+  };
+
+  if (stale.policy === "skip") {
+    slogOk_(runId, "STALE_SKIPPED", "Письмо подхвачено слишком поздно: алерты не создаём", payload);
+    sheetLog_(runId, mode, "STALE_SKIPPED", "Письмо подхвачено поздно — пропущено", payload);
+    return;
+  }
+
+  const cal = getAlertCalendar_();
+  const now = new Date(plan.now);
+  const noticeId = baseId + "|STALE";
+  payload.noticeId = noticeId;
+
+  if (findEventById_(cal, addMinutes_(now, -60), addMinutes_(now, 60), noticeId, { allowAllDay: false })) {
+    slogOk_(runId, "STALE_EXISTS", "Событие о пропущенном письме уже есть (по ID)", payload);
+    return;
+  }
+
+  const subjectShort = truncate_(mail.subject || "(без темы)", 120);
+  const title = (stale.expired ? "⌛ Срок истёк" : "⌛ Срок почти истёк") + " - " + subjectShort + ". Дедлайн " + formatDateTime_(plan.expiresAt);
+  const description = buildDescriptionNew_({
+    id: noticeId,
+    mode,
+    kind: "STALE",
+    ruleId: rule.id,
+    actionLink,
+    expectedSender: rule.senderEmail,
+    inbox: CONFIG.YOUR_INBOX_EMAIL,
+    subject: mail.subject || "",
+    receivedAt: plan.receivedAt,
+    expiresAt: plan.expiresAt,
+    gmailLink: mail.gmailLink || "",
+    threadId: mail.threadId || "",
+    eventStart: now,
+    meta: mail.meta || {}
+  });
+
+  const ev = cal.createEvent(title, now, addMinutes_(now, 15), buildEventOptions_(description, actionLink));
+  registerAlertEvent_(ev, noticeId);
+  applyEventColor_(ev, "STALE");
+  ev.removeAllReminders();
+  ev.addPopupReminder(0);
+
+  notifyAlert_(runId, rule, "STALE", {
+    mode,
+    baseId,
+    subject: mail.subject || "",
+    expiresAt: plan.expiresAt,
+    signalAt: now,
+    actionLink,
+    gmailLink: mail.gmailLink || ""
   });
+
+  slogOk_(runId, "STALE_NOTICE", "Письмо подхвачено поздно: создано событие-уведомление", payload);
+  sheetLog_(runId, mode, "STALE_NOTICE", stale.expired ? "Срок письма истёк до обработки" : "Срок письма почти истёк до обработки", payload);
 }
 
 /***********************
- * TEST: find latest mail from sender
+ * TEST: find latest mail by rule
  ***********************/
-function findLatestMailFromSender_(runId, senderEmail, lookbackDays) {
+function findLatestMailForRule_(runId, rule, lookbackDays) {
   try {
-    const query = `from:${senderEmail} newer_than:${lookbackDays}d`;
-    slogVerbose_(runId, "TEST_GMAIL_QUERY", "TEST: поиск последнего письма", { query });
+    const query = `${buildRuleSearchQuery_(rule)} newer_than:${lookbackDays}d`;
+    slogVerbose_(runId, "TEST_GMAIL_QUERY", "TEST: поиск последнего письма", { rule: rule.id, query });
 
     const threads = GmailApp.search(query, 0, 10);
     slogVerbose_(runId, "TEST_GMAIL_THREADS", "TEST: тредов найдено", { threadsFound: threads.length });
@@ -758,6 +1998,8 @@ function findLatestMailFromSender_(runId, senderEmail, lookbackDays) {
           subject: msg.getSubject(),
           realReceivedAt: d,
           messageId: msg.getId(),
+          body: getMessageBodyText_(msg),
+          html: getMessageBodyHtml_(msg),
           gmailLink: buildGmailThreadLink_(threadId),
           gmailMessageLink: buildGmailMessageLink_(msg)
         };
@@ -765,6 +2007,7 @@ function findLatestMailFromSender_(runId, senderEmail, lookbackDays) {
     }
 
     slogInfo_(runId, "TEST_LATEST_PICKED", "TEST: выбрано последнее письмо", {
+      rule: rule.id,
       threadId: best.threadId,
       subject: best.subject,
       realReceivedAt: best.realReceivedAt.toString(),
@@ -781,11 +2024,172 @@ function findLatestMailFromSender_(runId, senderEmail, lookbackDays) {
   }
 }
 
+/***********************
+ * ALERT CALENDAR
+ ***********************/
+const ALERT_CALENDAR_ID_PROP_ = "MAILALERT_CALENDAR_ID";
+let alertCalendarCache_ = null;
+
+/**
+ * Календарь для новых событий: ALERT_CALENDAR_NAME (создаётся, если нет).
+ * Id запоминается в ScriptProperties — календарь можно переименовать.
+ */
+function getAlertCalendar_() {
+  if (alertCalendarCache_) return alertCalendarCache_;
+
+  const name = CONFIG.ALERT_CALENDAR_NAME;
+  if (!name) {
+    alertCalendarCache_ = CalendarApp.getDefaultCalendar();
+    return alertCalendarCache_;
+  }
+
+  const props = PropertiesService.getScriptProperties();
+  const savedId = props.getProperty(ALERT_CALENDAR_ID_PROP_);
+  let cal = null;
+  if (savedId) {
+    try { cal = CalendarApp.getCalendarById(savedId); } catch (e) { cal = null; }
+  }
+
+  if (!cal) {
+    const found = CalendarApp.getCalendarsByName(name);
+    cal = found && found.length ? found[0] : CalendarApp.createCalendar(name);
+    props.setProperty(ALERT_CALENDAR_ID_PROP_, cal.getId());
+  }
+
+  alertCalendarCache_ = cal;
+  return cal;
+}
+
+// Календарь цепочки: тот, где она создавалась; у состояний старых версий — по умолчанию
+function getChainCalendar_(st) {
+  if (st && st.calendarId) {
+    try {
+      const cal = CalendarApp.getCalendarById(st.calendarId);
+      if (cal) return cal;
+    } catch (e) {}
+  }
+  if (st && !st.calendarId && st.chainId) return CalendarApp.getDefaultCalendar();
+  return getAlertCalendar_();
+}
+
+function applyEventColor_(ev, kind) {
+  const raw = CONFIG.EVENT_COLORS ? CONFIG.EVENT_COLORS[kind] : "";
+  if (!raw) return;
+  const color = CalendarApp.EventColor[raw] || String(raw);
+  try { ev.setColor(color); } catch (e) {
+    console.error(`[calendar] Не удалось задать цвет "${raw}" для ${kind}: ${e}`);
+  }
+}
+
+/***********************
+ * ALLDAY ANCHORS
+ ***********************/
+
+// Якорей не больше, чем дней в самом длинном окне (ACTIVE_WINDOW_HOURS до 30 суток)
+const ALLDAY_MAX_DAYS_ = 31;
+
+/**
+ * Якорь «весь день» на каждый день [from; expiresAt] в поясе правила:
+ * baseId|ALLDAY|yyyyMMdd, без напоминаний, с дедлайном и ссылкой для действия.
+ * Уже созданный якорь (по ID) получает актуальные заголовок и описание —
+ * продление дедлайна не плодит дублей. ctx — поля письма/состояния цепочки.
+ * Возвращает ID всех якорей окна ([] — якоря у правила выключены).
+ */
+function ensureAllDayAnchors_(runId, cal, ctx, rule, from, expiresAt) {
+  if (!rule.allDayAnchor) return [];
+
+  const mode = ctx.mode || "LIVE";
+  const title = buildEventTitle_("ALLDAY", ctx.subject, ctx.receivedAt, expiresAt, mode === "TEST");
+  const days = listAnchorDays_(from, expiresAt, rule.timeZone);
+  const ids = [];
+  const created = [];
+
+  for (let i = 0; i < days.length; i++) {
+    const id = ctx.baseId + "|ALLDAY|" + days[i].key;
+    const description = buildDescriptionNew_({
+      id,
+      mode,
+      kind: "ALLDAY",
+      ruleId: rule.id,
+      actionLink: ctx.actionLink || "",
+      expectedSender: rule.senderEmail,
+      inbox: CONFIG.YOUR_INBOX_EMAIL,
+      subject: ctx.subject || "",
+      receivedAt: ctx.receivedAt,
+      expiresAt,
+      gmailLink: ctx.gmailLink || "",
+      threadId: ctx.threadId || "",
+      eventStart: days[i].date,
+      meta: ctx.meta || {}
+    });
+
+    const existing = findEventById_(cal, addHours_(days[i].date, -12), addHours_(days[i].date, 12), id, { allowAllDay: true });
+    if (existing) {
+      if (existing.getTitle() !== title) existing.setTitle(title);
+      if (existing.getDescription() !== description) existing.setDescription(description);
+    } else {
+      const ev = cal.createAllDayEvent(title, days[i].date, buildEventOptions_(description, ctx.actionLink));
+      registerAlertEvent_(ev, id);
+      applyEventColor_(ev, "ALLDAY");
+      ev.removeAllReminders();
+      created.push(id);
+    }
+    ids.push(id);
+  }
+
+  if (created.length) {
+    slogOk_(runId, "ALLDAY_CREATED", "Созданы якоря ALLDAY", { rule: rule.id, baseId: ctx.baseId, ids: created });
+  }
+  return ids;
+}
+
+// Дни окна в поясе правила: { key: "yyyyMMdd", date: полдень этого дня }.
+// Полдень — чтобы createAllDayEvent взял тот же день и в соседних поясах.
+function listAnchorDays_(from, to, timeZone) {
+  const lastKey = Utilities.formatDate(addMinutes_(to, -1), timeZone, "yyyyMMdd");
+  const days = [];
+  let key = Utilities.formatDate(from, timeZone, "yyyyMMdd");
+
+  while (key <= lastKey && days.length < ALLDAY_MAX_DAYS_) {
+    const y = Number(key.slice(0, 4));
+    const mo = Number(key.slice(4, 6));
+    const d = Number(key.slice(6, 8));
+    days.push({ key, date: wallTimeToDate_(y, mo, d, 12, 0, timeZone) });
+    key = Utilities.formatDate(wallTimeToDate_(y, mo, d + 1, 12, 0, timeZone), timeZone, "yyyyMMdd");
+  }
+  return days;
+}
+
+// Удаляет якоря комплекта: ids из состояния и всё, что есть в карте под baseId|ALLDAY|
+function removeAllDayAnchors_(cal, baseId, ids, from, to) {
+  const mapped = listMappedAlertIds_(PropertiesService.getScriptProperties().getProperties(), baseId + "|ALLDAY|");
+  const all = (ids || []).concat(mapped.filter(id => (ids || []).indexOf(id) === -1));
+  const removed = [];
+
+  for (let i = 0; i < all.length; i++) {
+    const ev = findEventById_(cal, from, to, all[i], { allowAllDay: true });
+    if (!ev) continue;
+    deleteAlertEvent_(ev, all[i]);
+    removed.push(all[i]);
+  }
+  return removed;
+}
+
 /***********************
  * FIND EVENT BY ID (anti-duplicate)
  ***********************/
+
+/**
+ * Событие по alertId: сначала карта alertId -> eventId (getEventById),
+ * затем запасной скан окна [from; to] по тегу/описанию. Найденное сканом
+ * событие снова попадает в карту и получает тег (самовосстановление).
+ */
 function findEventById_(cal, from, to, alertId, opts) {
   const allowAllDay = opts && typeof opts.allowAllDay === "boolean" ? opts.allowAllDay : true;
+
+  const mapped = getMappedAlertEvent_(cal, alertId);
+  if (mapped && (allowAllDay || !safeIsAllDay_(mapped))) return mapped;
+
   const events = cal.getEvents(from, to);
 
   for (let i = 0; i < events.length; i++) {
@@ -795,14 +2199,110 @@ function findEventById_(cal, from, to, alertId, opts) {
       continue;
     }
 
-    const desc = ev.getDescription() || "";
-    if (desc.indexOf("MAILALERT_ID: " + alertId) !== -1) {
+    if (eventMatchesAlertId_(ev, alertId)) {
+      registerAlertEvent_(ev, alertId);
       return ev;
     }
   }
   return null;
 }
 
+// getEventById отдаёт и удалённые (cancelled) события: живое событие
+// должно быть и в выборке getEvents на своё время (проверяет getMappedAlertEvent_)
+function isEventListed_(cal, ev) {
+  const id = ev.getId();
+  const events = cal.getEvents(addMinutes_(ev.getStartTime(), -1), addMinutes_(ev.getEndTime(), 1));
+  return events.some(e => e.getId() === id);
+}
+
+/***********************
+ * ALERT EVENT MAP (alertId -> calendar eventId)
+ ***********************/
+const EVENT_MAP_PREFIX_ = "MAILALERT_EVMAP:";
+const ALERT_TAG_KEY_ = "MAILALERT_ID";
+
+// Тег на событии + запись в карте. until — для очистки старых записей.
+function registerAlertEvent_(ev, alertId) {
+  try {
+    if (safeGetAlertTag_(ev) !== alertId) ev.setTag(ALERT_TAG_KEY_, alertId);
+  } catch (e) {}
+
+  const entry = { eventId: ev.getId(), calendarId: safeGetEventCalendarId_(ev), until: ev.getEndTime().toISOString() };
+  PropertiesService.getScriptProperties().setProperty(EVENT_MAP_PREFIX_ + alertId, JSON.stringify(entry));
+}
+
+function forgetAlertEvent_(alertId) {
+  PropertiesService.getScriptProperties().deleteProperty(EVENT_MAP_PREFIX_ + alertId);
+}
+
+// Событие из карты; устаревшая запись (события нет, оно удалено или это чужое событие) удаляется
+function getMappedAlertEvent_(cal, alertId) {
+  const raw = PropertiesService.getScriptProperties().getProperty(EVENT_MAP_PREFIX_ + alertId);
+  if (!raw) return null;
+
+  let entry = null;
+  try { entry = JSON.parse(raw); } catch (e) { entry = null; }
+
+  let ev = null;
+  let entryCal = cal;
+  if (entry && entry.eventId) {
+    // Запись помнит свой календарь: событие могло быть создано до смены ALERT_CALENDAR_NAME
+    if (entry.calendarId && entry.calendarId !== cal.getId()) {
+      try { entryCal = CalendarApp.getCalendarById(entry.calendarId) || cal; } catch (e) { entryCal = cal; }
+    }
+    try { ev = entryCal.getEventById(entry.eventId); } catch (e) { ev = null; }
+  }
+
+  if (ev && eventMatchesAlertId_(ev, alertId) && isEventListed_(entryCal, ev)) return ev;
+
+  forgetAlertEvent_(alertId);
+  return null;
+}
+
+function deleteAlertEvent_(ev, alertId) {
+  ev.deleteEvent();
+  forgetAlertEvent_(alertId);
+}
+
+function eventMatchesAlertId_(ev, alertId) {
+  if (safeGetAlertTag_(ev) === alertId) return true;
+  return extractLineValue_(ev.getDescription() || "", "MAILALERT_ID") === alertId;
+}
+
+function safeGetEventCalendarId_(ev) {
+  try { return ev.getOriginalCalendarId() || ""; } catch (e) { return ""; }
+}
+
+function safeGetAlertTag_(ev) {
+  try { return ev.getTag(ALERT_TAG_KEY_) || ""; } catch (e) { return ""; }
+}
+
+function listMappedAlertIds_(allProps, idPrefix) {
+  const out = [];
+  const keys = Object.keys(allProps);
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i].indexOf(EVENT_MAP_PREFIX_ + (idPrefix || "")) !== 0) continue;
+    out.push(keys[i].slice(EVENT_MAP_PREFIX_.length));
+  }
+  return out;
+}
+
+// Записи о давно закончившихся событиях не нужны: лимит ScriptProperties — 500 КБ
+function pruneAlertEventMap_(now) {
+  const props = PropertiesService.getScriptProperties();
+  const all = props.getProperties();
+  const ids = listMappedAlertIds_(all, "");
+  const cutoff = addHours_(now, -48).getTime();
+
+  for (let i = 0; i < ids.length; i++) {
+    let entry = null;
+    try { entry = JSON.parse(all[EVENT_MAP_PREFIX_ + ids[i]]); } catch (e) { entry = null; }
+    if (!entry || !entry.until || new Date(entry.until).getTime() < cutoff) {
+      props.deleteProperty(EVENT_MAP_PREFIX_ + ids[i]);
+    }
+  }
+}
+
 function safeIsAllDay_(ev) {
   try { return ev.isAllDayEvent(); } catch (e) { return false; }
 }
@@ -821,35 +2321,274 @@ function ceilToMinutes_(dt, stepMinutes) {
   return new Date(roundedMs);
 }
 
-function ceilToHour_(dt) {
-  const rounded = ceilToMinutes_(dt, 60);
-  return rounded;
+// Округление вверх до начала часа по часам пояса timeZone (важно для поясов
+// со смещением не на целый час). Сам час — ровно 60 минут реального времени.
+function ceilToHour_(dt, timeZone) {
+  return ceilToLocalStep_(dt, 60, timeZone);
 }
 
-function isInQuietHours_(dt) {
-  const h = dt.getHours();
-  return (h >= CONFIG.QUIET_HOUR_START) || (h < CONFIG.QUIET_HOUR_END);
+// То же для шага stepMinutes: сетка от местной полуночи (30 мин = :00 и :30)
+function ceilToLocalStep_(dt, stepMinutes, timeZone) {
+  const offsetMs = tzOffsetMinutes_(dt, timeZone || Session.getScriptTimeZone()) * 60000;
+  const stepMs = stepMinutes * 60 * 1000;
+  return new Date(Math.ceil((dt.getTime() + offsetMs) / stepMs) * stepMs - offsetMs);
 }
 
 /***********************
- * ID BUILDING
+ * QUIET HOURS
  ***********************/
-function buildBaseId_(mode, threadId, receivedAt, now) {
-  const tid8 = String(threadId || "NO_THREAD").slice(-8);
 
-  // minute key:
-  // LIVE: можно стабильно от receivedAt
-  // TEST: хотим независимый запуск — используем now
-  const keyDate = mode === "TEST" ? now : receivedAt;
+// Тихий график правила: quietSchedule или одно ночное окно из quietHourStart/End
+function getQuietSchedule_(rule) {
+  if (rule.quietSchedule) return rule.quietSchedule;
+  const hh = h => String(h).padStart(2, "0") + ":00";
+  return { "*": [hh(rule.quietHourStart) + "-" + hh(rule.quietHourEnd)] };
+}
+
+// Окна дня недели в минутах от полуночи: [{ start, end }], end <= start — через полночь
+function getQuietWindowsForDay_(schedule, weekday) {
+  const list = schedule[String(weekday)] || schedule["*"] || [];
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    const m = String(list[i]).match(/^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/);
+    if (!m) continue;
+    out.push({ start: Number(m[1]) * 60 + Number(m[2]), end: Number(m[3]) * 60 + Number(m[4]) });
+  }
+  return out;
+}
+
+function parseHhMm_(value) {
+  const m = String(value || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : 0;
+}
+
+// Дата и время dt по часам пояса: { y, mo, d, hh, mi, weekday } (weekday: 0 = вс)
+function getZonedParts_(dt, timeZone) {
+  const p = Utilities.formatDate(dt, timeZone, "yyyy-MM-dd-HH-mm").split("-").map(Number);
+  return {
+    y: p[0],
+    mo: p[1],
+    d: p[2],
+    hh: p[3],
+    mi: p[4],
+    weekday: new Date(Date.UTC(p[0], p[1] - 1, p[2])).getUTCDay()
+  };
+}
+
+function isInQuietHours_(dt, rule) {
+  const parts = getZonedParts_(dt, rule.timeZone);
+  const day = parts.weekday;
+  const min = parts.hh * 60 + parts.mi;
+  const schedule = getQuietSchedule_(rule);
+
+  // Окна сегодняшнего дня и хвосты вчерашних окон через полночь
+  const today = getQuietWindowsForDay_(schedule, day);
+  for (let i = 0; i < today.length; i++) {
+    const w = today[i];
+    if (w.start < w.end ? (min >= w.start && min < w.end) : min >= w.start) return true;
+  }
+  const yesterday = getQuietWindowsForDay_(schedule, (day + 6) % 7);
+  for (let i = 0; i < yesterday.length; i++) {
+    const w = yesterday[i];
+    if (w.end <= w.start && min < w.end) return true;
+  }
+
+  const sh = rule.quietShabbat;
+  if (sh && sh.enabled) {
+    if (day === 5 && min >= parseHhMm_(sh.start)) return true;
+    if (day === 6 && min < parseHhMm_(sh.end)) return true;
+  }
+
+  return isQuietHoliday_(dt, rule);
+}
+
+/**
+ * Для dt в тихом времени — ближайший момент, когда тишина заканчивается: перебираем
+ * границы (концы окон, конец Шаббата, полночи для праздников) на 8 дней вперёд.
+ * null — тишина не заканчивается (ошибка графика).
+ */
+function getQuietEndAfter_(dt, rule) {
+  const schedule = getQuietSchedule_(rule);
+  const sh = rule.quietShabbat;
+  const tz = rule.timeZone;
+  const p = getZonedParts_(dt, tz);
+  const candidates = [];
+
+  for (let d = -1; d <= 8; d++) {
+    const weekday = (p.weekday + d + 7) % 7;
+
+    candidates.push(wallTimeToDate_(p.y, p.mo, p.d + d, 0, 0, tz));
+
+    const windows = getQuietWindowsForDay_(schedule, weekday);
+    for (let i = 0; i < windows.length; i++) {
+      const w = windows[i];
+      const endDay = w.end <= w.start ? d + 1 : d;
+      candidates.push(wallTimeToDate_(p.y, p.mo, p.d + endDay, 0, w.end, tz));
+    }
+
+    if (sh && sh.enabled && weekday === 6) {
+      candidates.push(wallTimeToDate_(p.y, p.mo, p.d + d, 0, parseHhMm_(sh.end), tz));
+    }
+  }
+
+  candidates.sort((a, b) => a.getTime() - b.getTime());
+  for (let i = 0; i < candidates.length; i++) {
+    const c = candidates[i];
+    if (c.getTime() <= dt.getTime()) continue;
+    if (!isInQuietHours_(c, rule)) return c;
+  }
+  return null;
+}
+
+// Кэш праздников на время выполнения: "<calendarId>|<yyyy-MM-dd>" -> boolean
+let quietHolidayCache_ = {};
+
+function isQuietHoliday_(dt, rule) {
+  const calendarId = rule.quietHolidayCalendarId;
+  if (!calendarId) return false;
+
+  const p = getZonedParts_(dt, rule.timeZone);
+  // Полдень дня по поясу правила: getEventsForDay не уедет на соседние сутки
+  const day = wallTimeToDate_(p.y, p.mo, p.d, 12, 0, rule.timeZone);
+  const key = calendarId + "|" + p.y + "-" + p.mo + "-" + p.d;
+  if (Object.prototype.hasOwnProperty.call(quietHolidayCache_, key)) return quietHolidayCache_[key];
+
+  let isHoliday = false;
+  try {
+    const cal = CalendarApp.getCalendarById(calendarId);
+    if (!cal) throw new Error("Календарь не найден");
+
+    const pattern = CONFIG.QUIET_HOLIDAY_TITLE_PATTERN ? new RegExp(CONFIG.QUIET_HOLIDAY_TITLE_PATTERN, "i") : null;
+    const events = cal.getEventsForDay(day);
+    for (let i = 0; i < events.length; i++) {
+      if (!safeIsAllDay_(events[i])) continue;
+      if (pattern && !pattern.test(events[i].getTitle() || "")) continue;
+      isHoliday = true;
+      break;
+    }
+  } catch (err) {
+    console.error(`[quiet] Не удалось прочитать календарь праздников "${calendarId}": ${err}`);
+  }
+
+  quietHolidayCache_[key] = isHoliday;
+  return isHoliday;
+}
+
+/***********************
+ * BUSY CALENDARS
+ ***********************/
+
+// Занятые интервалы [{ start, end }] (мс, слиты и отсортированы) из календарей правила
+function loadBusyIntervals_(rule, from, to) {
+  const ids = rule.busyCalendarIds || [];
+  const raw = [];
+
+  for (let i = 0; i < ids.length; i++) {
+    try {
+      const cal = ids[i] === "default" ? CalendarApp.getDefaultCalendar() : CalendarApp.getCalendarById(ids[i]);
+      if (!cal) throw new Error("Календарь не найден");
+
+      const events = cal.getEvents(from, to);
+      for (let j = 0; j < events.length; j++) {
+        const ev = events[j];
+        if (safeIsAllDay_(ev) || safeGetAlertTag_(ev)) continue;
+        if (isDeclinedEvent_(ev)) continue;
+        raw.push({ start: ev.getStartTime().getTime(), end: ev.getEndTime().getTime() });
+      }
+    } catch (err) {
+      console.error(`[busy] Не удалось прочитать календарь занятости "${ids[i]}": ${err}`);
+    }
+  }
+
+  raw.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (let i = 0; i < raw.length; i++) {
+    const last = merged[merged.length - 1];
+    if (last && raw[i].start <= last.end) last.end = Math.max(last.end, raw[i].end);
+    else merged.push({ start: raw[i].start, end: raw[i].end });
+  }
+  return merged;
+}
+
+function isDeclinedEvent_(ev) {
+  try { return ev.getMyStatus() === CalendarApp.GuestStatus.NO; } catch (e) { return false; }
+}
+
+/**
+ * Сигналы внутри занятых интервалов: shift — на ближайшую свободную минуту
+ * (минута до начала встречи или её конец), double — плюс повтор в конце встречи.
+ * Новая минута должна быть не раньше notBefore, раньше expiresAt и не в тихие часы;
+ * иначе сигнал остаётся как был. Каждая правка пишется в adjusted.
+ */
+function applyBusySlots_(signals, busy, rule, notBefore, expiresAt, adjusted) {
+  const mode = rule.busySignalMode === "double" ? "double" : "shift";
+  const minMs = notBefore.getTime();
+  const maxMs = expiresAt.getTime();
+  const usable = ms => ms >= minMs && ms < maxMs && !isInQuietHours_(new Date(ms), rule) && !findBusyInterval_(busy, ms);
+
+  const out = [];
+  for (let i = 0; i < signals.length; i++) {
+    const t = signals[i].getTime();
+    const slot = findBusyInterval_(busy, t);
+    if (!slot) {
+      out.push(t);
+      continue;
+    }
+
+    const before = slot.start - 60000;
+    const after = slot.end;
+    let target = null;
+    if (mode === "double") {
+      out.push(t);
+      if (usable(after)) target = after;
+    } else {
+      const options = [before, after]
+        .filter(usable)
+        .sort((a, b) => Math.abs(a - t) - Math.abs(b - t));
+      target = options.length ? options[0] : null;
+      if (target === null) out.push(t);
+    }
+
+    if (target !== null) {
+      out.push(target);
+      adjusted.push({ mode, from: new Date(t), to: new Date(target), busyStart: new Date(slot.start), busyEnd: new Date(slot.end) });
+    }
+  }
+
+  // Перенос мог совпасть с соседним сигналом
+  const unique = out.filter((ms, i) => out.indexOf(ms) === i).sort((a, b) => a - b);
+  return unique.map(ms => new Date(ms));
+}
+
+function findBusyInterval_(busy, ms) {
+  for (let i = 0; i < busy.length; i++) {
+    if (ms >= busy[i].start && ms < busy[i].end) return busy[i];
+  }
+  return null;
+}
+
+/***********************
+ * ID BUILDING
+ ***********************/
+function buildBaseId_(mode, threadId, receivedAt, now, ruleId, timeZone) {
+  const tid8 = String(threadId || "NO_THREAD").slice(-8);
+
+  // minute key:
+  // LIVE: можно стабильно от receivedAt
+  // TEST: хотим независимый запуск — используем now
+  const keyDate = mode === "TEST" ? now : receivedAt;
 
-  const y = keyDate.getFullYear();
-  const m = String(keyDate.getMonth() + 1).padStart(2, "0");
-  const d = String(keyDate.getDate()).padStart(2, "0");
-  const hh = String(keyDate.getHours()).padStart(2, "0");
-  const mm = String(keyDate.getMinutes()).padStart(2, "0");
+  // TEST|YYYYMMDDHHMM|Txxxxxxxx|Rbank (минута — в поясе правила); LEGACY_RULE_ID — без |R
+  return `${mode}|${formatYYYYMMDDHHMM_(keyDate, timeZone)}|T${tid8}${ruleIdSuffix_(ruleId)}`;
+}
+
+function ruleIdSuffix_(ruleId) {
+  return !ruleId || ruleId === CONFIG.LEGACY_RULE_ID ? "" : "|R" + ruleId;
+}
 
-  // TEST|YYYYMMDDHHMM|Txxxxxxxx
-  return `${mode}|${y}${m}${d}${hh}${mm}|T${tid8}`;
+// Правило цепочки: у состояний прежней версии ruleId нет
+function chainRuleId_(st) {
+  return st.ruleId || CONFIG.LEGACY_RULE_ID || "";
 }
 
 /***********************
@@ -863,6 +2602,9 @@ function buildDescriptionNew_(p) {
 
   let lines = [];
 
+  // Ссылка для действия — первой строкой, чтобы открыть в одно касание
+  if (p.actionLink) lines.push("Ссылка для действия: " + p.actionLink);
+
   if (p.kind === "LONG") {
     lines.push("Событие активно:");
     if (eventStart) lines.push("с " + formatDateTime_(eventStart));
@@ -877,9 +2619,26 @@ function buildDescriptionNew_(p) {
     if (expiresAt && eventStart) {
       lines.push("Осталось до дедлайна: " + formatDuration_(eventStart, expiresAt));
     }
+  } else if (p.kind === "AUTH") {
+    lines.push("Письмо не прошло проверку подлинности (DKIM/SPF/DMARC) и помещено в карантин.");
+    const checks = (p.meta && p.meta.authChecks) || {};
+    lines.push("Проверки (" + ((p.meta && p.meta.authDomain) || "?") + "): " + Object.keys(checks).map(k => k + "=" + checks[k]).join(", "));
+    lines.push("Ссылки из письма не открывать, пока отправитель не подтверждён.");
+  } else if (p.kind === "ALLDAY") {
+    lines.push("Ждём действия по письму.");
+    if (expiresAt) lines.push("Дедлайн: " + formatDateTime_(expiresAt));
+  } else if (p.kind === "STALE") {
+    lines.push("Письмо подхвачено с опозданием.");
+    if (expiresAt && eventStart) {
+      lines.push(expiresAt.getTime() > eventStart.getTime()
+        ? "Осталось до дедлайна: " + formatDuration_(eventStart, expiresAt)
+        : "Дедлайн прошёл " + formatDateTime_(expiresAt));
+    }
   }
 
   if (receivedAt) lines.push("Письмо получено: " + formatDateTime_(receivedAt));
+  const appointmentAt = (p.meta && p.meta.appointmentAt) ? new Date(p.meta.appointmentAt) : null;
+  if (appointmentAt) lines.push("Запись (из письма): " + formatDateTime_(appointmentAt));
   lines.push("Тема: " + subject);
 
   const messageLink = (p.meta && p.meta.gmailMessageLink) ? String(p.meta.gmailMessageLink) : "";
@@ -889,13 +2648,22 @@ function buildDescriptionNew_(p) {
   if (messageLink) {
     lines.push("Письмо (сообщение): " + messageLink);
   }
+  appendAttachmentLines_(lines, p.meta);
 
   // Служебный идентификатор для поиска и удаления
   lines.push("MAILALERT_ID: " + p.id);
+  if (p.ruleId) lines.push("MAILALERT_RULE: " + p.ruleId);
 
   return lines.join("\n");
 }
 
+// Ссылка для действия дублируется в location: в мобильном Calendar она кликабельна
+function buildEventOptions_(description, actionLink) {
+  const opts = { description };
+  if (actionLink) opts.location = actionLink;
+  return opts;
+}
+
 /***********************
  * SHEETS LOG
  ***********************/
@@ -918,12 +2686,16 @@ function withRetries_(label, fn, opts) {
   throw lastErr;
 }
 
+// Таблица лога, если она уже есть (null — ещё не создана)
+function findLogSpreadsheet_() {
+  const files = DriveApp.getFilesByName(CONFIG.LOG_SPREADSHEET_NAME);
+  return files.hasNext() ? SpreadsheetApp.open(files.next()) : null;
+}
+
 function getOrCreateLogSheet_() {
   return withRetries_("getOrCreateLogSheet_", function () {
-    let ss;
-    const files = DriveApp.getFilesByName(CONFIG.LOG_SPREADSHEET_NAME);
-    if (files.hasNext()) ss = SpreadsheetApp.open(files.next());
-    else ss = SpreadsheetApp.create(CONFIG.LOG_SPREADSHEET_NAME);
+    let ss = findLogSpreadsheet_();
+    if (!ss) ss = SpreadsheetApp.create(CONFIG.LOG_SPREADSHEET_NAME);
 
     let sheet = ss.getSheetByName(CONFIG.LOG_SHEET_NAME);
     if (!sheet) sheet = ss.insertSheet(CONFIG.LOG_SHEET_NAME);
@@ -1021,327 +2793,2593 @@ function slogErr_(runId, step, message, obj) {
 }
 
 /***********************
- * GMAIL LABEL
+ * BODY: DEADLINE EXTRACTION
  ***********************/
-function getOrCreateGmailLabel_(labelName) {
-  let label = GmailApp.getUserLabelByName(labelName);
-  if (!label) label = GmailApp.createLabel(labelName);
-  return label;
-}
 
-function buildGmailThreadLink_(threadId) {
-  if (threadId) return "https://mail.google.com/mail/u/0/#inbox/" + threadId;
-  return "https://mail.google.com/mail/u/0/#inbox";
-}
+// Экстракторы дедлайна: name -> fn(text, ctx) => { expiresAt, appointmentAt, match } | null.
+// ctx = { receivedAt, timeZone }. Правило перечисляет имена в deadlineExtractors.
+const DEADLINE_EXTRACTORS_ = {
+  kdmid: extractDeadlineKdmid_,
+  generic: extractDeadlineGeneric_
+};
 
-function buildGmailMessageLink_(message) {
-  try {
-    const header = message.getHeader("Message-ID");
-    if (header) {
-      const clean = String(header).replace(/[<>]/g, "");
-      return "https://mail.google.com/mail/u/0/#search/rfc822msgid:" + encodeURIComponent(clean);
-    }
-  } catch (e) {}
+/**
+ * expiresAt для письма: первый сработавший экстрактор правила,
+ * иначе receivedAt + activeWindowHours.
+ * source: "body:<extractor>" | "fixed_window" — пишется в ALERT_PLAN и в лог.
+ */
+function resolveDeadline_(mail, rule) {
+  const receivedAt = new Date(mail.receivedAt);
+  const fixed = {
+    expiresAt: addHours_(receivedAt, rule.activeWindowHours),
+    appointmentAt: null,
+    source: "fixed_window",
+    match: ""
+  };
 
-  try {
-    const id = message.getId();
-    if (id) return "https://mail.google.com/mail/u/0/#inbox/" + id;
-  } catch (e) {}
+  // TEST: receivedAt=now, а текст — от старого письма, его даты уже в прошлом
+  if (mail.mode === "TEST" || !mail.body) return fixed;
 
-  return "https://mail.google.com/mail/u/0/#inbox";
-}
+  const text = normalizeBodyText_(mail.body);
+  const ctx = { receivedAt, timeZone: rule.bodyTimeZone || rule.timeZone };
+  const maxMs = receivedAt.getTime() + CONFIG.BODY_DEADLINE_MAX_DAYS * 24 * 60 * 60 * 1000;
+  const names = rule.deadlineExtractors || [];
 
-/***********************
- * CHAIN: HOURLY EVENTS
- ***********************/
-function startHourlyChainForMail_(runId, mail, baseId, longStart, expiresAt) {
-  const chainId = baseId + "|HCHAIN";
+  for (let i = 0; i < names.length; i++) {
+    const fn = DEADLINE_EXTRACTORS_[names[i]];
+    if (!fn) {
+      console.error(`[deadline] Неизвестный экстрактор "${names[i]}" в правиле "${rule.id}"`);
+      continue;
+    }
 
-  if (getHourlyChainState_(chainId)) {
-    slogOk_(runId, "HCHAIN_EXISTS", "HOURLY-CHAIN уже запущена", { chainId });
-    return;
-  }
+    let res = null;
+    try { res = fn(text, ctx); } catch (e) { res = null; }
+    if (!res || !res.expiresAt) continue;
 
-  const signals = buildHourlySignals_(longStart, expiresAt);
-  if (!signals.length) {
-    slogOk_(runId, "HCHAIN_SKIP", "HOURLY-CHAIN не нужна: нет сигналов", {});
-    return;
-  }
+    const ms = res.expiresAt.getTime();
+    if (ms <= receivedAt.getTime() || ms > maxMs) continue;
 
-  const blocks = buildHourlyBlocks_(signals);
-  if (!blocks.length) {
-    slogOk_(runId, "HCHAIN_SKIP", "HOURLY-CHAIN не нужна: нет блоков", {});
-    return;
+    return {
+      expiresAt: res.expiresAt,
+      appointmentAt: res.appointmentAt || null,
+      source: "body:" + names[i],
+      match: truncate_(res.match || "", 120)
+    };
   }
 
-  const first = blocks[0];
-  const ctx = {
-    mode: mail.mode || "LIVE",
-    subject: mail.subject || "",
-    threadId: mail.threadId || "",
-    gmailLink: mail.gmailLink || "",
-    meta: mail.meta || {},
-    receivedAt: mail.receivedAt,
-    expiresAt: expiresAt.toISOString()
-  };
-  const eventId = createHourlyBlockEvent_(ctx, chainId, 0, first);
-
-  const state = {
-    chainId,
-    baseId,
-    mode: mail.mode || "LIVE",
-    subject: mail.subject || "",
-    threadId: mail.threadId || "",
-    gmailLink: mail.gmailLink || "",
-    meta: mail.meta || {},
-    receivedAt: mail.receivedAt.toISOString(),
-    longStart: longStart.toISOString(),
-    expiresAt: expiresAt.toISOString(),
-    blocks,
-    indexCurrent: 0,
-    currentEventId: eventId,
-    pendingDeleteEventId: "",
-    status: "active"
-  };
-
-  saveHourlyChainState_(state);
-  ensureHourlyChainTrigger_();
+  return fixed;
+}
 
-  slogOk_(runId, "HCHAIN_STARTED", "HOURLY-CHAIN: создан первый блок", {
-    chainId,
-    eventId,
-    start: first.start
+// kdmid: “подтвердите до <дата>”, “ссылка действительна в течение N часов”, “запись на <дата>”
+function extractDeadlineKdmid_(text, ctx) {
+  return extractDeadlineByKeywords_(text, ctx, {
+    deadline: [/подтвер[^.\n]*(до|не позднее)\s*$/i, /действительн\S*\s+(до|по)\s*$/i, "не позднее"],
+    appointment: [/запис\S*\s+на\s*$/i, "дата приема", "дата приёма", "время приема", "время приёма", "приём", "прием"]
   });
 }
 
-function processHourlyChains_() {
-  const now = new Date();
-  const cal = CalendarApp.getDefaultCalendar();
-  const chains = listHourlyChainStates_();
-  if (!chains.length) {
-    cleanupHourlyChainTrigger_();
-    return;
-  }
-
-  for (let i = 0; i < chains.length; i++) {
-    const st = chains[i];
-
-    if (st.pendingDeleteEventId) {
-      const pending = findEventById_(cal, addHours_(now, -48), addHours_(now, 48), st.pendingDeleteEventId, { allowAllDay: false });
-      if (pending) pending.deleteEvent();
-      st.pendingDeleteEventId = "";
-    }
+// Голые “до”/“by”/“until” не годятся: “работаем с 9 до 18”, “sent by” — только фразы срока
+function extractDeadlineGeneric_(text, ctx) {
+  return extractDeadlineByKeywords_(text, ctx, {
+    deadline: [
+      /(действительн|подтверд|оплат|ответьте|ответить)\S*(\s+[^\s\d]+){0,2}\s+(до|по)\s*$/i,
+      "не позднее", "срок", "deadline", "valid till", "valid until", "expires",
+      "confirm by", "respond by", "reply by", "pay by", "no later than"
+    ],
+    appointment: ["appointment", "запись", "приём", "прием", "визит"]
+  });
+}
 
-    if (st.status === "final_cleanup") {
-      deleteHourlyChainState_(st.chainId);
+/**
+ * Общая часть экстракторов: дедлайн — дата/время, перед которой стоит ключевое
+ * слово дедлайна (не дальше двух слов) или RegExp (якорь $ — в самом RegExp); иначе — относительный срок
+ * “в течение N часов/суток”. Запись (appointment) — по своим ключевым словам.
+ */
+function extractDeadlineByKeywords_(text, ctx, keywords) {
+  const found = findDateTimesInText_(text, ctx.timeZone);
+  let deadline = null;
+  let appointment = null;
+
+  for (let i = 0; i < found.length; i++) {
+    const f = found[i];
+    const before = text.slice(Math.max(0, f.index - 60), f.index).toLowerCase();
+
+    if (!deadline && hasKeywordNearEnd_(before, keywords.deadline)) {
+      // “до 20.10.2026” без времени — до 23:59 этого дня по часам (в день перехода DST в сутках не 24 ч)
+      deadline = f.dateOnly ? Object.assign({}, f, { date: endOfWallDay_(f.date, f.timeZone) }) : f;
       continue;
     }
-
-    if (!st.currentEventId) {
-      deleteHourlyChainState_(st.chainId);
-      continue;
+    if (!appointment && hasKeywordNearEnd_(before, keywords.appointment)) {
+      appointment = f;
     }
+  }
 
-    const currentBlock = st.blocks[st.indexCurrent];
-    const exists = findEventById_(cal, addHours_(now, -48), addHours_(now, 48), st.currentEventId, { allowAllDay: false });
-
-    if (!exists) {
-      deleteHourlyChainState_(st.chainId);
-      continue;
+  if (!deadline) {
+    const rel = text.match(/(?:в течение|в течении|within)\s+(\d{1,3})\s*(час|ч\b|hour|сут|day|дн)/i);
+    if (rel) {
+      const n = Number(rel[1]);
+      const unit = rel[2].toLowerCase();
+      const hours = (unit.indexOf("сут") === 0 || unit === "day" || unit.indexOf("дн") === 0) ? n * 24 : n;
+      return {
+        expiresAt: addHours_(ctx.receivedAt, hours),
+        appointmentAt: appointment ? appointment.date : null,
+        match: rel[0]
+      };
     }
+    return null;
+  }
 
-    const currentStart = new Date(currentBlock.start);
-    if (now.getTime() < currentStart.getTime()) {
-      saveHourlyChainState_(st);
+  return {
+    expiresAt: deadline.date,
+    appointmentAt: appointment ? appointment.date : null,
+    match: deadline.text
+  };
+}
+
+function hasKeywordNearEnd_(before, list) {
+  // Ключевое слово должно стоять перед датой, а не где-то в начале длинного абзаца:
+  // между ним и датой — не больше двух слов (“срок действия ссылки: 20.10.2026”)
+  const tail = before.split(/[.!?\n]\s/).pop();
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] instanceof RegExp) {
+      if (list[i].test(tail)) return true;
       continue;
     }
+    const re = new RegExp("(^|[^\\p{L}])" + escapeRegExp_(list[i]) + "(?:[^\\p{L}\\d]+\\p{L}+){0,2}[^\\p{L}\\d]*$", "u");
+    if (re.test(tail)) return true;
+  }
+  return false;
+}
 
-    // Если есть следующий блок — создаём его
-    if (st.indexCurrent < st.blocks.length - 1) {
-      const nextIndex = st.indexCurrent + 1;
-      const nextBlock = st.blocks[nextIndex];
-      const nextEventId = createHourlyBlockEvent_(st, st.chainId, nextIndex, nextBlock);
+const RU_MONTHS_ = {
+  "января": 1, "февраля": 2, "марта": 3, "апреля": 4, "мая": 5, "июня": 6,
+  "июля": 7, "августа": 8, "сентября": 9, "октября": 10, "ноября": 11, "декабря": 12
+};
 
-      st.pendingDeleteEventId = st.currentEventId;
-      st.currentEventId = nextEventId;
-      st.indexCurrent = nextIndex;
-      saveHourlyChainState_(st);
-      continue;
-    }
+/**
+ * Все даты/время в тексте: 20.10.2026 12:00, 2026-10-20 12:00, 20 октября 2026 г. в 12:00.
+ * После времени может стоять пояс: МСК/MSK, UTC+3, GMT+03:00, IANA (Europe/Moscow).
+ * Возвращает [{ date, index, text, dateOnly, timeZone }] по порядку в тексте.
+ */
+function findDateTimesInText_(text, defaultTz) {
+  const timePart = "(?:\\s*(?:г\\.|года)?\\s*(?:в|at|,)?\\s*(\\d{1,2})[:.](\\d{2}))?";
+  const tzPart = "(\\s*\\(?\\s*(?:МСК|MSK|по московскому времени|(?:UTC|GMT)\\s*[+−-]\\s*\\d{1,2}(?::?\\d{2})?|UTC|GMT|(?:Europe|Asia|Africa|America|Australia|Atlantic|Indian|Pacific)/[A-Za-z_]+)\\s*\\)?)?";
+  const patterns = [
+    { re: new RegExp("(\\d{1,2})[./](\\d{1,2})[./](\\d{4})" + timePart + tzPart, "gi"), order: "dmy" },
+    { re: new RegExp("(\\d{4})-(\\d{2})-(\\d{2})(?:[T\\s](\\d{2}):(\\d{2}))?" + tzPart, "gi"), order: "ymd" },
+    { re: new RegExp("(\\d{1,2})\\s+(" + Object.keys(RU_MONTHS_).join("|") + ")\\s+(\\d{4})" + timePart + tzPart, "gi"), order: "dMy" }
+  ];
 
-    // Последний блок: создаём финальное событие №3
-    const finalEventId = createFinalEvent_(st);
-    if (finalEventId) {
-      st.pendingDeleteEventId = st.currentEventId;
-      st.currentEventId = "";
-      st.status = "final_cleanup";
-      saveHourlyChainState_(st);
-    } else {
-      deleteHourlyChainState_(st.chainId);
+  const out = [];
+  for (let p = 0; p < patterns.length; p++) {
+    const re = patterns[p].re;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      let y, mo, d;
+      if (patterns[p].order === "dmy") { d = Number(m[1]); mo = Number(m[2]); y = Number(m[3]); }
+      else if (patterns[p].order === "ymd") { y = Number(m[1]); mo = Number(m[2]); d = Number(m[3]); }
+      else { d = Number(m[1]); mo = RU_MONTHS_[m[2].toLowerCase()]; y = Number(m[3]); }
+
+      const dateOnly = m[4] === undefined;
+      const hh = dateOnly ? 0 : Number(m[4]);
+      const mi = dateOnly ? 0 : Number(m[5]);
+      if (mo < 1 || mo > 12 || d < 1 || d > 31 || hh > 23 || mi > 59) continue;
+
+      const tz = parseBodyTimeZone_(m[6] || "") || defaultTz;
+      out.push({
+        date: wallTimeToDate_(y, mo, d, hh, mi, tz),
+        index: m.index,
+        text: m[0].trim(),
+        dateOnly,
+        timeZone: tz
+      });
     }
   }
 
-  // Удаляем триггер в этом же прогоне, если после обработки цепочек не осталось.
-  cleanupHourlyChainTrigger_();
+  out.sort((a, b) => a.index - b.index);
+  return out;
 }
 
-function buildHourlySignals_(longStart, expiresAt) {
-  const endSignal = addHours_(expiresAt, -1);
-  const firstRaw = addHours_(longStart, 1);
-  let t = ceilToHour_(firstRaw);
+// "МСК" -> Europe/Moscow, "UTC+3" -> GMT+03:00, "Europe/Berlin" -> как есть
+function parseBodyTimeZone_(raw) {
+  const s = String(raw || "").replace(/[()]/g, "").trim();
+  if (!s) return "";
+  if (/^(МСК|MSK|по московскому времени)$/i.test(s)) return "Europe/Moscow";
 
-  const signals = [];
-  while (t.getTime() <= endSignal.getTime()) {
-    if (!isInQuietHours_(t)) signals.push(new Date(t));
-    t = addHours_(t, CONFIG.HOURLY_INTERVAL_HOURS);
+  const off = s.match(/^(?:UTC|GMT)\s*([+−-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (off) {
+    const sign = off[1] === "+" ? "+" : "-";
+    return "GMT" + sign + String(off[2]).padStart(2, "0") + ":" + (off[3] || "00");
   }
+  if (/^(UTC|GMT)$/i.test(s)) return "GMT";
+  return s;
+}
 
-  if (!isInQuietHours_(endSignal)) {
-    if (!signals.length || signals[signals.length - 1].getTime() !== endSignal.getTime()) {
-      signals.push(endSignal);
-    }
-  }
+// Локальное время (стена часов) в поясе timeZone -> Date
+function wallTimeToDate_(y, mo, d, hh, mi, timeZone) {
+  const wallUtc = Date.UTC(y, mo - 1, d, hh, mi);
+  let ts = wallUtc - tzOffsetMinutes_(new Date(wallUtc), timeZone) * 60000;
+  // Второй проход: смещение могло смениться между приближениями (переход DST)
+  ts = wallUtc - tzOffsetMinutes_(new Date(ts), timeZone) * 60000;
+  return new Date(ts);
+}
 
+// 23:59 того же календарного дня в поясе timeZone
+function endOfWallDay_(dt, timeZone) {
+  const ymd = Utilities.formatDate(dt, timeZone, "yyyy-MM-dd").split("-").map(Number);
+  return wallTimeToDate_(ymd[0], ymd[1], ymd[2], 23, 59, timeZone);
+}
+
+// Смещение пояса от UTC в минутах на момент dt ("+0300" -> 180)
+function tzOffsetMinutes_(dt, timeZone) {
+  const z = Utilities.formatDate(dt, timeZone, "Z");
+  const sign = z.charAt(0) === "-" ? -1 : 1;
+  return sign * (Number(z.slice(1, 3)) * 60 + Number(z.slice(3, 5)));
+}
+
+/***********************
+ * BODY: ACTION LINK
+ ***********************/
+
+/**
+ * Ссылка, по которой нужно перейти (подтверждение записи и т.п.).
+ * Кандидаты — href из HTML и URL из plain-текста, по порядку в письме.
+ * Если у правила есть actionLinkPatterns — первая ссылка, совпавшая с одним
+ * из них (по порядку паттернов); иначе — первая ссылка не из ignore-списка.
+ */
+function extractActionLink_(mail, rule) {
+  const candidates = collectBodyLinks_(mail);
+  if (!candidates.length) return "";
+
+  const ignore = (CONFIG.ACTION_LINK_IGNORE_PATTERNS || []).map(p => new RegExp(p, "i"));
+  const usable = candidates.filter(url => !ignore.some(re => re.test(url)));
+  const patterns = rule.actionLinkPatterns || [];
+
+  if (!patterns.length) return usable.length ? usable[0] : "";
+
+  for (let i = 0; i < patterns.length; i++) {
+    let re;
+    try { re = new RegExp(patterns[i], "i"); } catch (e) {
+      console.error(`[link] Неверный actionLinkPatterns "${patterns[i]}" в правиле "${rule.id}"`);
+      continue;
+    }
+    for (let j = 0; j < usable.length; j++) {
+      if (re.test(usable[j])) return usable[j];
+    }
+  }
+  return "";
+}
+
+function collectBodyLinks_(mail) {
+  const out = [];
+  const seen = {};
+  const add = (raw) => {
+    const url = cleanLink_(raw);
+    if (!url || seen[url]) return;
+    seen[url] = true;
+    out.push(url);
+  };
+
+  const html = mail.html || "";
+  const hrefRe = /href\s*=\s*["']([^"']+)["']/gi;
+  let m;
+  while ((m = hrefRe.exec(html)) !== null) {
+    if (/^https?:/i.test(m[1])) add(m[1]);
+  }
+
+  const text = mail.body || "";
+  const urlRe = /https?:\/\/[^\s<>"']+/gi;
+  while ((m = urlRe.exec(text)) !== null) add(m[0]);
+
+  return out;
+}
+
+function cleanLink_(raw) {
+  return String(raw || "")
+    .replace(/&amp;/gi, "&")
+    .trim()
+    .replace(/[).,;:!?»]+$/, "");
+}
+
+/***********************
+ * RUNTIME CONFIG
+ ***********************/
+
+// Пределы Google Calendar: напоминание — не раньше чем за 4 недели, не больше 5 popup на событие
+const REMINDER_MAX_MINUTES_ = 40320;
+const POPUPS_MAX_ = 5;
+
+// Настройки загружаются один раз за выполнение
+let runtimeConfigLoaded_ = false;
+
+// Разобранный лист Config кэшируется, чтобы каждый запуск не открывал Drive/таблицу
+const CONFIG_CACHE_KEY_ = "MAILALERT_CONFIG_SHEET";
+const CONFIG_CACHE_SECONDS_ = 300;
+// Хэш последнего записанного набора ошибок: тот же набор не пишется повторно
+const CONFIG_ERR_HASH_PROP_ = "MAILALERT_CONFIG_ERR_HASH";
+
+/**
+ * Накладывает на CONFIG значения из Script Property CONFIG_PROPERTY_NAME (JSON)
+ * и листа CONFIG_SHEET_NAME (Key | Value). Каждое значение проверяется:
+ * неизвестный ключ, неверный тип или диапазон — значение по умолчанию остаётся,
+ * а все ошибки одной строкой ERR_CONFIG уходят в лог (тот же набор — один раз).
+ */
+function loadRuntimeConfig_(runId) {
+  if (runtimeConfigLoaded_) return;
+  runtimeConfigLoaded_ = true;
+
+  const errors = [];
+  const sources = [];
+  const overrides = {};
+
+  const raw = PropertiesService.getScriptProperties().getProperty(CONFIG.CONFIG_PROPERTY_NAME);
+  if (raw) {
+    try {
+      const obj = JSON.parse(raw);
+      if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("ожидается JSON-объект");
+      Object.assign(overrides, obj);
+      sources.push("property");
+    } catch (err) {
+      errors.push(CONFIG.CONFIG_PROPERTY_NAME + ": не JSON-объект (" + String(err.message || err) + ")");
+    }
+  }
+
+  try {
+    const fromSheet = readConfigSheetCached_(errors);
+    if (fromSheet) {
+      Object.assign(overrides, fromSheet);
+      sources.push("sheet");
+    }
+  } catch (err) {
+    errors.push("Лист " + CONFIG.CONFIG_SHEET_NAME + ": не удалось прочитать (" + String(err) + ")");
+  }
+
+  const applied = [];
+  const valid = {};
+  Object.keys(overrides).forEach(key => {
+    const error = validateConfigValue_(key, overrides[key]);
+    if (error) errors.push(key + ": " + error);
+    else valid[key] = overrides[key];
+  });
+
+  // Одинаковые начало и конец превратили бы тихий интервал в целые сутки
+  const quietStart = "QUIET_HOUR_START" in valid ? valid.QUIET_HOUR_START : CONFIG.QUIET_HOUR_START;
+  const quietEnd = "QUIET_HOUR_END" in valid ? valid.QUIET_HOUR_END : CONFIG.QUIET_HOUR_END;
+  if (quietStart === quietEnd) {
+    errors.push("QUIET_HOUR_START/QUIET_HOUR_END: начало и конец совпадают (" + quietStart + ")");
+    delete valid.QUIET_HOUR_START;
+    delete valid.QUIET_HOUR_END;
+  }
+
+  // Профили правил — тоже из итогового CADENCE_PROFILES: отклоняется то, что пришло из настроек
+  const rules = "WATCH_RULES" in valid ? valid.WATCH_RULES : CONFIG.WATCH_RULES;
+  const ruleProfileError = findUnknownRuleCadence_(rules, "CADENCE_PROFILES" in valid ? valid.CADENCE_PROFILES : CONFIG.CADENCE_PROFILES);
+  if (ruleProfileError) {
+    if ("WATCH_RULES" in valid) {
+      errors.push("WATCH_RULES: " + ruleProfileError);
+      delete valid.WATCH_RULES;
+    } else {
+      errors.push("CADENCE_PROFILES: " + ruleProfileError);
+      delete valid.CADENCE_PROFILES;
+    }
+  }
+
+  // Правило с проверками подлинности должно знать домен, иначе все его письма уйдут в карантин
+  const authRules = "WATCH_RULES" in valid ? valid.WATCH_RULES : CONFIG.WATCH_RULES;
+  const authError = findRuleWithoutAuthDomain_(authRules, "AUTH_REQUIRED_CHECKS" in valid ? valid.AUTH_REQUIRED_CHECKS : CONFIG.AUTH_REQUIRED_CHECKS);
+  if (authError) {
+    if ("WATCH_RULES" in valid) {
+      errors.push("WATCH_RULES: " + authError);
+      delete valid.WATCH_RULES;
+    } else {
+      errors.push("AUTH_REQUIRED_CHECKS: " + authError);
+      delete valid.AUTH_REQUIRED_CHECKS;
+    }
+  }
+
+  // Имена каналов — из итогового NOTIFY_CHANNELS: отклоняется то, что пришло из настроек
+  ["WATCH_RULES", "NOTIFY_CHANNELS_DEFAULT", "TEST_NOTIFY_CHANNELS", "ESCALATIONS_DEFAULT"].forEach(key => {
+    const channels = "NOTIFY_CHANNELS" in valid ? valid.NOTIFY_CHANNELS : CONFIG.NOTIFY_CHANNELS;
+    const names = listChannelRefs_(key, key in valid ? valid[key] : CONFIG[key]);
+    const unknown = names.filter(n => !Object.prototype.hasOwnProperty.call(channels || {}, n))[0];
+    if (unknown === undefined) return;
+    const rejected = key in valid ? key : "NOTIFY_CHANNELS";
+    errors.push(rejected + ": " + (rejected === key ? "" : key + ", ") + "нет канала \"" + unknown + "\" в NOTIFY_CHANNELS");
+    delete valid[rejected];
+  });
+
+  // Профиль по умолчанию должен быть в итоговом CADENCE_PROFILES
+  const profiles = "CADENCE_PROFILES" in valid ? valid.CADENCE_PROFILES : CONFIG.CADENCE_PROFILES;
+  const profile = "CADENCE_PROFILE" in valid ? valid.CADENCE_PROFILE : CONFIG.CADENCE_PROFILE;
+  if (profile && !Object.prototype.hasOwnProperty.call(profiles || {}, profile)) {
+    errors.push("CADENCE_PROFILE: нет профиля \"" + profile + "\" в CADENCE_PROFILES");
+    delete valid.CADENCE_PROFILE;
+  }
+
+  Object.keys(valid).forEach(key => {
+    CONFIG[key] = valid[key];
+    applied.push(key);
+  });
+
+  if (applied.length) {
+    slogVerbose_(runId, "CONFIG_LOADED", "Настройки переопределены", { sources, keys: applied });
+  }
+  const props = PropertiesService.getScriptProperties();
+  if (errors.length) {
+    const payload = { sources, applied, errors };
+    slogErr_(runId, "CONFIG", "Ошибки в настройках, для них оставлены значения по умолчанию", payload);
+    const hash = hashString_(errors.join("\n"));
+    if (props.getProperty(CONFIG_ERR_HASH_PROP_) !== hash) {
+      sheetLog_(runId, CONFIG.TEST_MODE ? "TEST" : "LIVE", "ERR_CONFIG", "Настройки: " + errors.join("; "), payload);
+      props.setProperty(CONFIG_ERR_HASH_PROP_, hash);
+    }
+  } else if (props.getProperty(CONFIG_ERR_HASH_PROP_)) {
+    props.deleteProperty(CONFIG_ERR_HASH_PROP_);
+  }
+}
+
+// FNV-1a (32 бита) в hex: короткий отпечаток строки для Script Property
+function hashString_(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return ("0000000" + h.toString(16)).slice(-8);
+}
+
+function getScriptCache_() {
+  try {
+    return CacheService.getScriptCache();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * readConfigSheet_ через CacheService на CONFIG_CACHE_SECONDS_: значения
+ * и ошибки разбора листа. Правка листа применяется после истечения кэша
+ * (setupConfigSheet сбрасывает его сразу). Ошибка чтения не кэшируется.
+ */
+function readConfigSheetCached_(errors) {
+  const cache = getScriptCache_();
+  const hit = cache && cache.get(CONFIG_CACHE_KEY_);
+  if (hit) {
+    const saved = JSON.parse(hit);
+    saved.errors.forEach(e => errors.push(e));
+    return saved.values;
+  }
+
+  const sheetErrors = [];
+  const values = readConfigSheet_(sheetErrors);
+  sheetErrors.forEach(e => errors.push(e));
+  if (cache) {
+    try {
+      cache.put(CONFIG_CACHE_KEY_, JSON.stringify({ values, errors: sheetErrors }), CONFIG_CACHE_SECONDS_);
+    } catch (err) {
+      // Больше 100 КБ — читаем лист каждый раз
+    }
+  }
+  return values;
+}
+
+/**
+ * Лист Config: строка 1 — заголовок, далее Key | Value. Строки без ключа
+ * и с ключом на "#" пропускаются. Value: число/флаг как в ячейке, текст,
+ * похожий на JSON ([..], {..}, "..", null), разбирается как JSON.
+ * null — листа (или таблицы) нет.
+ */
+function readConfigSheet_(errors) {
+  const ss = findLogSpreadsheet_();
+  if (!ss) return null;
+  const sheet = ss.getSheetByName(CONFIG.CONFIG_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  const out = {};
+  for (let i = 0; i < rows.length; i++) {
+    const key = String(rows[i][0] || "").trim();
+    if (!key || key.charAt(0) === "#") continue;
+
+    let value = rows[i][1];
+    if (value === "" || value === null) continue;
+    if (typeof value === "string" && /^\s*([\[{"]|null\s*$)/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        errors.push(key + " (строка " + (i + 2) + "): неверный JSON");
+        continue;
+      }
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+// Проверки отдельных ключей (сверх совпадения типа со значением по умолчанию)
+const CONFIG_VALIDATORS_ = {
+  WATCH_RULES: validateWatchRules_,
+  ACTIVE_WINDOW_HOURS: v => validateNumberRange_(v, 1, 24 * 30),
+  BODY_DEADLINE_MAX_DAYS: v => validateNumberRange_(v, 1, 365),
+  TIME_ZONE: validateTimeZone_,
+  EVENT1_START_PLUS_MINUTES: v => validateNumberRange_(v, 0, 24 * 60),
+  EVENT1_REMINDERS_MINUTES: validateReminderList_,
+  HOURLY_INTERVAL_HOURS: v => validateNumberRange_(v, 1, 24),
+  HOURLY_BLOCK_MAX_SIGNALS: v => validateIntRange_(v, 1, POPUPS_MAX_),
+  PRECISE_TRIGGERS_MAX: v => validateIntRange_(v, 0, 19),
+  FINAL_REMINDERS_MINUTES: validateReminderList_,
+  QUIET_HOUR_START: v => validateIntRange_(v, 0, 23),
+  QUIET_HOUR_END: v => validateIntRange_(v, 0, 23),
+  QUIET_SCHEDULE: validateQuietSchedule_,
+  QUIET_SHABBAT: validateQuietShabbat_,
+  NOTIFY_CHANNELS: validateNotifyChannels_,
+  NOTIFY_CHANNELS_DEFAULT: validateStringList_,
+  NOTIFY_MAX_LATE_MINUTES: v => validateNumberRange_(v, 0, 24 * 60),
+  TEST_NOTIFY_CHANNELS: validateStringList_,
+  ESCALATIONS_DEFAULT: validateEscalations_,
+  PROCESSED_LABEL_NAME: validateLabelName_,
+  PROCESSED_TASK_LABEL_NAME: validateLabelName_,
+  EXCLUDED_LABEL_NAME: validateLabelName_,
+  QUARANTINE_LABEL_NAME: validateLabelName_,
+  SCRIPT_LOG_LEVEL: v => (v === "brief" || v === "verbose") ? "" : "ожидается \"brief\" или \"verbose\"",
+  TEST_CLEANUP_SCAN_DAYS: v => validateIntRange_(v, 1, 365),
+  TEST_LOOKBACK_DAYS: v => validateIntRange_(v, 1, 3650),
+  LIVE_NEWER_THAN_DAYS: v => validateIntRange_(v, 1, 365),
+  STALE_POLICY: validateStalePolicy_,
+  STALE_MIN_REMAINING_MINUTES: v => validateNumberRange_(v, 0, 24 * 60),
+  STALE_MIN_PICKUP_LAG_MINUTES: v => validateNumberRange_(v, 0, 24 * 60),
+  CLASSIFY_CANCEL_PATTERNS: validatePatternList_,
+  CLASSIFY_EXCLUDE_PATTERNS: validatePatternList_,
+  CLASSIFY_INCLUDE_PATTERNS: validatePatternList_,
+  AUTH_REQUIRED_CHECKS: validateAuthChecks_,
+  ATTACHMENT_PATTERNS: validatePatternList_,
+  ATTACHMENT_MAX_BYTES: v => validateIntRange_(v, 1, 50 * 1024 * 1024),
+  BUSY_CALENDAR_IDS: validateStringList_,
+  BUSY_SIGNAL_MODE: v => (v === "shift" || v === "double") ? "" : "ожидается \"shift\" или \"double\"",
+  CADENCE_PROFILES: validateCadenceProfiles_,
+  CADENCE_PROFILE: v => typeof v === "string" ? "" : "ожидается имя профиля"
+};
+
+// Поля правила и их проверки (незаданное поле берётся из CONFIG)
+const RULE_FIELD_VALIDATORS_ = {
+  enabled: v => typeof v === "boolean" ? "" : "ожидается true или false",
+  senderEmail: validateEmail_,
+  gmailQuery: v => typeof v === "string" && v.trim() ? "" : "ожидается строка поиска Gmail",
+  activeWindowHours: CONFIG_VALIDATORS_.ACTIVE_WINDOW_HOURS,
+  deadlineExtractors: validateDeadlineExtractors_,
+  actionLinkPatterns: validatePatternList_,
+  notifyChannels: validateStringList_,
+  escalations: validateEscalations_,
+  timeZone: validateTimeZone_,
+  bodyTimeZone: validateTimeZone_,
+  longRemindersMinutes: validateReminderList_,
+  finalRemindersMinutes: validateReminderList_,
+  quietHourStart: CONFIG_VALIDATORS_.QUIET_HOUR_START,
+  quietHourEnd: CONFIG_VALIDATORS_.QUIET_HOUR_END,
+  quietSchedule: validateQuietSchedule_,
+  quietShabbat: validateQuietShabbat_,
+  quietHolidayCalendarId: v => typeof v === "string" ? "" : "ожидается id календаря",
+  processedLabel: validateLabelName_,
+  processedTaskLabel: validateLabelName_,
+  excludedLabel: validateLabelName_,
+  quarantineLabel: validateLabelName_,
+  latestWins: v => typeof v === "boolean" ? "" : "ожидается true или false",
+  stalePolicy: validateStalePolicy_,
+  staleMinRemainingMinutes: CONFIG_VALIDATORS_.STALE_MIN_REMAINING_MINUTES,
+  staleMinPickupLagMinutes: CONFIG_VALIDATORS_.STALE_MIN_PICKUP_LAG_MINUTES,
+  cancelPatterns: validatePatternList_,
+  excludePatterns: validatePatternList_,
+  includePatterns: validatePatternList_,
+  authChecks: validateAuthChecks_,
+  attachmentPatterns: validatePatternList_,
+  busyCalendarIds: validateStringList_,
+  busySignalMode: CONFIG_VALIDATORS_.BUSY_SIGNAL_MODE,
+  cadenceProfile: CONFIG_VALIDATORS_.CADENCE_PROFILE,
+  allDayAnchor: v => typeof v === "boolean" ? "" : "ожидается true или false",
+  authDomain: v => /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(String(v)) ? "" : "ожидается домен (kdmid.ru)"
+};
+
+// "" — значение допустимо, иначе — понятное описание ошибки
+function validateConfigValue_(key, value) {
+  if (!Object.prototype.hasOwnProperty.call(CONFIG, key)) return "неизвестный ключ";
+  if (key === "CONFIG_PROPERTY_NAME" || key === "CONFIG_SHEET_NAME" || key === "LOG_SPREADSHEET_NAME") {
+    return "задаётся только в коде";
+  }
+
+  const def = CONFIG[key];
+  if (def !== null && value !== null) {
+    const want = Array.isArray(def) ? "array" : typeof def;
+    const got = Array.isArray(value) ? "array" : typeof value;
+    if (want !== got) return "ожидается " + want + ", получено " + got;
+  } else if (def !== null && value === null) {
+    return "значение не может быть пустым";
+  }
+
+  const validator = CONFIG_VALIDATORS_[key];
+  return validator ? validator(value) : "";
+}
+
+function validateNumberRange_(v, min, max) {
+  if (typeof v !== "number" || !isFinite(v)) return "ожидается число";
+  if (v < min || v > max) return "ожидается " + min + ".." + max + ", получено " + v;
+  return "";
+}
+
+function validateIntRange_(v, min, max) {
+  if (!Number.isInteger(v)) return "ожидается целое число, получено " + v;
+  return validateNumberRange_(v, min, max);
+}
+
+function validateReminderList_(v) {
+  if (!Array.isArray(v)) return "ожидается массив минут";
+  if (v.length > POPUPS_MAX_) return "не больше " + POPUPS_MAX_ + " напоминаний на событие, задано " + v.length;
+  for (let i = 0; i < v.length; i++) {
+    if (!Number.isInteger(v[i]) || v[i] < 0 || v[i] > REMINDER_MAX_MINUTES_) {
+      return "минуты напоминания — целые 0.." + REMINDER_MAX_MINUTES_ + ", получено " + JSON.stringify(v[i]);
+    }
+  }
+  return "";
+}
+
+function validateHhMm_(v) {
+  const m = String(v).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return "время должно быть HH:MM (00:00..23:59), получено " + JSON.stringify(v);
+  return "";
+}
+
+function validateQuietSchedule_(v) {
+  if (v === null) return "";
+  if (typeof v !== "object" || Array.isArray(v)) return "ожидается объект { \"0\"..\"6\" | \"*\": [\"HH:MM-HH:MM\"] }";
+
+  const keys = Object.keys(v);
+  for (let i = 0; i < keys.length; i++) {
+    if (!/^[0-6*]$/.test(keys[i])) return "день недели — \"0\"..\"6\" или \"*\", получено " + JSON.stringify(keys[i]);
+    const list = v[keys[i]];
+    if (!Array.isArray(list)) return "окна дня " + keys[i] + " — массив строк";
+    for (let j = 0; j < list.length; j++) {
+      const parts = String(list[j]).split("-");
+      if (parts.length !== 2) return "окно должно быть HH:MM-HH:MM, получено " + JSON.stringify(list[j]);
+      const error = validateHhMm_(parts[0].trim()) || validateHhMm_(parts[1].trim());
+      if (error) return "окно " + JSON.stringify(list[j]) + ": " + error;
+      if (parseHhMm_(parts[0].trim()) === parseHhMm_(parts[1].trim())) return "окно " + JSON.stringify(list[j]) + ": начало и конец совпадают";
+    }
+  }
+  return "";
+}
+
+function validateQuietShabbat_(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "ожидается объект { enabled, start, end }";
+  if (typeof v.enabled !== "boolean") return "enabled — true/false";
+  return validateHhMm_(v.start) || validateHhMm_(v.end);
+}
+
+// Пояс проверяется по базе поясов среды (Intl бросает RangeError на неизвестный):
+// Utilities.formatDate молча считает неизвестный пояс за GMT. Смещение GMT±HH:MM — как есть.
+function validateTimeZone_(v) {
+  if (v === "") return "";
+  if (typeof v !== "string") return "ожидается строка";
+  if (/^GMT[+-]\d{1,2}(:?\d{2})?$/.test(v)) return "";
+
+  let resolved;
+  try {
+    resolved = new Intl.DateTimeFormat("en-US", { timeZone: v }).resolvedOptions().timeZone;
+  } catch (e) {
+    return "неизвестный IANA-пояс (Asia/Jerusalem), получено " + JSON.stringify(v);
+  }
+  // Intl принимает любой регистр, Utilities.formatDate — нет
+  if (resolved !== v && resolved.toLowerCase() === v.toLowerCase()) return "пояс пишется как " + JSON.stringify(resolved) + ", получено " + JSON.stringify(v);
+  return "";
+}
+
+function validateStalePolicy_(v) {
+  return STALE_POLICIES_.indexOf(v) !== -1 ? "" : "ожидается одно из: " + STALE_POLICIES_.join(", ");
+}
+
+function validatePatternList_(v) {
+  if (!Array.isArray(v)) return "ожидается массив RegExp-строк";
+  for (let i = 0; i < v.length; i++) {
+    if (typeof v[i] !== "string" || !v[i]) return "ожидается непустая строка, получено " + JSON.stringify(v[i]);
+    try { new RegExp(splitClassifyPattern_(v[i]).source, "i"); } catch (e) {
+      return "неверный RegExp " + JSON.stringify(v[i]);
+    }
+  }
+  return "";
+}
+
+function validateStringList_(v) {
+  if (!Array.isArray(v)) return "ожидается массив строк";
+  for (let i = 0; i < v.length; i++) {
+    if (typeof v[i] !== "string" || !v[i]) return "ожидается непустая строка, получено " + JSON.stringify(v[i]);
+  }
+  return "";
+}
+
+function validateEmail_(v) {
+  return typeof v === "string" && /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(v) ? "" : "ожидается адрес (a@b.c), получено " + JSON.stringify(v);
+}
+
+function validateEmailList_(v) {
+  if (!Array.isArray(v)) return "ожидается массив адресов";
+  for (let i = 0; i < v.length; i++) {
+    const error = validateEmail_(v[i]);
+    if (error) return error;
+  }
+  return "";
+}
+
+// Ярлык Gmail: непустой, без пробелов по краям (иначе создастся второй, «почти такой же»)
+function validateLabelName_(v) {
+  if (typeof v !== "string" || !v.trim()) return "ожидается имя ярлыка";
+  return v === v.trim() ? "" : "пробелы по краям имени ярлыка: " + JSON.stringify(v);
+}
+
+function validateDeadlineExtractors_(v) {
+  if (!Array.isArray(v)) return "ожидается массив имён";
+  const known = Object.keys(DEADLINE_EXTRACTORS_);
+  for (let i = 0; i < v.length; i++) {
+    if (known.indexOf(v[i]) === -1) return "ожидается одно из: " + known.join(", ") + ", получено " + JSON.stringify(v[i]);
+  }
+  return "";
+}
+
+// Канал: известный type и поля, без которых отправитель вернёт ошибку при каждом сигнале
+function validateNotifyChannels_(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "ожидается объект { name: { type, ... } }";
+
+  const types = Object.keys(NOTIFY_SENDERS_);
+  const required = { email: ["to"], telegram: ["chatId", "tokenProperty"], ntfy: ["topic"] };
+  const names = Object.keys(v);
+  for (let i = 0; i < names.length; i++) {
+    const c = v[names[i]];
+    const name = "канал \"" + names[i] + "\"";
+    if (!c || typeof c !== "object" || Array.isArray(c)) return name + ": ожидается объект";
+    if (types.indexOf(c.type) === -1) return name + ", type: ожидается одно из: " + types.join(", ") + ", получено " + JSON.stringify(c.type);
+
+    const fields = required[c.type] || [];
+    for (let j = 0; j < fields.length; j++) {
+      if (c[fields[j]] === undefined || c[fields[j]] === null || c[fields[j]] === "") return name + ": не задан " + fields[j];
+    }
+    if (c.type === "email") {
+      const error = validateEmail_(c.to);
+      if (error) return name + ", to: " + error;
+    }
+    if (c.type === "webhook" && !c.url && !c.urlProperty) return name + ": не задан url или urlProperty";
+  }
+  return "";
+}
+
+function validateEscalations_(v) {
+  if (!Array.isArray(v)) return "ожидается массив эскалаций";
+
+  const ids = {};
+  for (let i = 0; i < v.length; i++) {
+    const e = v[i];
+    const name = "эскалация " + (e && e.id ? "\"" + e.id + "\"" : "#" + (i + 1));
+    if (!e || typeof e !== "object" || Array.isArray(e)) return name + ": ожидается объект";
+
+    // id — ключ в st.escalated: повтор сработал бы один раз на двоих
+    const id = String(e.id || "E" + i);
+    if (ids[id]) return name + ": id повторяется";
+    ids[id] = true;
+
+    if (e.onFinal !== undefined && typeof e.onFinal !== "boolean") return name + ", onFinal: ожидается true или false";
+    if (e.hoursBeforeDeadline !== undefined) {
+      const error = validateNumberRange_(e.hoursBeforeDeadline, 0, 24 * 30);
+      if (error) return name + ", hoursBeforeDeadline: " + error;
+    } else if (!e.onFinal) {
+      return name + ": нужен hoursBeforeDeadline или onFinal: true";
+    }
+
+    const lists = { addGuestsToFinal: validateEmailList_, emailTo: validateEmailList_, notifyChannels: validateStringList_ };
+    let actions = 0;
+    const keys = Object.keys(lists);
+    for (let j = 0; j < keys.length; j++) {
+      if (e[keys[j]] === undefined) continue;
+      const error = lists[keys[j]](e[keys[j]]);
+      if (error) return name + ", " + keys[j] + ": " + error;
+      actions += e[keys[j]].length;
+    }
+    if (!actions) return name + ": нет действий (addGuestsToFinal, emailTo, notifyChannels)";
+  }
+  return "";
+}
+
+// Имена каналов, на которые ссылается значение ключа настроек
+function listChannelRefs_(key, value) {
+  const fromEscalations = list => (list || []).reduce((acc, e) => acc.concat((e && e.notifyChannels) || []), []);
+  if (key === "WATCH_RULES") {
+    return (value || []).reduce((acc, r) => acc.concat((r && r.notifyChannels) || [], fromEscalations(r && r.escalations)), []);
+  }
+  if (key === "ESCALATIONS_DEFAULT") return fromEscalations(value);
+  return value || [];
+}
+
+function validateCadenceProfiles_(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "ожидается объект { name: { phases: [...] } }";
+
+  const names = Object.keys(v);
+  for (let i = 0; i < names.length; i++) {
+    const p = v[names[i]];
+    const name = "профиль \"" + names[i] + "\"";
+    if (!p || typeof p !== "object" || !Array.isArray(p.phases) || !p.phases.length) return name + ": ожидается непустой phases";
+
+    let prevLast = Infinity;
+    for (let j = 0; j < p.phases.length; j++) {
+      const ph = p.phases[j] || {};
+      const error = validateIntRange_(ph.everyMinutes, CADENCE_MIN_STEP_MINUTES_, 24 * 60);
+      if (error) return name + ", фаза " + (j + 1) + ", everyMinutes: " + error;
+      if (ph.lastMinutes === undefined && j === 0) continue;
+      if (!Number.isInteger(ph.lastMinutes) || ph.lastMinutes <= 0) return name + ", фаза " + (j + 1) + ": lastMinutes — целое > 0";
+      if (ph.lastMinutes >= prevLast) return name + ", фаза " + (j + 1) + ": lastMinutes должен убывать";
+      prevLast = ph.lastMinutes;
+    }
+
+    if (p.finalRemindersMinutes !== undefined) {
+      const error = validateReminderList_(p.finalRemindersMinutes);
+      if (error) return name + ", finalRemindersMinutes: " + error;
+    }
+  }
+  return "";
+}
+
+function validateAuthChecks_(v) {
+  if (!Array.isArray(v)) return "ожидается массив";
+  for (let i = 0; i < v.length; i++) {
+    if (AUTH_METHODS_.indexOf(v[i]) === -1) return "ожидается одно из: " + AUTH_METHODS_.join(", ") + ", получено " + JSON.stringify(v[i]);
+  }
+  return "";
+}
+
+// "" или ошибка для первого правила с cadenceProfile, которого нет в profiles
+function findUnknownRuleCadence_(rules, profiles) {
+  for (let i = 0; i < (rules || []).length; i++) {
+    const name = rules[i] && rules[i].cadenceProfile;
+    if (name && !Object.prototype.hasOwnProperty.call(profiles || {}, name)) {
+      return "правило \"" + rules[i].id + "\", cadenceProfile: нет профиля \"" + name + "\" в CADENCE_PROFILES";
+    }
+  }
+  return "";
+}
+
+// "" или ошибка для первого правила с проверками подлинности, но без authDomain и senderEmail
+function findRuleWithoutAuthDomain_(rules, defaultChecks) {
+  for (let i = 0; i < (rules || []).length; i++) {
+    const r = rules[i] || {};
+    const checks = Array.isArray(r.authChecks) ? r.authChecks : defaultChecks;
+    if (!checks || !checks.length || r.authDomain || String(r.senderEmail || "").split("@")[1]) continue;
+    return "правило \"" + r.id + "\": проверки " + checks.join(", ") + " без домена — задайте authDomain или authChecks: []";
+  }
+  return "";
+}
+
+function validateWatchRules_(v) {
+  if (!Array.isArray(v) || !v.length) return "ожидается непустой массив правил";
+
+  for (let i = 0; i < v.length; i++) {
+    const r = v[i];
+    if (!r || typeof r !== "object" || Array.isArray(r)) return "правило #" + (i + 1) + ": ожидается объект";
+    const name = "правило " + (r.id ? "\"" + r.id + "\"" : "#" + (i + 1));
+    if (!r.id) return name + ": нет id";
+
+    const fields = Object.keys(RULE_FIELD_VALIDATORS_);
+    for (let j = 0; j < fields.length; j++) {
+      const value = r[fields[j]];
+      if (value === undefined || value === null || value === "") continue;
+      const error = RULE_FIELD_VALIDATORS_[fields[j]](value);
+      if (error) return name + ", " + fields[j] + ": " + error;
+    }
+
+    if (typeof r.quietHourStart === "number" && r.quietHourStart === r.quietHourEnd) {
+      return name + ": quietHourStart и quietHourEnd совпадают";
+    }
+  }
+  return "";
+}
+
+/***********************
+ * WATCH RULES
+ ***********************/
+function resolveRule_(raw) {
+  const r = raw || {};
+  const pick = (value, fallback) => (value === undefined || value === null || value === "") ? fallback : value;
+  const cadenceProfile = String(pick(r.cadenceProfile, CONFIG.CADENCE_PROFILE));
+  const cadence = getCadenceProfile_(cadenceProfile) || {};
+
+  return {
+    id: String(pick(r.id, "default")),
+    enabled: r.enabled !== false,
+    senderEmail: String(pick(r.senderEmail, "")),
+    gmailQuery: String(pick(r.gmailQuery, "")),
+    activeWindowHours: pick(r.activeWindowHours, CONFIG.ACTIVE_WINDOW_HOURS),
+    deadlineExtractors: pick(r.deadlineExtractors, CONFIG.DEADLINE_EXTRACTORS),
+    bodyTimeZone: String(pick(r.bodyTimeZone, CONFIG.BODY_TIME_ZONE)),
+    timeZone: String(pick(r.timeZone, pick(CONFIG.TIME_ZONE, Session.getScriptTimeZone()))),
+    actionLinkPatterns: pick(r.actionLinkPatterns, CONFIG.ACTION_LINK_PATTERNS),
+    notifyChannels: pick(r.notifyChannels, CONFIG.NOTIFY_CHANNELS_DEFAULT),
+    escalations: pick(r.escalations, CONFIG.ESCALATIONS_DEFAULT),
+    longRemindersMinutes: pick(r.longRemindersMinutes, CONFIG.EVENT1_REMINDERS_MINUTES),
+    finalRemindersMinutes: pick(r.finalRemindersMinutes, pick(cadence.finalRemindersMinutes, CONFIG.FINAL_REMINDERS_MINUTES)),
+    cadenceProfile,
+    allDayAnchor: pick(r.allDayAnchor, CONFIG.ALLDAY_ANCHOR_ENABLED) === true,
+    quietHourStart: pick(r.quietHourStart, CONFIG.QUIET_HOUR_START),
+    quietHourEnd: pick(r.quietHourEnd, CONFIG.QUIET_HOUR_END),
+    quietSchedule: pick(r.quietSchedule, CONFIG.QUIET_SCHEDULE),
+    quietShabbat: pick(r.quietShabbat, CONFIG.QUIET_SHABBAT),
+    quietHolidayCalendarId: String(pick(r.quietHolidayCalendarId, CONFIG.QUIET_HOLIDAY_CALENDAR_ID)),
+    busyCalendarIds: pick(r.busyCalendarIds, CONFIG.BUSY_CALENDAR_IDS),
+    busySignalMode: String(pick(r.busySignalMode, CONFIG.BUSY_SIGNAL_MODE)),
+    processedLabel: String(pick(r.processedLabel, CONFIG.PROCESSED_LABEL_NAME)),
+    processedTaskLabel: String(pick(r.processedTaskLabel, CONFIG.PROCESSED_TASK_LABEL_NAME)),
+    latestWins: r.latestWins === true,
+    stalePolicy: String(pick(r.stalePolicy, CONFIG.STALE_POLICY)),
+    staleMinRemainingMinutes: pick(r.staleMinRemainingMinutes, CONFIG.STALE_MIN_REMAINING_MINUTES),
+    staleMinPickupLagMinutes: pick(r.staleMinPickupLagMinutes, CONFIG.STALE_MIN_PICKUP_LAG_MINUTES),
+    cancelPatterns: pick(r.cancelPatterns, CONFIG.CLASSIFY_CANCEL_PATTERNS),
+    excludePatterns: pick(r.excludePatterns, CONFIG.CLASSIFY_EXCLUDE_PATTERNS),
+    includePatterns: pick(r.includePatterns, CONFIG.CLASSIFY_INCLUDE_PATTERNS),
+    excludedLabel: String(pick(r.excludedLabel, CONFIG.EXCLUDED_LABEL_NAME)),
+    authChecks: pick(r.authChecks, CONFIG.AUTH_REQUIRED_CHECKS),
+    authDomain: String(pick(r.authDomain, String(r.senderEmail || "").split("@")[1] || "")).toLowerCase(),
+    quarantineLabel: String(pick(r.quarantineLabel, CONFIG.QUARANTINE_LABEL_NAME)),
+    attachmentPatterns: pick(r.attachmentPatterns, CONFIG.ATTACHMENT_PATTERNS)
+  };
+}
+
+// Включённые правила. Правило без senderEmail и gmailQuery пропускается:
+// иначе запрос Gmail совпал бы со всем ящиком.
+function getWatchRules_() {
+  const raw = CONFIG.WATCH_RULES || [];
+  const out = [];
+  for (let i = 0; i < raw.length; i++) {
+    const rule = resolveRule_(raw[i]);
+    if (!rule.enabled) continue;
+    if (!rule.senderEmail && !rule.gmailQuery) {
+      console.error(`[rules] Правило "${rule.id}" пропущено: нет senderEmail и gmailQuery`);
+      continue;
+    }
+    out.push(rule);
+  }
+  return out;
+}
+
+// Правило по id (для цепочек из ScriptProperties). Если правило удалили
+// из CONFIG — продолжаем с общими значениями, чтобы цепочка доработала.
+function getRuleById_(ruleId) {
+  const raw = CONFIG.WATCH_RULES || [];
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] && String(raw[i].id) === String(ruleId)) return resolveRule_(raw[i]);
+  }
+  if (!ruleId && raw.length) return resolveRule_(raw[0]);
+  return resolveRule_({ id: ruleId || "default" });
+}
+
+function getTestRule_(rules) {
+  if (CONFIG.TEST_RULE_ID) {
+    for (let i = 0; i < rules.length; i++) {
+      if (rules[i].id === CONFIG.TEST_RULE_ID) return rules[i];
+    }
+  }
+  if (!rules.length) throw new Error("Нет включённых правил в CONFIG.WATCH_RULES");
+  return rules[0];
+}
+
+function buildRuleSearchQuery_(rule) {
+  if (rule.gmailQuery) return "(" + rule.gmailQuery + ")";
+  return "from:" + rule.senderEmail;
+}
+
+/***********************
+ * ATTACHMENTS (DRIVE)
+ ***********************/
+const ATTACHMENT_FOLDER_PROP_PREFIX_ = "MAILALERT_ATTACH_FOLDER:";
+// Ссылки на вложения живут в meta состояния цепочки (лимит значения свойства — 9 КБ)
+const ATTACHMENTS_MAX_PER_MAIL_ = 10;
+
+/**
+ * Копирует подходящие вложения письма в папку правила. Имя файла — "<baseId> <имя>",
+ * поэтому повторный запуск (или поток задач для того же письма) находит готовый файл.
+ * Возвращает [{ name, url, fileId }]; ошибки Drive не мешают созданию алертов.
+ */
+function saveMailAttachments_(runId, mail, rule, baseId) {
+  const patterns = rule.attachmentPatterns || [];
+  if (!patterns.length || !mail.message) return [];
+
+  let attachments = [];
+  try {
+    attachments = mail.message.getAttachments({ includeInlineImages: false }) || [];
+  } catch (err) {
+    slogErr_(runId, "ATTACHMENT_ERR", "Не удалось получить вложения письма", { rule: rule.id, baseId, error: String(err) });
+    return [];
+  }
+
+  const out = [];
+  const usedNames = {};
+  let folder = null;
+
+  for (let i = 0; i < attachments.length && out.length < ATTACHMENTS_MAX_PER_MAIL_; i++) {
+    const att = attachments[i];
+    const name = att.getName() || "attachment";
+    if (!attachmentNameMatches_(name, patterns)) continue;
+
+    if (att.getSize() > CONFIG.ATTACHMENT_MAX_BYTES) {
+      slogInfo_(runId, "ATTACHMENT_TOO_BIG", "Вложение больше ATTACHMENT_MAX_BYTES — пропущено", { rule: rule.id, name, size: att.getSize() });
+      continue;
+    }
+
+    // Одинаковые имена внутри письма различаем номером
+    let fileName = baseId + " " + name;
+    if (usedNames[fileName]) fileName = baseId + " " + (i + 1) + " " + name;
+    usedNames[fileName] = true;
+
+    try {
+      if (!folder) folder = getAttachmentFolder_(rule);
+      let file = findDriveFileByName_(folder, fileName);
+      const existed = !!file;
+      if (!file) file = folder.createFile(att.copyBlob().setName(fileName));
+
+      out.push({ name, url: file.getUrl(), fileId: file.getId() });
+      slogVerbose_(runId, existed ? "ATTACHMENT_EXISTS" : "ATTACHMENT_SAVED", existed ? "Вложение уже в Drive" : "Вложение сохранено в Drive", {
+        rule: rule.id,
+        fileName,
+        fileId: file.getId()
+      });
+    } catch (err) {
+      const payload = { rule: rule.id, baseId, name, error: String(err) };
+      slogErr_(runId, "ATTACHMENT_ERR", "Не удалось сохранить вложение в Drive", payload);
+      sheetLog_(runId, mail.mode || "LIVE", "ERR_ATTACHMENT", "Вложение не сохранено: " + name, payload);
+    }
+  }
+
+  return out;
+}
+
+// Папка правила: ATTACHMENTS_FOLDER_NAME/<id правила>; id запоминается в ScriptProperties
+function getAttachmentFolder_(rule) {
+  const props = PropertiesService.getScriptProperties();
+  const key = ATTACHMENT_FOLDER_PROP_PREFIX_ + rule.id;
+  const savedId = props.getProperty(key);
+  if (savedId) {
+    try {
+      const saved = DriveApp.getFolderById(savedId);
+      if (saved && !saved.isTrashed()) return saved;
+    } catch (e) {}
+  }
+
+  const roots = DriveApp.getFoldersByName(CONFIG.ATTACHMENTS_FOLDER_NAME);
+  const root = roots.hasNext() ? roots.next() : DriveApp.createFolder(CONFIG.ATTACHMENTS_FOLDER_NAME);
+  const subs = root.getFoldersByName(rule.id);
+  const folder = subs.hasNext() ? subs.next() : root.createFolder(rule.id);
+
+  props.setProperty(key, folder.getId());
+  return folder;
+}
+
+function findDriveFileByName_(folder, fileName) {
+  const files = folder.getFilesByName(fileName);
+  while (files.hasNext()) {
+    const file = files.next();
+    if (!file.isTrashed()) return file;
+  }
+  return null;
+}
+
+function attachmentNameMatches_(name, patterns) {
+  for (let i = 0; i < patterns.length; i++) {
+    try {
+      if (new RegExp(patterns[i], "i").test(name)) return true;
+    } catch (e) {
+      console.error(`[attachments] Неверный RegExp "${patterns[i]}": ${e}`);
+    }
+  }
+  return false;
+}
+
+function withAttachments_(mail, attachments) {
+  if (!attachments || !attachments.length) return mail;
+  return Object.assign({}, mail, { meta: Object.assign({}, mail.meta || {}, { attachments }) });
+}
+
+function appendAttachmentLines_(lines, meta) {
+  const list = meta && meta.attachments ? meta.attachments : [];
+  if (!list.length) return;
+  lines.push("Вложения (Drive):");
+  for (let i = 0; i < list.length; i++) lines.push("- " + list[i].name + ": " + list[i].url);
+}
+
+/***********************
+ * MAIL CONTEXT
+ ***********************/
+function buildLiveMail_(thread, message) {
+  const threadId = thread.getId();
+  return {
+    mode: "LIVE",
+    receivedAt: message.getDate(),
+    subject: message.getSubject(),
+    threadId,
+    gmailLink: buildGmailThreadLink_(threadId),
+    body: getMessageBodyText_(message),
+    html: getMessageBodyHtml_(message),
+    meta: { gmailMessageLink: buildGmailMessageLink_(message) },
+    message
+  };
+}
+
+function buildTestMail_(runId, rule, note) {
+  const latest = findLatestMailForRule_(runId, rule, CONFIG.TEST_LOOKBACK_DAYS);
+  const now = new Date();
+
+  return {
+    mode: "TEST",
+    receivedAt: now, // ВАЖНО: тест всегда "как будто сейчас"
+    subject: latest ? latest.subject : "TEST: не найдено писем — симуляция",
+    threadId: latest ? latest.threadId : "TEST_THREAD_NOW",
+    gmailLink: latest ? latest.gmailLink : "https://mail.google.com/mail/u/0/#inbox",
+    // Текст реального письма (для ссылок и т.п.); дедлайн из него в TEST не берём
+    body: latest ? latest.body : "",
+    html: latest ? latest.html : "",
+    meta: {
+      test_used_latest_real_mail: Boolean(latest),
+      realMailReceivedAt: latest ? latest.realReceivedAt.toString() : "",
+      realMailMessageId: latest ? latest.messageId : "",
+      lookbackDays: CONFIG.TEST_LOOKBACK_DAYS,
+      note,
+      gmailMessageLink: latest ? latest.gmailMessageLink : ""
+    }
+  };
+}
+
+/***********************
+ * GMAIL LABEL
+ ***********************/
+function getOrCreateGmailLabel_(labelName) {
+  let label = GmailApp.getUserLabelByName(labelName);
+  if (!label) label = GmailApp.createLabel(labelName);
+  return label;
+}
+
+// Текст письма: plain body, а если его нет — HTML без тегов
+function getMessageBodyText_(message) {
+  try {
+    const plain = message.getPlainBody();
+    if (plain && String(plain).trim()) return String(plain);
+  } catch (e) {}
+
+  try {
+    return htmlToText_(message.getBody() || "");
+  } catch (e) {}
+
+  return "";
+}
+
+function getMessageBodyHtml_(message) {
+  try { return String(message.getBody() || ""); } catch (e) { return ""; }
+}
+
+function htmlToText_(html) {
+  return String(html || "")
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'");
+}
+
+function normalizeBodyText_(text) {
+  return String(text || "")
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\r\n?/g, "\n");
+}
+
+function buildGmailThreadLink_(threadId) {
+  if (threadId) return "https://mail.google.com/mail/u/0/#inbox/" + threadId;
+  return "https://mail.google.com/mail/u/0/#inbox";
+}
+
+function buildGmailMessageLink_(message) {
+  try {
+    const header = message.getHeader("Message-ID");
+    if (header) {
+      const clean = String(header).replace(/[<>]/g, "");
+      return "https://mail.google.com/mail/u/0/#search/rfc822msgid:" + encodeURIComponent(clean);
+    }
+  } catch (e) {}
+
+  try {
+    const id = message.getId();
+    if (id) return "https://mail.google.com/mail/u/0/#inbox/" + id;
+  } catch (e) {}
+
+  return "https://mail.google.com/mail/u/0/#inbox";
+}
+
+/***********************
+ * CHAIN: HOURLY EVENTS
+ ***********************/
+function startHourlyChainForMail_(runId, mail, rule, baseId, plan, deadline, actionLink, calendarId, allDayIds) {
+  const chainId = baseId + "|HCHAIN";
+  const longStart = plan.long.start;
+  const expiresAt = plan.expiresAt;
+
+  if (getHourlyChainState_(chainId)) {
+    slogOk_(runId, "HCHAIN_EXISTS", "HOURLY-CHAIN уже запущена", { chainId });
+    return;
+  }
+
+  const blocks = plan.blocks.map(b => ({ start: b.start, reminders: b.reminders }));
+  if (!blocks.length) {
+    slogOk_(runId, "HCHAIN_SKIP", "HOURLY-CHAIN не нужна: нет блоков", {});
+    return;
+  }
+
+  const first = blocks[0];
+  const meta = Object.assign({}, mail.meta || {}, {
+    expiresSource: deadline.source,
+    appointmentAt: deadline.appointmentAt ? deadline.appointmentAt.toISOString() : ""
+  });
+  const ctx = {
+    mode: mail.mode || "LIVE",
+    ruleId: rule.id,
+    calendarId,
+    subject: mail.subject || "",
+    threadId: mail.threadId || "",
+    gmailLink: mail.gmailLink || "",
+    actionLink: actionLink || "",
+    meta,
+    receivedAt: mail.receivedAt,
+    expiresAt: expiresAt.toISOString()
+  };
+  const eventId = createHourlyBlockEvent_(ctx, chainId, 0, first);
+
+  const state = {
+    chainId,
+    baseId,
+    mode: mail.mode || "LIVE",
+    ruleId: rule.id,
+    calendarId,
+    subject: mail.subject || "",
+    threadId: mail.threadId || "",
+    gmailLink: mail.gmailLink || "",
+    actionLink: actionLink || "",
+    meta,
+    receivedAt: mail.receivedAt.toISOString(),
+    longStart: longStart.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    blocks,
+    indexCurrent: 0,
+    currentEventId: eventId,
+    pendingDeleteEventId: "",
+    finalEventId: "",
+    allDayIds: allDayIds || [],
+    lastNotifiedAt: new Date().toISOString(),
+    escalated: {},
+    finalGuests: [],
+    ackBaseline: readAckBaseline_(mail.threadId),
+    status: "active"
+  };
+
+  saveHourlyChainState_(state);
+  ensureHourlyChainTrigger_();
+
+  slogOk_(runId, "HCHAIN_STARTED", "HOURLY-CHAIN: создан первый блок", {
+    rule: rule.id,
+    chainId,
+    eventId,
+    start: first.start
+  });
+}
+
+function processHourlyChains_() {
+  const runId = newRunId_();
+  loadRuntimeConfig_(runId);
+  // Тот же lock, что у LIVE и dashboard: состояние цепочек меняют все трое
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    // Одноразовый триггер уже израсходован: без повтора смена блока ушла бы на почасовой прогон
+    armChainRetryTrigger_();
+    slogErr_(runId, "HCHAIN_LOCK_BUSY", "Пропуск HOURLY-CHAIN: активен другой запуск, повтор через минуту", {});
+    return;
+  }
+
+  try {
+    clearChainRetryTriggers_();
+    processHourlyChainsLocked_(runId);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function processHourlyChainsLocked_(runId) {
+  const now = new Date();
+
+  // Сначала подтверждения: не создаём блоки/FINAL для уже обработанных писем
+  processAcknowledgements_(runId);
+  pruneAlertEventMap_(now);
+
+  const chains = listHourlyChainStates_();
+  if (!chains.length) {
+    cleanupHourlyChainTrigger_();
+    return;
+  }
+
+  for (let i = 0; i < chains.length; i++) {
+    const st = chains[i];
+    const cal = getChainCalendar_(st);
+
+    if (st.pendingDeleteEventId) {
+      const pending = findEventById_(cal, addHours_(now, -48), addHours_(now, 48), st.pendingDeleteEventId, { allowAllDay: false });
+      if (pending) deleteAlertEvent_(pending, st.pendingDeleteEventId);
+      st.pendingDeleteEventId = "";
+    }
+
+    if (st.status === "active" || st.status === "final") {
+      dispatchDueSignals_(runId, st, now);
+      processEscalations_(runId, st, now);
+    }
+
+    // FINAL создан: состояние живёт до дедлайна, чтобы подтверждение могло убрать FINAL
+    if (st.status === "final") {
+      if (now.getTime() >= new Date(st.expiresAt).getTime()) deleteHourlyChainState_(st.chainId);
+      else saveHourlyChainState_(st);
+      continue;
+    }
+
+    // Состояния прежней версии (без finalEventId)
+    if (st.status === "final_cleanup") {
+      deleteHourlyChainState_(st.chainId);
+      continue;
+    }
+
+    if (!st.currentEventId) {
+      deleteHourlyChainState_(st.chainId);
+      continue;
+    }
+
+    const currentBlock = st.blocks[st.indexCurrent];
+    const exists = findEventById_(cal, addHours_(now, -48), addHours_(now, 48), st.currentEventId, { allowAllDay: false });
+
+    // Блок удалён вручную — это тоже “я обработал”: стоп цепочки + выполнить задачу
+    if (!exists) {
+      closeAlertSet_(runId, st, {
+        status: "ACKNOWLEDGED",
+        message: "Комплект остановлен: событие цепочки удалено вручную",
+        mark: "✅ Обработано",
+        via: "event_deleted",
+        detail: st.currentEventId
+      });
+      continue;
+    }
+
+    const currentStart = new Date(currentBlock.start);
+    if (now.getTime() < currentStart.getTime()) {
+      saveHourlyChainState_(st);
+      continue;
+    }
+
+    // Если есть следующий блок — создаём его
+    if (st.indexCurrent < st.blocks.length - 1) {
+      const nextIndex = st.indexCurrent + 1;
+      const nextBlock = st.blocks[nextIndex];
+      const nextEventId = createHourlyBlockEvent_(st, st.chainId, nextIndex, nextBlock);
+
+      st.pendingDeleteEventId = st.currentEventId;
+      st.currentEventId = nextEventId;
+      st.indexCurrent = nextIndex;
+      saveHourlyChainState_(st);
+      continue;
+    }
+
+    // Последний блок: создаём финальное событие №3
+    const finalEventId = createFinalEvent_(st);
+    if (finalEventId) {
+      st.pendingDeleteEventId = st.currentEventId;
+      st.currentEventId = "";
+      st.finalEventId = finalEventId;
+      st.status = "final";
+      saveHourlyChainState_(st);
+    } else {
+      deleteHourlyChainState_(st.chainId);
+    }
+  }
+
+  // Удаляем триггер в этом же прогоне, если после обработки цепочек не осталось.
+  cleanupHourlyChainTrigger_();
+}
+
+// Шаг — HOURLY_INTERVAL_HOURS до expiresAt - 1 ч или фазы профиля rule.cadenceProfile.
+// opts.firstSignalAt — начать не с longStart+1ч (профиль: + шаг фазы), а с этого момента (snooze/extend);
+// opts.quietSkipped — массив, куда складываются сигналы, выпавшие из-за тихих часов;
+// opts.busy — занятые интервалы (loadBusyIntervals_), opts.busyAdjusted — куда писать правки
+function buildHourlySignals_(longStart, expiresAt, rule, opts) {
+  const skipped = opts && opts.quietSkipped ? opts.quietSkipped : [];
+  const cadence = getCadenceProfile_(rule.cadenceProfile);
+  if (cadence) {
+    const phases = cadence.phases;
+    const firstRaw = opts && opts.firstSignalAt
+      ? new Date(opts.firstSignalAt)
+      : addMinutes_(longStart, getCadencePhase_(phases, longStart, expiresAt).everyMinutes);
+    const signals = buildCadenceSignals_(firstRaw, expiresAt, rule, phases, skipped);
+    return applyBusyOpts_(signals, longStart, expiresAt, rule, opts, firstRaw);
+  }
+
+  const endSignal = addHours_(expiresAt, -1);
+  const firstRaw = opts && opts.firstSignalAt ? new Date(opts.firstSignalAt) : addHours_(longStart, 1);
+  let t = ceilToHour_(firstRaw, rule.timeZone);
+
+  const signals = [];
+  while (t.getTime() <= endSignal.getTime()) {
+    if (!isInQuietHours_(t, rule)) signals.push(new Date(t));
+    else skipped.push(new Date(t));
+    t = addHours_(t, CONFIG.HOURLY_INTERVAL_HOURS);
+  }
+
+  if (!isInQuietHours_(endSignal, rule)) {
+    if (!signals.length || signals[signals.length - 1].getTime() !== endSignal.getTime()) {
+      signals.push(endSignal);
+    }
+  } else if (!skipped.length || skipped[skipped.length - 1].getTime() !== endSignal.getTime()) {
+    skipped.push(endSignal);
+  }
+
+  return applyBusyOpts_(signals, longStart, expiresAt, rule, opts, firstRaw);
+}
+
+function applyBusyOpts_(signals, longStart, expiresAt, rule, opts, firstRaw) {
+  if (!opts || !opts.busy || !opts.busy.length) return signals;
+  // После snooze/extend сигнал не переносим раньше нового первого сигнала
+  const notBefore = opts.firstSignalAt ? firstRaw : longStart;
+  return applyBusySlots_(signals, opts.busy, rule, notBefore, expiresAt, opts.busyAdjusted || []);
+}
+
+/***********************
+ * CADENCE PROFILES
+ ***********************/
+
+// Шаг профиля не меньше: смена блока должна успеть до следующего сигнала
+const CADENCE_MIN_STEP_MINUTES_ = 10;
+
+// Профиль из CONFIG.CADENCE_PROFILES (null — ровный шаг HOURLY_INTERVAL_HOURS).
+// Неизвестные имена в настройках отклоняет loadRuntimeConfig_.
+function getCadenceProfile_(name) {
+  if (!name) return null;
+  const profiles = CONFIG.CADENCE_PROFILES || {};
+  return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+}
+
+// Фаза, действующая в момент t: последняя, чьё lastMinutes не меньше остатка до дедлайна
+function getCadencePhase_(phases, t, expiresAt) {
+  const leftMinutes = (expiresAt.getTime() - t.getTime()) / 60000;
+  let phase = phases[0];
+  for (let i = 1; i < phases.length; i++) {
+    if (leftMinutes <= phases[i].lastMinutes) phase = phases[i];
+  }
+  return phase;
+}
+
+// Сигналы по фазам профиля — до первого напоминания FINAL (дальше звенит он)
+function buildCadenceSignals_(firstRaw, expiresAt, rule, phases, skipped) {
+  const finalLead = rule.finalRemindersMinutes.length ? Math.max.apply(null, rule.finalRemindersMinutes) : 0;
+  const endMs = addMinutes_(expiresAt, -finalLead).getTime();
+  let t = ceilToLocalStep_(firstRaw, getCadencePhase_(phases, firstRaw, expiresAt).everyMinutes, rule.timeZone);
+
+  const signals = [];
+  while (t.getTime() < endMs) {
+    if (!isInQuietHours_(t, rule)) signals.push(new Date(t));
+    else skipped.push(new Date(t));
+    t = nextCadenceSignal_(t, phases, expiresAt, rule.timeZone);
+  }
   return signals;
 }
 
-function buildHourlyBlocks_(signals) {
-  const blocks = [];
-  const step = CONFIG.HOURLY_BLOCK_MAX_SIGNALS;
+// Следующая точка сетки текущей фазы; если раньше начинается более частая фаза — её первая точка
+function nextCadenceSignal_(t, phases, expiresAt, timeZone) {
+  const step = getCadencePhase_(phases, t, expiresAt).everyMinutes;
+  let next = ceilToLocalStep_(addMinutes_(t, 1), step, timeZone);
+
+  for (let i = 1; i < phases.length; i++) {
+    const boundary = addMinutes_(expiresAt, -phases[i].lastMinutes);
+    if (boundary.getTime() <= t.getTime() || boundary.getTime() >= next.getTime()) continue;
+    const candidate = ceilToLocalStep_(boundary, phases[i].everyMinutes, timeZone);
+    if (candidate.getTime() < next.getTime()) next = candidate;
+  }
+  return next;
+}
+
+function buildHourlyBlocks_(signals) {
+  const blocks = [];
+  const step = CONFIG.HOURLY_BLOCK_MAX_SIGNALS;
+
+  for (let i = 0; i < signals.length; i += step) {
+    const slice = signals.slice(i, i + step);
+    if (!slice.length) continue;
+    const start = slice[slice.length - 1];
+    const reminders = [];
+    for (let j = 0; j < slice.length; j++) {
+      const diffMin = Math.round((start.getTime() - slice[j].getTime()) / 60000);
+      reminders.push(diffMin);
+    }
+    blocks.push({
+      start: start.toISOString(),
+      reminders
+    });
+  }
+
+  return blocks;
+}
+
+function createHourlyBlockEvent_(mailOrState, chainId, index, block) {
+  const cal = getChainCalendar_(mailOrState);
+  const start = new Date(block.start);
+  const end = addMinutes_(start, 5);
+  const rule = getRuleById_(mailOrState.ruleId);
+  const eventId = chainId + "|B" + index + "|" + formatYYYYMMDDHHMM_(start, rule.timeZone);
+  const mode = mailOrState.mode || "LIVE";
+  const subject = mailOrState.subject || "";
+  const threadId = mailOrState.threadId || "";
+  const gmailLink = mailOrState.gmailLink || "";
+  const actionLink = mailOrState.actionLink || "";
+  const meta = mailOrState.meta || {};
+
+  const title = buildEventTitle_("HOURLY", truncate_(subject || "(без темы)", 120), new Date(mailOrState.receivedAt), new Date(mailOrState.expiresAt), mode === "TEST");
+  const desc = buildDescriptionNew_({
+    id: eventId,
+    mode,
+    kind: "HOURLY",
+    ruleId: rule.id,
+    actionLink,
+    expectedSender: rule.senderEmail,
+    inbox: CONFIG.YOUR_INBOX_EMAIL,
+    subject,
+    receivedAt: mailOrState.receivedAt ? new Date(mailOrState.receivedAt) : "",
+    expiresAt: mailOrState.expiresAt ? new Date(mailOrState.expiresAt) : "",
+    gmailLink,
+    threadId,
+    eventStart: start,
+    meta: Object.assign({}, meta, { chainId, blockIndex: index })
+  });
+
+  const ev = cal.createEvent(title, start, end, buildEventOptions_(desc, actionLink));
+  registerAlertEvent_(ev, eventId);
+  applyEventColor_(ev, "HOURLY");
+  ev.removeAllReminders();
+  for (let i = 0; i < block.reminders.length; i++) {
+    ev.addPopupReminder(block.reminders[i]);
+  }
+  return eventId;
+}
+
+function createFinalEvent_(state) {
+  const cal = getChainCalendar_(state);
+  const endAt = new Date(state.expiresAt);
+  const start = endAt;
+  const end = addMinutes_(start, 5);
+  const rule = getRuleById_(state.ruleId);
+  const eventId = state.chainId + "|FINAL|" + formatYYYYMMDDHHMM_(start, rule.timeZone);
+
+  const title = "❗❗❗ " + buildEventTitle_("FINAL", truncate_(state.subject || "(без темы)", 120), new Date(state.receivedAt), endAt, state.mode === "TEST");
+  const desc = buildDescriptionNew_({
+    id: eventId,
+    mode: state.mode,
+    kind: "FINAL",
+    ruleId: rule.id,
+    actionLink: state.actionLink || "",
+    expectedSender: rule.senderEmail,
+    inbox: CONFIG.YOUR_INBOX_EMAIL,
+    subject: state.subject,
+    receivedAt: state.receivedAt ? new Date(state.receivedAt) : "",
+    expiresAt: endAt,
+    gmailLink: state.gmailLink || "",
+    threadId: state.threadId || "",
+    eventStart: start,
+    meta: Object.assign({}, state.meta || {}, { chainId: state.chainId })
+  });
+
+  const opts = buildEventOptions_(desc, state.actionLink || "");
+  // Гости от эскалаций, сработавших до создания FINAL
+  if (state.finalGuests && state.finalGuests.length) {
+    opts.guests = state.finalGuests.join(",");
+    opts.sendInvites = true;
+  }
+
+  const ev = cal.createEvent(title, start, end, opts);
+  registerAlertEvent_(ev, eventId);
+  applyEventColor_(ev, "FINAL");
+  ev.removeAllReminders();
+  for (let i = 0; i < rule.finalRemindersMinutes.length; i++) {
+    ev.addPopupReminder(rule.finalRemindersMinutes[i]);
+  }
+  return eventId;
+}
+
+function ensureHourlyChainTrigger_() {
+  syncPreciseChainTriggers_();
+
+  const triggers = ScriptApp.getProjectTriggers();
+  let has = false;
+  for (let i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === "processHourlyChains_") {
+      has = true;
+      break;
+    }
+  }
+  if (has) return;
+
+  ScriptApp.newTrigger("processHourlyChains_")
+    .timeBased()
+    .everyHours(1)
+    .create();
+}
+
+function cleanupHourlyChainTrigger_() {
+  syncPreciseChainTriggers_();
+
+  const chains = listHourlyChainStates_();
+  if (chains.length) return;
+  const triggers = ScriptApp.getProjectTriggers();
+  for (let i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === "processHourlyChains_") {
+      ScriptApp.deleteTrigger(triggers[i]);
+    }
+  }
+}
+
+/***********************
+ * CHAIN: PRECISE TRIGGERS
+ ***********************/
+const PRECISE_TRIGGER_HANDLER_ = "processHourlyChainsPrecise_";
+const PRECISE_TRIGGERS_PROP_ = "MAILALERT_PRECISE_TRIGGERS";
+
+const RETRY_TRIGGER_HANDLER_ = "processHourlyChainsRetry_";
+
+// Обработчик одноразовых триггеров: та же обработка, что и почасовая
+function processHourlyChainsPrecise_() {
+  processHourlyChains_();
+}
+
+// Повтор после занятого lock. Отдельный обработчик: syncPreciseChainTriggers_ его не трогает
+function processHourlyChainsRetry_() {
+  processHourlyChains_();
+}
+
+// Ровно один повтор через минуту (прежний, уже сработавший, удаляем)
+function armChainRetryTrigger_() {
+  clearChainRetryTriggers_();
+  ScriptApp.newTrigger(RETRY_TRIGGER_HANDLER_)
+    .timeBased()
+    .after(60 * 1000)
+    .create();
+}
+
+function clearChainRetryTriggers_() {
+  const triggers = ScriptApp.getProjectTriggers();
+  for (let i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === RETRY_TRIGGER_HANDLER_) ScriptApp.deleteTrigger(triggers[i]);
+  }
+}
+
+/**
+ * Приводит одноразовые триггеры к нужному набору моментов:
+ * удаляет сработавшие/просроченные/ненужные и неучтённые (потерян учёт),
+ * создаёт недостающие. Учёт uniqueId -> время — в ScriptProperties,
+ * потому что у Trigger нельзя прочитать время срабатывания.
+ */
+function syncPreciseChainTriggers_() {
+  const now = new Date();
+  const wanted = CONFIG.PRECISE_TRIGGERS_ENABLED ? computeChainTransitionTimes_(now) : [];
+  const booked = readPreciseTriggerBook_();
+  const keep = {};
+  const haveTimes = {};
+
+  const triggers = ScriptApp.getProjectTriggers();
+  for (let i = 0; i < triggers.length; i++) {
+    const t = triggers[i];
+    if (t.getHandlerFunction() !== PRECISE_TRIGGER_HANDLER_) continue;
+
+    const uid = t.getUniqueId();
+    const atIso = booked[uid];
+    const atMs = atIso ? new Date(atIso).getTime() : 0;
+    if (!atIso || atMs <= now.getTime() || wanted.indexOf(atMs) === -1 || haveTimes[atMs]) {
+      ScriptApp.deleteTrigger(t);
+      continue;
+    }
+    keep[uid] = atIso;
+    haveTimes[atMs] = true;
+  }
+
+  for (let i = 0; i < wanted.length; i++) {
+    if (haveTimes[wanted[i]]) continue;
+    const at = new Date(wanted[i]);
+    const created = ScriptApp.newTrigger(PRECISE_TRIGGER_HANDLER_)
+      .timeBased()
+      .at(at)
+      .create();
+    keep[created.getUniqueId()] = at.toISOString();
+  }
+
+  PropertiesService.getScriptProperties().setProperty(PRECISE_TRIGGERS_PROP_, JSON.stringify(keep));
+}
+
+/**
+ * Ближайшие моменты, когда processHourlyChains_ должен что-то сделать:
+ * старт текущего блока (создать следующий блок или FINAL), дедлайн
+ * для цепочек в статусе final (очистка), для правил с каналами
+ * уведомлений — ближайший сигнал, и ближайшая эскалация.
+ * Уникальные, по минутам, по возрастанию.
+ */
+function computeChainTransitionTimes_(now) {
+  const chains = listHourlyChainStates_();
+  const set = {};
+
+  for (let i = 0; i < chains.length; i++) {
+    const st = chains[i];
+    let at = null;
+    if (st.status === "active" && st.blocks && st.blocks[st.indexCurrent]) {
+      at = new Date(st.blocks[st.indexCurrent].start);
+    } else if (st.status === "final") {
+      at = new Date(st.expiresAt);
+    }
+    if (at && at.getTime() > now.getTime()) set[ceilToMinutes_(at, 1).getTime()] = true;
+
+    const rule = getRuleById_(st.ruleId);
+    if (rule.notifyChannels.length) {
+      const next = listChainSignals_(st).filter(x => x.at > now.getTime())[0];
+      if (next) set[ceilToMinutes_(new Date(next.at), 1).getTime()] = true;
+    }
+
+    const esc = listPendingEscalations_(st, rule).filter(x => x.at > now.getTime())[0];
+    if (esc) set[ceilToMinutes_(new Date(esc.at), 1).getTime()] = true;
+  }
+
+  return Object.keys(set)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .slice(0, Math.max(0, CONFIG.PRECISE_TRIGGERS_MAX));
+}
+
+function readPreciseTriggerBook_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(PRECISE_TRIGGERS_PROP_);
+  if (!raw) return {};
+  try { return JSON.parse(raw) || {}; } catch (e) { return {}; }
+}
+
+function saveHourlyChainState_(state) {
+  PropertiesService.getScriptProperties().setProperty("MAILALERT_HCHAIN:" + state.chainId, JSON.stringify(state));
+}
+
+function getHourlyChainState_(chainId) {
+  const raw = PropertiesService.getScriptProperties().getProperty("MAILALERT_HCHAIN:" + chainId);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch (e) { return null; }
+}
+
+function deleteHourlyChainState_(chainId) {
+  PropertiesService.getScriptProperties().deleteProperty("MAILALERT_HCHAIN:" + chainId);
+}
+
+function listHourlyChainStates_() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const keys = Object.keys(props).filter(k => k.indexOf("MAILALERT_HCHAIN:") === 0);
+  const out = [];
+  for (let i = 0; i < keys.length; i++) {
+    try { out.push(JSON.parse(props[keys[i]])); } catch (e) {}
+  }
+  return out;
+}
+
+/***********************
+ * WEB APP: DASHBOARD
+ ***********************/
+
+// Варианты в кнопках dashboard
+const DASHBOARD_SNOOZE_MINUTES_ = [30, 60, 120];
+const DASHBOARD_EXTEND_HOURS_ = [1, 6, 24];
+
+/**
+ * Web app: список активных цепочек с кнопками stop / snooze / extend / final.
+ * Деплой: Deploy -> New deployment -> Web app (execute as me, only myself).
+ */
+function doGet(e) {
+  loadRuntimeConfig_(newRunId_());
+  return renderDashboard_("");
+}
+
+/**
+ * Кнопки dashboard: action = stop | snooze | extend | final, chainId, amount.
+ * Выполняется под тем же script lock, что и основной запуск.
+ */
+function doPost(e) {
+  const runId = newRunId_();
+  const p = (e && e.parameter) ? e.parameter : {};
+  const action = String(p.action || "");
+  const chainId = String(p.chainId || "");
+  const amount = Number(p.amount || 0);
+  loadRuntimeConfig_(runId);
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    slogErr_(runId, "DASH_LOCK_BUSY", "Dashboard: активен другой запуск", { action, chainId });
+    return renderDashboard_("Занято: идёт другой запуск, повторите через минуту.");
+  }
+
+  let message = "";
+  try {
+    message = applyDashboardAction_(runId, action, chainId, amount);
+    cleanupHourlyChainTrigger_();
+  } catch (err) {
+    const payload = { action, chainId, amount, error: String(err), stack: err && err.stack ? String(err.stack) : "" };
+    slogErr_(runId, "DASH_ERR", "Dashboard: ошибка действия", payload);
+    sheetLog_(runId, "LIVE", "ERR_DASHBOARD", "Dashboard: ошибка действия", payload);
+    message = "Ошибка: " + String(err);
+  } finally {
+    lock.releaseLock();
+  }
+
+  return renderDashboard_(message);
+}
+
+function applyDashboardAction_(runId, action, chainId, amount) {
+  const st = getHourlyChainState_(chainId);
+  if (!st) return "Цепочка не найдена (уже завершена?)";
+
+  const logPayload = { rule: st.ruleId || "", chainId, action, amount };
+
+  if (action === "stop") {
+    closeAlertSet_(runId, st, {
+      status: "DASHBOARD_STOP",
+      message: "Комплект остановлен из dashboard",
+      mark: "⏹ Остановлено",
+      via: "dashboard",
+      detail: ""
+    });
+    return "Остановлено: " + truncate_(st.subject || "(без темы)", 60);
+  }
+
+  if (action === "snooze") {
+    if (st.status !== "active") return "Snooze недоступен: уже создан FINAL";
+    const minutes = DASHBOARD_SNOOZE_MINUTES_.indexOf(amount) !== -1 ? amount : DASHBOARD_SNOOZE_MINUTES_[0];
+    const snoozedUntil = addMinutes_(new Date(), minutes);
+    st.snoozedUntil = snoozedUntil.toISOString();
+    rescheduleChain_(runId, st, snoozedUntil);
+    logPayload.snoozedUntil = st.snoozedUntil;
+    sheetLog_(runId, st.mode || "LIVE", "DASHBOARD_SNOOZE", "Dashboard: snooze цепочки", logPayload);
+    return "Отложено до " + formatDateTime_(snoozedUntil);
+  }
+
+  if (action === "extend") {
+    const hours = DASHBOARD_EXTEND_HOURS_.indexOf(amount) !== -1 ? amount : DASHBOARD_EXTEND_HOURS_[0];
+    const oldExpiresAt = new Date(st.expiresAt);
+    const newExpiresAt = addHours_(oldExpiresAt, hours);
+    extendAlertSet_(runId, st, newExpiresAt);
+    logPayload.oldExpiresAt = oldExpiresAt.toISOString();
+    logPayload.newExpiresAt = newExpiresAt.toISOString();
+    sheetLog_(runId, st.mode || "LIVE", "DASHBOARD_EXTEND", "Dashboard: дедлайн продлён", logPayload);
+    return "Дедлайн продлён до " + formatDateTime_(newExpiresAt);
+  }
+
+  if (action === "final") {
+    if (st.status !== "active") return "FINAL уже создан";
+    forceFinal_(runId, st);
+    sheetLog_(runId, st.mode || "LIVE", "DASHBOARD_FINAL", "Dashboard: FINAL создан досрочно", logPayload);
+    return "FINAL создан";
+  }
+
+  return "Неизвестное действие: " + action;
+}
+
+/**
+ * Перестраивает оставшиеся сигналы цепочки, начиная с firstSignalAt:
+ * удаляет текущий блок и создаёт новый первый блок. Если сигналов не
+ * осталось — переходит к FINAL.
+ */
+function rescheduleChain_(runId, st, firstSignalAt) {
+  const rule = getRuleById_(st.ruleId);
+  const expiresAt = new Date(st.expiresAt);
+  const busy = loadBusyIntervals_(rule, new Date(firstSignalAt), expiresAt);
+  const signals = buildHourlySignals_(new Date(st.longStart), expiresAt, rule, { firstSignalAt, busy });
+  const blocks = buildHourlyBlocks_(signals);
+
+  deleteChainEventIfExists_(st, st.currentEventId);
+  deleteChainEventIfExists_(st, st.pendingDeleteEventId);
+  st.pendingDeleteEventId = "";
+
+  if (!blocks.length) {
+    st.currentEventId = "";
+    forceFinal_(runId, st);
+    return;
+  }
+
+  st.blocks = blocks;
+  st.indexCurrent = 0;
+  st.currentEventId = createHourlyBlockEvent_(st, st.chainId, 0, blocks[0]);
+  st.status = "active";
+  saveHourlyChainState_(st);
+
+  slogOk_(runId, "HCHAIN_RESCHEDULED", "HOURLY-CHAIN перестроена", {
+    chainId: st.chainId,
+    firstSignalAt: new Date(firstSignalAt).toISOString(),
+    blocks: blocks.length
+  });
+}
+
+// Новый дедлайн: LONG продлевается, FINAL пересоздаётся позже, цепочка — с ближайшего часа
+function extendAlertSet_(runId, st, newExpiresAt) {
+  const cal = getChainCalendar_(st);
+  const oldExpiresAt = new Date(st.expiresAt);
+  const longStart = new Date(st.longStart);
+
+  const longEv = findEventById_(cal, addMinutes_(longStart, -60), addMinutes_(oldExpiresAt, 60), st.baseId + "|LONG", { allowAllDay: false });
+  if (longEv) {
+    longEv.setTime(longEv.getStartTime(), newExpiresAt);
+    registerAlertEvent_(longEv, st.baseId + "|LONG");
+  }
+
+  deleteChainEventIfExists_(st, st.finalEventId);
+  st.finalEventId = "";
+  st.expiresAt = newExpiresAt.toISOString();
+  st.status = "active";
+  st.allDayIds = ensureAllDayAnchors_(runId, cal, st, getRuleById_(st.ruleId), new Date(), newExpiresAt);
+
+  rescheduleChain_(runId, st, new Date());
+  updateLinkedTaskDue_(runId, st);
+}
+
+function forceFinal_(runId, st) {
+  deleteChainEventIfExists_(st, st.currentEventId);
+  st.currentEventId = "";
+  if (!st.finalEventId) st.finalEventId = createFinalEvent_(st);
+  st.status = "final";
+  saveHourlyChainState_(st);
+  slogOk_(runId, "HCHAIN_FINAL", "FINAL создан", { chainId: st.chainId, finalEventId: st.finalEventId });
+}
+
+function deleteChainEventIfExists_(st, eventId) {
+  if (!eventId) return false;
+  const cal = getChainCalendar_(st);
+  const ev = findEventById_(cal, addHours_(new Date(), -48), addHours_(new Date(st.expiresAt), 48), eventId, { allowAllDay: false });
+  if (!ev) return false;
+  deleteAlertEvent_(ev, eventId);
+  return true;
+}
+
+// Ближайший сигнал цепочки после now (блоки: start - reminders; FINAL: expiresAt - reminders)
+function getNextSignalAt_(st, now) {
+  const times = [];
+  if (st.status === "active") {
+    for (let i = st.indexCurrent || 0; i < (st.blocks || []).length; i++) {
+      const b = st.blocks[i];
+      for (let j = 0; j < b.reminders.length; j++) {
+        times.push(new Date(b.start).getTime() - b.reminders[j] * 60000);
+      }
+    }
+  }
+  const rule = getRuleById_(st.ruleId);
+  const expiresMs = new Date(st.expiresAt).getTime();
+  for (let i = 0; i < rule.finalRemindersMinutes.length; i++) {
+    times.push(expiresMs - rule.finalRemindersMinutes[i] * 60000);
+  }
+
+  let best = null;
+  for (let i = 0; i < times.length; i++) {
+    if (times[i] > now.getTime() && (best === null || times[i] < best)) best = times[i];
+  }
+  return best === null ? null : new Date(best);
+}
+
+function renderDashboard_(message) {
+  const now = new Date();
+  const url = ScriptApp.getService().getUrl();
+  const chains = listHourlyChainStates_()
+    .sort((a, b) => new Date(a.expiresAt).getTime() - new Date(b.expiresAt).getTime());
 
-  for (let i = 0; i < signals.length; i += step) {
-    const slice = signals.slice(i, i + step);
-    if (!slice.length) continue;
-    const start = slice[slice.length - 1];
-    const reminders = [];
-    for (let j = 0; j < slice.length; j++) {
-      const diffMin = Math.round((start.getTime() - slice[j].getTime()) / 60000);
-      reminders.push(diffMin);
+  const rows = [];
+  for (let i = 0; i < chains.length; i++) {
+    const st = chains[i];
+    const blocks = st.blocks || [];
+    const block = st.status === "active" ? blocks[st.indexCurrent] : null;
+    const next = getNextSignalAt_(st, now);
+
+    const blockText = block
+      ? (st.indexCurrent + 1) + "/" + blocks.length + " · " + formatDateTime_(new Date(block.start))
+      : (st.status === "final" ? "FINAL" : "—");
+
+    rows.push(
+      "<tr>" +
+      "<td>" + escapeHtml_(st.ruleId || "") + "</td>" +
+      "<td>" + (st.gmailLink ? "<a href=\"" + escapeHtml_(st.gmailLink) + "\" target=\"_blank\">" : "") +
+        escapeHtml_(truncate_(st.subject || "(без темы)", 80)) + (st.gmailLink ? "</a>" : "") +
+        (st.mode === "TEST" ? " <small>(тест)</small>" : "") + "</td>" +
+      "<td>" + escapeHtml_(formatDateTime_(new Date(st.receivedAt))) + "</td>" +
+      "<td>" + escapeHtml_(formatDateTime_(new Date(st.expiresAt))) + "</td>" +
+      "<td>" + escapeHtml_(blockText) + "</td>" +
+      "<td>" + escapeHtml_(next ? formatDateTime_(next) : "—") + "</td>" +
+      "<td>" + buildDashboardButtons_(url, st) + "</td>" +
+      "</tr>"
+    );
+  }
+
+  const html =
+    "<!DOCTYPE html><html><head><meta charset=\"utf-8\">" +
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">" +
+    "<style>" +
+    "body{font-family:sans-serif;margin:16px}table{border-collapse:collapse;width:100%}" +
+    "td,th{border:1px solid #ccc;padding:6px;font-size:14px;vertical-align:top}" +
+    "form{display:inline-block;margin:2px}.msg{background:#ffd;padding:8px;margin-bottom:12px}" +
+    "</style></head><body>" +
+    "<h2>Mail Alerts: активные цепочки</h2>" +
+    (message ? "<div class=\"msg\">" + escapeHtml_(message) + "</div>" : "") +
+    (rows.length
+      ? "<table><tr><th>Правило</th><th>Тема</th><th>Получено</th><th>Дедлайн</th>" +
+        "<th>Текущий блок</th><th>Следующий сигнал</th><th>Действия</th></tr>" + rows.join("") + "</table>"
+      : "<p>Активных цепочек нет.</p>") +
+    "<p><small>Обновлено " + escapeHtml_(formatDateTime_(now)) + "</small></p>" +
+    "</body></html>";
+
+  return HtmlService.createHtmlOutput(html).setTitle("Mail Alerts");
+}
+
+function buildDashboardButtons_(url, st) {
+  const form = (action, amount, label) =>
+    "<form method=\"post\" action=\"" + escapeHtml_(url) + "\" target=\"_top\">" +
+    "<input type=\"hidden\" name=\"action\" value=\"" + action + "\">" +
+    "<input type=\"hidden\" name=\"chainId\" value=\"" + escapeHtml_(st.chainId) + "\">" +
+    "<input type=\"hidden\" name=\"amount\" value=\"" + amount + "\">" +
+    "<button type=\"submit\">" + escapeHtml_(label) + "</button></form>";
+
+  const out = [form("stop", 0, "Стоп")];
+  if (st.status === "active") {
+    for (let i = 0; i < DASHBOARD_SNOOZE_MINUTES_.length; i++) {
+      out.push(form("snooze", DASHBOARD_SNOOZE_MINUTES_[i], "Snooze " + DASHBOARD_SNOOZE_MINUTES_[i] + "м"));
     }
-    blocks.push({
-      start: start.toISOString(),
-      reminders
-    });
   }
+  for (let i = 0; i < DASHBOARD_EXTEND_HOURS_.length; i++) {
+    out.push(form("extend", DASHBOARD_EXTEND_HOURS_[i], "+" + DASHBOARD_EXTEND_HOURS_[i] + "ч"));
+  }
+  if (st.status === "active") out.push(form("final", 0, "FINAL сейчас"));
+  return out.join("");
+}
 
-  return blocks;
+function escapeHtml_(s) {
+  return String(s === undefined || s === null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
-function createHourlyBlockEvent_(mailOrState, chainId, index, block) {
-  const cal = CalendarApp.getDefaultCalendar();
-  const start = new Date(block.start);
-  const end = addMinutes_(start, 5);
-  const eventId = chainId + "|B" + index + "|" + formatYYYYMMDDHHMM_(start);
-  const mode = mailOrState.mode || "LIVE";
-  const subject = mailOrState.subject || "";
-  const threadId = mailOrState.threadId || "";
-  const gmailLink = mailOrState.gmailLink || "";
-  const meta = mailOrState.meta || {};
+/***********************
+ * NOTIFY CHANNELS
+ ***********************/
 
-  const title = buildEventTitle_("HOURLY", truncate_(subject || "(без темы)", 120), new Date(mailOrState.receivedAt), new Date(mailOrState.expiresAt), mode === "TEST");
-  const desc = buildDescriptionNew_({
-    id: eventId,
-    mode,
-    kind: "HOURLY",
-    expectedSender: CONFIG.EXPECTED_SENDER_EMAIL,
-    inbox: CONFIG.YOUR_INBOX_EMAIL,
-    subject,
-    receivedAt: mailOrState.receivedAt ? new Date(mailOrState.receivedAt) : "",
-    expiresAt: mailOrState.expiresAt ? new Date(mailOrState.expiresAt) : "",
-    gmailLink,
-    threadId,
-    eventStart: start,
-    meta: Object.assign({}, meta, { chainId, blockIndex: index })
+// type -> fn(channel, msg) => { ok, status, error }. msg = { kind, title, text, link, info }
+const NOTIFY_SENDERS_ = {
+  email: sendNotifyEmail_,
+  webhook: sendNotifyWebhook_,
+  telegram: sendNotifyTelegram_,
+  ntfy: sendNotifyNtfy_
+};
+
+/**
+ * Отправляет уведомление kind (LONG | HOURLY | FINAL | ...) во все каналы
+ * правила (или channelNames). Каждый результат — строка в логе
+ * (NOTIFY_OK / ERR_NOTIFY); ошибка канала не прерывает остальные.
+ * info = { mode, baseId, subject, expiresAt, signalAt, actionLink, gmailLink }
+ */
+function notifyAlert_(runId, rule, kind, info, channelNames) {
+  // TEST не должен дойти до боевых адресатов: только отдельный тестовый список
+  const names = info.mode === "TEST" ? (CONFIG.TEST_NOTIFY_CHANNELS || []) : (channelNames || rule.notifyChannels || []);
+  if (!names.length) return [];
+
+  const msg = buildNotifyMessage_(kind, info);
+  const results = [];
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const channel = (CONFIG.NOTIFY_CHANNELS || {})[name];
+    let res;
+
+    if (!channel || !NOTIFY_SENDERS_[channel.type]) {
+      res = { ok: false, status: 0, error: "Канал не настроен или неизвестный type" };
+    } else {
+      try {
+        res = NOTIFY_SENDERS_[channel.type](channel, msg);
+      } catch (err) {
+        res = { ok: false, status: 0, error: String(err) };
+      }
+    }
+
+    const payload = {
+      rule: rule.id,
+      kind,
+      channel: name,
+      type: channel ? channel.type : "",
+      baseId: info.baseId || "",
+      status: res.status || 0,
+      error: res.error || ""
+    };
+    if (res.ok) {
+      slogOk_(runId, "NOTIFY_OK", "Уведомление отправлено", payload);
+      sheetLog_(runId, info.mode || "LIVE", "NOTIFY_OK", "Уведомление " + kind + " → " + name, payload);
+    } else {
+      slogErr_(runId, "NOTIFY", "Уведомление не доставлено", payload);
+      sheetLog_(runId, info.mode || "LIVE", "ERR_NOTIFY", "Уведомление " + kind + " → " + name + " не доставлено", payload);
+    }
+    results.push(Object.assign({ channel: name }, res));
+  }
+
+  return results;
+}
+
+/**
+ * Сигналы цепочки для каналов: все сигналы блоков (start - reminders)
+ * и один FINAL — в момент первого напоминания FINAL. По возрастанию.
+ */
+function listChainSignals_(st) {
+  const out = [];
+  const blocks = st.blocks || [];
+  for (let i = 0; i < blocks.length; i++) {
+    const startMs = new Date(blocks[i].start).getTime();
+    for (let j = 0; j < blocks[i].reminders.length; j++) {
+      out.push({ at: startMs - blocks[i].reminders[j] * 60000, kind: "HOURLY" });
+    }
+  }
+
+  const rule = getRuleById_(st.ruleId);
+  const finalLead = rule.finalRemindersMinutes.length ? Math.max.apply(null, rule.finalRemindersMinutes) : 0;
+  out.push({ at: new Date(st.expiresAt).getTime() - finalLead * 60000, kind: "FINAL" });
+
+  out.sort((a, b) => a.at - b.at);
+  return out;
+}
+
+/**
+ * Отправляет сигналы цепочки, наступившие с прошлой отправки (st.lastNotifiedAt).
+ * После простоя триггера шлём только последний сигнал и только если он
+ * не старше NOTIFY_MAX_LATE_MINUTES. Состояние сохраняет вызывающий.
+ */
+function dispatchDueSignals_(runId, st, now) {
+  const rule = getRuleById_(st.ruleId);
+  if (!rule.notifyChannels.length) return;
+
+  if (!st.lastNotifiedAt) {
+    // Цепочка прежней версии: прошлые сигналы не догоняем
+    st.lastNotifiedAt = now.toISOString();
+    return;
+  }
+
+  const sinceMs = new Date(st.lastNotifiedAt).getTime();
+  const due = listChainSignals_(st).filter(x => x.at > sinceMs && x.at <= now.getTime());
+  if (!due.length) return;
+
+  st.lastNotifiedAt = now.toISOString();
+  const last = due[due.length - 1];
+  const lateMin = Math.round((now.getTime() - last.at) / 60000);
+  if (lateMin > CONFIG.NOTIFY_MAX_LATE_MINUTES) {
+    slogVerbose_(runId, "NOTIFY_SKIP_LATE", "Сигнал пропущен: слишком поздно", { chainId: st.chainId, lateMin });
+    return;
+  }
+
+  notifyAlert_(runId, rule, last.kind, {
+    mode: st.mode,
+    baseId: st.baseId,
+    subject: st.subject,
+    expiresAt: new Date(st.expiresAt),
+    signalAt: new Date(last.at),
+    actionLink: st.actionLink || "",
+    gmailLink: st.gmailLink || ""
   });
+}
 
-  const ev = cal.createEvent(title, start, end, { description: desc });
-  ev.removeAllReminders();
-  for (let i = 0; i < block.reminders.length; i++) {
-    ev.addPopupReminder(block.reminders[i]);
+function buildNotifyMessage_(kind, info) {
+  const expiresAt = info.expiresAt ? new Date(info.expiresAt) : null;
+  const signalAt = info.signalAt ? new Date(info.signalAt) : new Date();
+  const kindText = {
+    LONG: "Новое важное письмо",
+    HOURLY: "Напоминание",
+    FINAL: "❗ Последнее напоминание",
+    ESCALATION: "⚠️ Эскалация: письмо не обработано",
+    STALE: "⌛ Письмо подхвачено с опозданием"
+  }[kind] || kind;
+
+  const title = kindText + ": " + truncate_(info.subject || "(без темы)", 80) + (info.mode === "TEST" ? " (тест)" : "");
+  const lines = [title];
+  if (expiresAt) {
+    lines.push("Дедлайн: " + formatDateTime_(expiresAt) + " (осталось " + formatDuration_(signalAt, expiresAt) + ")");
   }
-  return eventId;
+  if (info.actionLink) lines.push("Ссылка для действия: " + info.actionLink);
+  if (info.gmailLink) lines.push("Письмо: " + info.gmailLink);
+
+  return {
+    kind,
+    title,
+    text: lines.join("\n"),
+    link: info.actionLink || info.gmailLink || "",
+    info
+  };
 }
 
-function createFinalEvent_(state) {
-  const cal = CalendarApp.getDefaultCalendar();
-  const endAt = new Date(state.expiresAt);
-  const start = endAt;
-  const end = addMinutes_(start, 5);
-  const eventId = state.chainId + "|FINAL|" + formatYYYYMMDDHHMM_(start);
+function sendNotifyEmail_(channel, msg) {
+  if (!channel.to) return { ok: false, status: 0, error: "Не задан to" };
+  MailApp.sendEmail({ to: channel.to, subject: msg.title, body: msg.text });
+  return { ok: true, status: 0, error: "" };
+}
 
-  const title = "❗❗❗ " + buildEventTitle_("FINAL", truncate_(state.subject || "(без темы)", 120), new Date(state.receivedAt), endAt, state.mode === "TEST");
-  const desc = buildDescriptionNew_({
-    id: eventId,
-    mode: state.mode,
-    kind: "FINAL",
-    expectedSender: CONFIG.EXPECTED_SENDER_EMAIL,
-    inbox: CONFIG.YOUR_INBOX_EMAIL,
-    subject: state.subject,
-    receivedAt: state.receivedAt ? new Date(state.receivedAt) : "",
-    expiresAt: endAt,
-    gmailLink: state.gmailLink || "",
-    threadId: state.threadId || "",
-    eventStart: start,
-    meta: Object.assign({}, state.meta || {}, { chainId: state.chainId })
+function sendNotifyWebhook_(channel, msg) {
+  const url = channel.url || readSecretProperty_(channel.urlProperty);
+  if (!url) return { ok: false, status: 0, error: "Не задан url/urlProperty" };
+
+  const info = msg.info || {};
+  return fetchNotify_(url, {
+    method: "post",
+    contentType: "application/json",
+    payload: JSON.stringify({
+      kind: msg.kind,
+      title: msg.title,
+      text: msg.text,
+      link: msg.link,
+      baseId: info.baseId || "",
+      expiresAt: info.expiresAt ? new Date(info.expiresAt).toISOString() : ""
+    })
   });
+}
 
-  const ev = cal.createEvent(title, start, end, { description: desc });
-  ev.removeAllReminders();
-  for (let i = 0; i < CONFIG.FINAL_REMINDERS_MINUTES.length; i++) {
-    ev.addPopupReminder(CONFIG.FINAL_REMINDERS_MINUTES[i]);
+function sendNotifyTelegram_(channel, msg) {
+  const token = readSecretProperty_(channel.tokenProperty);
+  if (!token || !channel.chatId) return { ok: false, status: 0, error: "Не задан токен (tokenProperty) или chatId" };
+
+  const base = String(channel.apiBaseUrl || "https://api.telegram.org").replace(/\/+$/, "");
+  return fetchNotify_(base + "/bot" + token + "/sendMessage", {
+    method: "post",
+    contentType: "application/json",
+    payload: JSON.stringify({ chat_id: channel.chatId, text: msg.text, disable_web_page_preview: true })
+  });
+}
+
+// ntfy: публикация JSON в корень сервера — заголовки Title/Click с кириллицей не нужны
+function sendNotifyNtfy_(channel, msg) {
+  if (!channel.topic) return { ok: false, status: 0, error: "Не задан topic" };
+
+  const base = String(channel.serverUrl || "https://ntfy.sh").replace(/\/+$/, "");
+  const body = {
+    topic: channel.topic,
+    title: msg.title,
+    message: msg.text,
+    priority: msg.kind === "FINAL" ? 5 : 4
+  };
+  if (msg.link) body.click = msg.link;
+
+  const params = { method: "post", contentType: "application/json", payload: JSON.stringify(body) };
+  const token = readSecretProperty_(channel.tokenProperty);
+  if (token) params.headers = { Authorization: "Bearer " + token };
+  return fetchNotify_(base, params);
+}
+
+function fetchNotify_(url, params) {
+  const resp = UrlFetchApp.fetch(url, Object.assign({ muteHttpExceptions: true }, params));
+  const status = resp.getResponseCode();
+  const ok = status >= 200 && status < 300;
+  return { ok, status, error: ok ? "" : truncate_(String(resp.getContentText() || ""), 200) };
+}
+
+function readSecretProperty_(name) {
+  if (!name) return "";
+  return PropertiesService.getScriptProperties().getProperty(name) || "";
+}
+
+/***********************
+ * ESCALATION
+ ***********************/
+
+/**
+ * Эскалации правила, которые ещё не срабатывали для цепочки, с моментом
+ * срабатывания: за hoursBeforeDeadline до дедлайна или (onFinal) в момент
+ * первого напоминания FINAL. По возрастанию.
+ */
+function listPendingEscalations_(st, rule) {
+  if (st.mode === "TEST" && !CONFIG.TEST_ESCALATIONS_ENABLED) return [];
+  const list = rule.escalations || [];
+  const done = st.escalated || {};
+  const expiresMs = new Date(st.expiresAt).getTime();
+  const finalLead = rule.finalRemindersMinutes.length ? Math.max.apply(null, rule.finalRemindersMinutes) : 0;
+  const out = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const esc = list[i] || {};
+    const id = String(esc.id || "E" + i);
+    if (done[id]) continue;
+
+    let at;
+    if (esc.onFinal) at = expiresMs - finalLead * 60000;
+    else if (typeof esc.hoursBeforeDeadline === "number") at = expiresMs - esc.hoursBeforeDeadline * 60 * 60 * 1000;
+    else continue;
+
+    out.push({ id, at, esc });
   }
-  return eventId;
+
+  out.sort((a, b) => a.at - b.at);
+  return out;
 }
 
-function ensureHourlyChainTrigger_() {
-  const triggers = ScriptApp.getProjectTriggers();
-  let has = false;
-  for (let i = 0; i < triggers.length; i++) {
-    if (triggers[i].getHandlerFunction() === "processHourlyChains_") {
-      has = true;
-      break;
+/**
+ * Выполняет наступившие эскалации цепочки. Цепочка жива — значит, подтверждения
+ * нет (processAcknowledgements_ уже отработал в этом прогоне). Каждая эскалация —
+ * один раз (st.escalated), каждая — строка ESCALATED в логе. Состояние сохраняет вызывающий.
+ */
+function processEscalations_(runId, st, now) {
+  const rule = getRuleById_(st.ruleId);
+  const due = listPendingEscalations_(st, rule).filter(x => x.at <= now.getTime());
+  if (!due.length) return;
+  if (now.getTime() >= new Date(st.expiresAt).getTime()) return;
+
+  st.escalated = st.escalated || {};
+  st.finalGuests = st.finalGuests || [];
+  const info = {
+    mode: st.mode,
+    baseId: st.baseId,
+    subject: st.subject,
+    expiresAt: new Date(st.expiresAt),
+    signalAt: now,
+    actionLink: st.actionLink || "",
+    gmailLink: st.gmailLink || ""
+  };
+
+  for (let i = 0; i < due.length; i++) {
+    const esc = due[i].esc;
+    const actions = [];
+    const errors = [];
+
+    const guests = esc.addGuestsToFinal || [];
+    if (guests.length) {
+      for (let g = 0; g < guests.length; g++) {
+        if (st.finalGuests.indexOf(guests[g]) === -1) st.finalGuests.push(guests[g]);
+      }
+      try {
+        if (addGuestsToFinalEvent_(st, guests)) actions.push("guests:final");
+        else actions.push("guests:pending");
+      } catch (err) {
+        errors.push("guests: " + String(err));
+      }
+    }
+
+    const emailTo = esc.emailTo || [];
+    for (let m = 0; m < emailTo.length; m++) {
+      try {
+        const msg = buildNotifyMessage_("ESCALATION", info);
+        MailApp.sendEmail({ to: emailTo[m], subject: msg.title, body: msg.text });
+        actions.push("email:" + emailTo[m]);
+      } catch (err) {
+        errors.push("email " + emailTo[m] + ": " + String(err));
+      }
+    }
+
+    if (esc.notifyChannels && esc.notifyChannels.length) {
+      const results = notifyAlert_(runId, rule, "ESCALATION", info, esc.notifyChannels);
+      for (let r = 0; r < results.length; r++) {
+        actions.push("notify:" + results[r].channel + (results[r].ok ? "" : ":fail"));
+      }
     }
+
+    st.escalated[due[i].id] = now.toISOString();
+
+    const payload = {
+      rule: rule.id,
+      baseId: st.baseId,
+      chainId: st.chainId,
+      escalation: due[i].id,
+      plannedAt: new Date(due[i].at).toISOString(),
+      actions,
+      errors
+    };
+    if (errors.length) slogErr_(runId, "ESCALATED", "Эскалация с ошибками", payload);
+    else slogOk_(runId, "ESCALATED", "Эскалация выполнена", payload);
+    sheetLog_(runId, st.mode || "LIVE", errors.length ? "ERR_ESCALATION" : "ESCALATED", "Эскалация " + due[i].id + ": никто не отреагировал", payload);
   }
-  if (has) return;
+}
 
-  ScriptApp.newTrigger("processHourlyChains_")
-    .timeBased()
-    .everyHours(1)
-    .create();
+// true — FINAL уже есть и гости добавлены; false — добавятся при создании FINAL
+function addGuestsToFinalEvent_(st, guests) {
+  if (!st.finalEventId) return false;
+  const cal = getChainCalendar_(st);
+  const ev = findEventById_(cal, addHours_(new Date(), -48), addHours_(new Date(st.expiresAt), 48), st.finalEventId, { allowAllDay: false });
+  if (!ev) return false;
+  for (let i = 0; i < guests.length; i++) ev.addGuest(guests[i]);
+  return true;
 }
 
-function cleanupHourlyChainTrigger_() {
+/***********************
+ * ACKNOWLEDGEMENT (“я обработал”)
+ ***********************/
+
+/**
+ * Проверяет все активные комплекты и останавливает подтверждённые.
+ * Вызывается из LIVE-прогона (каждую минуту) и из processHourlyChains_.
+ */
+function processAcknowledgements_(runId) {
   const chains = listHourlyChainStates_();
-  if (chains.length) return;
-  const triggers = ScriptApp.getProjectTriggers();
-  for (let i = 0; i < triggers.length; i++) {
-    if (triggers[i].getHandlerFunction() === "processHourlyChains_") {
-      ScriptApp.deleteTrigger(triggers[i]);
+  let acknowledged = 0;
+
+  for (let i = 0; i < chains.length; i++) {
+    const st = chains[i];
+    const knownTaskId = st.taskId || "";
+    let ack = null;
+    try {
+      ack = detectAcknowledgement_(st);
+    } catch (err) {
+      slogErr_(runId, "ACK_CHECK_ERR", "Ошибка проверки подтверждения", {
+        chainId: st.chainId,
+        error: String(err)
+      });
+    }
+    if (!ack) {
+      // Найденную по маркеру задачу дальше читаем по id
+      if ((st.taskId || "") !== knownTaskId) saveHourlyChainState_(st);
+      continue;
     }
+
+    closeAlertSet_(runId, st, {
+      status: "ACKNOWLEDGED",
+      message: "Комплект остановлен: подтверждено (" + ack.via + ")",
+      mark: "✅ Обработано",
+      via: ack.via,
+      detail: ack.detail
+    });
+    acknowledged++;
   }
+
+  if (acknowledged) cleanupHourlyChainTrigger_();
+  return acknowledged;
 }
 
-function saveHourlyChainState_(state) {
-  PropertiesService.getScriptProperties().setProperty("MAILALERT_HCHAIN:" + state.chainId, JSON.stringify(state));
+/**
+ * Источники подтверждения (по порядку): ярлык, звезда, ответ, выполненная задача.
+ * Ярлык и звезда учитываются, только если их не было при старте цепочки
+ * (в TEST берётся старый реальный тред, он мог быть уже помечен).
+ * Возвращает { via, detail } или null.
+ */
+function detectAcknowledgement_(st) {
+  const baseline = st.ackBaseline || {};
+  const thread = getThreadByIdSafe_(st.threadId);
+
+  if (thread) {
+    if (CONFIG.ACK_ON_LABEL && !baseline.labeled && threadHasLabel_(thread, CONFIG.ACK_LABEL_NAME)) {
+      return { via: "label", detail: CONFIG.ACK_LABEL_NAME };
+    }
+
+    if (CONFIG.ACK_ON_STAR && !baseline.starred && thread.hasStarredMessages()) {
+      return { via: "star", detail: "" };
+    }
+
+    if (CONFIG.ACK_ON_REPLY) {
+      const reply = findMyReplyAfter_(thread, new Date(st.receivedAt));
+      if (reply) return { via: "reply", detail: reply.getDate().toISOString() };
+    }
+  }
+
+  if (CONFIG.ACK_ON_TASK_COMPLETED && typeof Tasks !== "undefined" && Tasks && Tasks.Tasks) {
+    const task = findLinkedTask_(st);
+    if (task && task.status === "completed") {
+      return { via: "task", detail: task.id || "" };
+    }
+  }
+
+  return null;
 }
 
-function getHourlyChainState_(chainId) {
-  const raw = PropertiesService.getScriptProperties().getProperty("MAILALERT_HCHAIN:" + chainId);
-  if (!raw) return null;
-  try { return JSON.parse(raw); } catch (e) { return null; }
+function readAckBaseline_(threadId) {
+  const thread = getThreadByIdSafe_(threadId);
+  if (!thread) return { labeled: false, starred: false };
+  return {
+    labeled: threadHasLabel_(thread, CONFIG.ACK_LABEL_NAME),
+    starred: thread.hasStarredMessages()
+  };
 }
 
-function deleteHourlyChainState_(chainId) {
-  PropertiesService.getScriptProperties().deleteProperty("MAILALERT_HCHAIN:" + chainId);
+/**
+ * Останавливает комплект: удаляет текущий/ожидающий блок и FINAL,
+ * укорачивает LONG до “сейчас”, снимает его напоминания и помечает
+ * заголовок/описание, выполняет связанную задачу (если остановка пришла
+ * не от неё), удаляет состояние цепочки и пишет строку в лог.
+ * reason = { status, message, mark, via, detail } — status уходит в лог.
+ */
+function closeAlertSet_(runId, st, reason) {
+  const cal = getChainCalendar_(st);
+  const now = new Date();
+  const from = addHours_(now, -48);
+  const to = addHours_(new Date(st.expiresAt), 48);
+  const deleted = [];
+
+  const ids = [st.currentEventId, st.pendingDeleteEventId, st.finalEventId];
+  for (let i = 0; i < ids.length; i++) {
+    if (!ids[i]) continue;
+    const ev = findEventById_(cal, from, to, ids[i], { allowAllDay: false });
+    if (!ev) continue;
+    deleteAlertEvent_(ev, ids[i]);
+    deleted.push(ids[i]);
+  }
+  Array.prototype.push.apply(deleted, removeAllDayAnchors_(cal, st.baseId, st.allDayIds, addHours_(new Date(st.longStart), -48), to));
+
+  const longId = st.baseId + "|LONG";
+  const longStart = new Date(st.longStart);
+  const longEv = findEventById_(cal, addMinutes_(longStart, -60), addMinutes_(new Date(st.expiresAt), 60), longId, { allowAllDay: false });
+  let longClosed = false;
+  if (longEv) {
+    annotateLongEvent_(longEv, reason.mark, now, reason.detail ? reason.via + " " + reason.detail : reason.via);
+    longClosed = true;
+  }
+
+  const taskCompleted = reason.via === "task" ? "" : completeLinkedTask_(runId, st);
+
+  deleteHourlyChainState_(st.chainId);
+
+  const payload = {
+    rule: st.ruleId || "",
+    baseId: st.baseId,
+    chainId: st.chainId,
+    via: reason.via || "",
+    detail: reason.detail || "",
+    deletedEvents: deleted,
+    longClosed,
+    taskCompleted
+  };
+  slogOk_(runId, reason.status, reason.message, payload);
+  sheetLog_(runId, st.mode || "LIVE", reason.status, reason.message, payload);
+  return payload;
 }
 
-function listHourlyChainStates_() {
-  const props = PropertiesService.getScriptProperties().getProperties();
-  const keys = Object.keys(props).filter(k => k.indexOf("MAILALERT_HCHAIN:") === 0);
-  const out = [];
-  for (let i = 0; i < keys.length; i++) {
-    try { out.push(JSON.parse(props[keys[i]])); } catch (e) {}
+// LONG не удаляем: он остаётся в календаре как след, но больше не звенит
+function annotateLongEvent_(ev, mark, now, note) {
+  ev.removeAllReminders();
+
+  const start = ev.getStartTime();
+  if (now.getTime() > start.getTime() && now.getTime() < ev.getEndTime().getTime()) {
+    ev.setTime(start, now);
+  }
+
+  const title = ev.getTitle() || "";
+  if (title.indexOf(mark) !== 0) ev.setTitle(mark + ": " + title);
+
+  const line = mark + " " + formatDateTime_(now) + (note ? " (" + note + ")" : "");
+  ev.setDescription(line + "\n" + (ev.getDescription() || ""));
+}
+
+function getThreadByIdSafe_(threadId) {
+  if (!threadId) return null;
+  try { return GmailApp.getThreadById(threadId); } catch (e) { return null; }
+}
+
+function threadHasLabel_(thread, labelName) {
+  const labels = thread.getLabels();
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i].getName() === labelName) return true;
+  }
+  return false;
+}
+
+function findMyReplyAfter_(thread, after) {
+  const mine = getMyEmails_();
+  const messages = thread.getMessages();
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m.getDate().getTime() <= after.getTime()) break;
+    const from = String(m.getFrom() || "").toLowerCase();
+    for (let j = 0; j < mine.length; j++) {
+      if (from.indexOf(mine[j]) !== -1) return m;
+    }
   }
+  return null;
+}
+
+function getMyEmails_() {
+  const out = [];
+  if (CONFIG.YOUR_INBOX_EMAIL) out.push(String(CONFIG.YOUR_INBOX_EMAIL).toLowerCase());
+  try {
+    const me = Session.getEffectiveUser().getEmail();
+    if (me && out.indexOf(me.toLowerCase()) === -1) out.push(me.toLowerCase());
+  } catch (e) {}
   return out;
 }
 
@@ -1352,10 +5390,13 @@ function addHours_(dt, hours) {
   return addMinutes_(dt, hours * 60);
 }
 
+// Реальные минуты (не часы на стене): в день перехода DST +1ч — это ровно 60 минут
 function addMinutes_(dt, minutes) {
-  const d = new Date(dt.getTime());
-  d.setMinutes(d.getMinutes() + minutes);
-  return d;
+  return new Date(dt.getTime() + minutes * 60000);
+}
+
+function escapeRegExp_(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
 function truncate_(s, n) {
@@ -1395,13 +5436,8 @@ function buildEventTitle_(kind, subject, receivedAt, expiresAt, isTest) {
   return title;
 }
 
-function formatYYYYMMDDHHMM_(dt) {
-  const y = dt.getFullYear();
-  const m = String(dt.getMonth() + 1).padStart(2, "0");
-  const d = String(dt.getDate()).padStart(2, "0");
-  const hh = String(dt.getHours()).padStart(2, "0");
-  const mm = String(dt.getMinutes()).padStart(2, "0");
-  return `${y}${m}${d}${hh}${mm}`;
+function formatYYYYMMDDHHMM_(dt, timeZone) {
+  return Utilities.formatDate(dt, timeZone || Session.getScriptTimeZone(), "yyyyMMddHHmm");
 }
 
 /***********************
@@ -0,0 +1,75 @@
+// verifySenderAuth_: DKIM/SPF/DMARC из верхнего Authentication-Results.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode } = require("./helpers/load-code.cjs");
+
+const gas = loadCode();
+
+function message(...authResults) {
+  const head = authResults.map(v => "Authentication-Results: " + v).join("\r\n");
+  return { getRawContent: () => head + "\r\nFrom: queue-mailer@kdmid.ru\r\nSubject: x\r\n\r\nbody" };
+}
+
+function verify(msg, extra) {
+  const rule = gas.resolveRule_(Object.assign({ id: "a", senderEmail: "queue-mailer@kdmid.ru" }, extra || {}));
+  const res = gas.verifySenderAuth_(msg, rule);
+  return { ok: res.ok, checks: Object.assign({}, res.checks), failed: Array.from(res.failed), skipped: res.skipped };
+}
+
+const GOOD = "mx.google.com;\r\n       dkim=pass header.i=@kdmid.ru header.s=k1 header.b=Xy12;\r\n" +
+  "       spf=pass (google.com: domain of queue-mailer@mail.kdmid.ru designates 192.0.2.1 as permitted sender) smtp.mailfrom=queue-mailer@mail.kdmid.ru;\r\n" +
+  "       dmarc=pass (p=REJECT sp=REJECT dis=NONE) header.from=kdmid.ru";
+
+test("pass для домена правила и поддомена (продолжения строк склеены)", () => {
+  assert.deepEqual(verify(message(GOOD), { authChecks: ["dkim", "spf", "dmarc"] }), {
+    ok: true,
+    checks: { dkim: "pass:kdmid.ru", spf: "pass:mail.kdmid.ru", dmarc: "pass:kdmid.ru" },
+    failed: [],
+    skipped: ""
+  });
+});
+
+const DKIM_SPF = { authChecks: ["dkim", "spf"] };
+
+test("по умолчанию только DMARC: письмо через ESP с чужими DKIM/SPF проходит", () => {
+  const esp = "mx.google.com; dkim=pass header.i=@kdmid.ru header.s=k1; dkim=pass header.d=esp.example;" +
+    " spf=pass smtp.mailfrom=bounces+123@em.esp.example; dmarc=pass (p=REJECT) header.from=kdmid.ru";
+  assert.deepEqual(verify(message(esp)), { ok: true, checks: { dmarc: "pass:kdmid.ru" }, failed: [], skipped: "" });
+  assert.deepEqual(verify(message(esp), DKIM_SPF).failed, ["spf"]);
+  assert.deepEqual(verify(message("mx.google.com; dkim=pass header.d=esp.example; dmarc=fail header.from=kdmid.ru")).failed, ["dmarc"]);
+});
+
+test("подпись чужого домена и softfail SPF не проходят", () => {
+  const res = verify(message("mx.google.com; dkim=pass header.d=evil.example; spf=softfail smtp.mailfrom=x@evil.example; dmarc=fail header.from=kdmid.ru"), DKIM_SPF);
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.checks, { dkim: "pass_other:evil.example", spf: "softfail" });
+  assert.deepEqual(res.failed, ["dkim", "spf"]);
+  // "notkdmid.ru" — не поддомен kdmid.ru
+  assert.equal(verify(message("mx.google.com; dkim=pass header.d=notkdmid.ru; spf=pass smtp.mailfrom=a@notkdmid.ru"), DKIM_SPF).ok, false);
+});
+
+test("доверяем только верхнему заголовку от AUTH_SERV_ID", () => {
+  // Поддельный pass ниже настоящего результата Gmail
+  assert.equal(verify(message("mx.google.com; dkim=none; spf=fail smtp.mailfrom=x@evil.example", GOOD), DKIM_SPF).ok, false);
+  // Верхний заголовок чужого сервера
+  const res = verify(message("relay.evil.example; dkim=pass header.i=@kdmid.ru; spf=pass smtp.mailfrom=a@kdmid.ru"), DKIM_SPF);
+  assert.deepEqual(res.checks, { dkim: "untrusted", spf: "untrusted" });
+  // Заголовка нет вовсе
+  assert.deepEqual(verify(message()).failed, ["dmarc"]);
+});
+
+test("проверка выключается пустым списком; без домена письмо не проходит", () => {
+  assert.equal(verify(message(), { authChecks: [] }).skipped, "disabled");
+  const rule = gas.resolveRule_({ id: "q", gmailQuery: "subject:x" });
+  const res = gas.verifySenderAuth_(message(GOOD), rule);
+  assert.equal(res.ok, false);
+  assert.deepEqual(Array.from(res.failed), ["dmarc"]);
+  assert.match(res.error, /Нет домена для проверок/);
+  assert.equal(gas.resolveRule_({ id: "d", gmailQuery: "x", authDomain: "Kdmid.RU" }).authDomain, "kdmid.ru");
+});
+
+test("ошибки настройки проверок", () => {
+  assert.match(gas.validateAuthChecks_(["dkim", "arc"]), /ожидается одно из: dkim, spf, dmarc/);
+  assert.equal(gas.validateAuthChecks_([]), "");
+});
@@ -0,0 +1,45 @@
+// classifyMail_: отмена, исключение, включение по RegExp темы и текста.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode } = require("./helpers/load-code.cjs");
+
+const gas = loadCode();
+
+function classify(mail, extra) {
+  const rule = gas.resolveRule_(Object.assign({ id: "c", senderEmail: "x@example.com" }, extra || {}));
+  const v = gas.classifyMail_(mail, rule);
+  return v.category + (v.reason ? "/" + v.reason : "");
+}
+
+test("по умолчанию каждое письмо — алерт", () => {
+  assert.equal(classify({ subject: "Любое", body: "Текст" }), "alert");
+});
+
+test("отмена важнее исключения, исключение важнее включения", () => {
+  const rule = {
+    cancelPatterns: ["отмен"],
+    excludePatterns: ["информац"],
+    includePatterns: ["подтверд"]
+  };
+  assert.equal(classify({ subject: "Информация: запись отменена", body: "" }, rule), "cancel/cancel");
+  assert.equal(classify({ subject: "Информация", body: "Подтвердите запись" }, rule), "exclude/exclude");
+  assert.equal(classify({ subject: "Запись", body: "ПОДТВЕРДИТЕ запись" }, rule), "alert/include");
+  assert.equal(classify({ subject: "Запись", body: "Спасибо" }, rule), "exclude/include_miss");
+});
+
+test("префиксы subject: и body: ограничивают поле", () => {
+  const rule = { excludePatterns: ["subject:новост"] };
+  assert.equal(classify({ subject: "Новости консульства", body: "" }, rule), "exclude/exclude");
+  assert.equal(classify({ subject: "Запись", body: "Новости ниже" }, rule), "alert");
+
+  const body = { cancelPatterns: ["body:cancel+ed"] };
+  assert.equal(classify({ subject: "Cancelled", body: "" }, body), "alert");
+  assert.equal(classify({ subject: "", body: "Appointment cancelled" }, body), "cancel/cancel");
+});
+
+test("неверный RegExp отклоняется проверкой конфига и пропускается при разборе", () => {
+  assert.match(gas.validatePatternList_(["ok", "(broken"]), /неверный RegExp "\(broken"/);
+  assert.equal(gas.validatePatternList_(["subject:^a", "body:b$"]), "");
+  assert.equal(classify({ subject: "(broken", body: "" }, { excludePatterns: ["(broken"] }), "alert");
+});
@@ -0,0 +1,247 @@
+// Настройки из Script Property / листа Config поверх CONFIG и их проверка.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode } = require("./helpers/load-code.cjs");
+
+// Минимальные сервисы: свойства в памяти, лист Config из rows, лог — в массив
+function load(opts) {
+  const props = Object.assign({}, opts.props || {});
+  const logRows = [];
+  const configRows = opts.sheetRows || null;
+
+  const logSheet = {
+    getLastRow: () => logRows.length,
+    appendRow: row => logRows.push(row),
+    getParent: () => ss
+  };
+  const configSheet = configRows && {
+    getLastRow: () => configRows.length + 1,
+    getRange: (row, col, n) => ({ getValues: () => configRows.slice(row - 2, row - 2 + n) })
+  };
+  const ss = {
+    getSheetByName: name => (name === "Config" ? configSheet : logSheet)
+  };
+
+  const gas = loadCode({
+    globals: {
+      PropertiesService: {
+        getScriptProperties: () => ({
+          getProperty: k => (k in props ? props[k] : null),
+          setProperty: (k, v) => { props[k] = String(v); },
+          deleteProperty: k => { delete props[k]; }
+        })
+      },
+      DriveApp: { getFilesByName: () => ({ hasNext: () => true, next: () => ({}) }) },
+      SpreadsheetApp: { open: () => ss }
+    }
+  });
+  return { gas, logRows, config: gas.getConfig() };
+}
+
+const errRows = logRows => logRows.filter(r => r[3] === "ERR_CONFIG");
+
+test("значения из свойства и листа накладываются на CONFIG, лист важнее", () => {
+  const { gas, logRows, config } = load({
+    props: { MAILALERT_CONFIG: JSON.stringify({ QUIET_HOUR_START: 22, ACTIVE_WINDOW_HOURS: 12 }) },
+    sheetRows: [
+      ["QUIET_HOUR_START", 21],
+      ["# ACTIVE_WINDOW_HOURS", 1],
+      ["FINAL_REMINDERS_MINUTES", "[30, 15, 0]"],
+      ["TIME_ZONE", "Europe/Moscow"]
+    ]
+  });
+
+  gas.loadRuntimeConfig_("t1");
+  assert.equal(config.QUIET_HOUR_START, 21);
+  assert.equal(config.ACTIVE_WINDOW_HOURS, 12);
+  assert.deepEqual(Array.from(config.FINAL_REMINDERS_MINUTES), [30, 15, 0]);
+  assert.equal(config.TIME_ZONE, "Europe/Moscow");
+  assert.equal(errRows(logRows).length, 0);
+});
+
+test("ошибки оставляют значения по умолчанию и пишутся одной строкой ERR_CONFIG", () => {
+  const { gas, logRows, config } = load({
+    sheetRows: [
+      ["FINAL_REMINDERS_MINUTES", "[50, 40, 30, 20, 10, 0]"],
+      ["EVENT1_REMINDERS_MINUTES", "[50000]"],
+      ["QUIET_HOUR_END", 25],
+      ["HOURLY_BLOCK_MAX_SIGNALS", "5"],
+      ["NO_SUCH_KEY", 1],
+      ["STALE_POLICY", "drop"],
+      ["QUIET_SCHEDULE", "{\"*\": [\"23:00-7\"]}"],
+      ["WATCH_RULES", "[{\"id\": \"a\", \"finalRemindersMinutes\": [-5]}]"]
+    ]
+  });
+
+  gas.loadRuntimeConfig_("t2");
+  assert.deepEqual(Array.from(config.FINAL_REMINDERS_MINUTES), [40, 30, 20, 10, 0]);
+  assert.equal(config.QUIET_HOUR_END, 7);
+  assert.equal(config.HOURLY_BLOCK_MAX_SIGNALS, 5);
+  assert.equal(config.QUIET_SCHEDULE, null);
+  assert.equal(config.WATCH_RULES[0].id, "kdmid");
+
+  const rows = errRows(logRows);
+  assert.equal(rows.length, 1);
+  const errors = JSON.parse(rows[0][5]).errors;
+  assert.equal(errors.length, 8);
+  assert.match(errors.join("\n"), /FINAL_REMINDERS_MINUTES: не больше 5 напоминаний/);
+  assert.match(errors.join("\n"), /EVENT1_REMINDERS_MINUTES: минуты напоминания — целые 0\.\.40320/);
+  assert.match(errors.join("\n"), /HOURLY_BLOCK_MAX_SIGNALS: ожидается number, получено string/);
+  assert.match(errors.join("\n"), /NO_SUCH_KEY: неизвестный ключ/);
+  assert.match(errors.join("\n"), /STALE_POLICY: ожидается одно из: skip, notice, compress/);
+  assert.match(errors.join("\n"), /WATCH_RULES: правило "a", finalRemindersMinutes/);
+});
+
+test("совпадающие начало и конец тихих часов отклоняются", () => {
+  const { gas, logRows, config } = load({
+    props: { MAILALERT_CONFIG: JSON.stringify({ QUIET_HOUR_START: 7 }) }
+  });
+
+  gas.loadRuntimeConfig_("t3");
+  assert.equal(config.QUIET_HOUR_START, 23);
+  assert.match(errRows(logRows)[0][4], /начало и конец совпадают/);
+});
+
+test("неверный JSON в свойстве — ERR_CONFIG, остальное работает", () => {
+  const { gas, logRows, config } = load({
+    props: { MAILALERT_CONFIG: "{ broken" },
+    sheetRows: [["LIVE_NEWER_THAN_DAYS", 3]]
+  });
+
+  gas.loadRuntimeConfig_("t4");
+  assert.equal(config.LIVE_NEWER_THAN_DAYS, 3);
+  assert.match(errRows(logRows)[0][4], /MAILALERT_CONFIG: не JSON-объект/);
+});
+
+test("профили частоты: неверные фазы и неизвестный CADENCE_PROFILE отклоняются", () => {
+  const { gas, logRows, config } = load({
+    props: { MAILALERT_CONFIG: JSON.stringify({ CADENCE_PROFILE: "rare" }) },
+    sheetRows: [
+      ["CADENCE_PROFILES", JSON.stringify({ fast: { phases: [{ everyMinutes: 60 }, { lastMinutes: 120, everyMinutes: 5 }] } })]
+    ]
+  });
+
+  gas.loadRuntimeConfig_("t5");
+  assert.equal(config.CADENCE_PROFILE, "");
+  assert.ok(config.CADENCE_PROFILES.escalating);
+  const errors = JSON.parse(errRows(logRows)[0][5]).errors;
+  assert.match(errors[0], /^CADENCE_PROFILES: профиль "fast", фаза 2, everyMinutes: ожидается 10\.\.1440/);
+  assert.match(errors[1], /^CADENCE_PROFILE: нет профиля "rare"/);
+});
+
+test("правило с неизвестным cadenceProfile отклоняется целиком WATCH_RULES, известный — принимается", () => {
+  const bad = load({
+    sheetRows: [["WATCH_RULES", JSON.stringify([{ id: "a", senderEmail: "a@example.com", cadenceProfile: "rare" }])]]
+  });
+  bad.gas.loadRuntimeConfig_("t6");
+  assert.equal(bad.config.WATCH_RULES[0].id, "kdmid");
+  assert.match(errRows(bad.logRows)[0][4], /WATCH_RULES: правило "a", cadenceProfile: нет профиля "rare" в CADENCE_PROFILES/);
+
+  const good = load({
+    sheetRows: [
+      ["CADENCE_PROFILES", JSON.stringify({ rare: { phases: [{ everyMinutes: 180 }] } })],
+      ["WATCH_RULES", JSON.stringify([{ id: "a", senderEmail: "a@example.com", cadenceProfile: "rare" }])]
+    ]
+  });
+  good.gas.loadRuntimeConfig_("t7");
+  assert.equal(good.config.WATCH_RULES[0].cadenceProfile, "rare");
+  assert.equal(errRows(good.logRows).length, 0);
+});
+
+test("CADENCE_PROFILES без профиля из правил по умолчанию отклоняется", () => {
+  const { gas, logRows, config } = load({
+    sheetRows: [["CADENCE_PROFILES", JSON.stringify({ rare: { phases: [{ everyMinutes: 180 }] } })]]
+  });
+  config.WATCH_RULES[0].cadenceProfile = "escalating"; // как если бы профиль был задан в Code.js
+
+  gas.loadRuntimeConfig_("t8");
+  assert.ok(config.CADENCE_PROFILES.escalating);
+  assert.match(errRows(logRows)[0][4], /CADENCE_PROFILES: правило "kdmid", cadenceProfile: нет профиля "escalating"/);
+});
+
+test("правило с проверками подлинности без домена отклоняется, authChecks: [] или authDomain — принимаются", () => {
+  const bad = load({
+    sheetRows: [["WATCH_RULES", JSON.stringify([{ id: "q", gmailQuery: "subject:запись" }])]]
+  });
+  bad.gas.loadRuntimeConfig_("t9");
+  assert.equal(bad.config.WATCH_RULES[0].id, "kdmid");
+  assert.match(errRows(bad.logRows)[0][4], /WATCH_RULES: правило "q": проверки dmarc без домена/);
+
+  const good = load({
+    sheetRows: [["WATCH_RULES", JSON.stringify([
+      { id: "q", gmailQuery: "subject:запись", authChecks: [] },
+      { id: "d", gmailQuery: "subject:банк", authDomain: "bank.example" }
+    ])]]
+  });
+  good.gas.loadRuntimeConfig_("t10");
+  assert.deepEqual(Array.from(good.config.WATCH_RULES, r => r.id), ["q", "d"]);
+  assert.equal(errRows(good.logRows).length, 0);
+
+  // Общий список включает проверки для правила, которое раньше их не требовало
+  const global = load({
+    sheetRows: [
+      ["AUTH_REQUIRED_CHECKS", JSON.stringify([])],
+      ["WATCH_RULES", JSON.stringify([{ id: "q", gmailQuery: "subject:запись" }])]
+    ]
+  });
+  global.gas.loadRuntimeConfig_("t11");
+  assert.equal(global.config.WATCH_RULES[0].id, "q");
+  assert.equal(errRows(global.logRows).length, 0);
+});
+
+test("поля правила: отправитель, экстракторы, ссылки, каналы, эскалации, ярлыки, enabled", () => {
+  const { gas } = load({});
+  const rule = extra => gas.validateWatchRules_([Object.assign({ id: "r", senderEmail: "a@example.com" }, extra)]);
+
+  assert.equal(rule({ deadlineExtractors: ["kdmid", "generic"], actionLinkPatterns: ["confirm\\?"], notifyChannels: ["email"],
+    escalations: [{ id: "p", hoursBeforeDeadline: 3, emailTo: ["p@example.com"] }], processedLabel: "A/B", enabled: false }), "");
+  const cases = [
+    [{ senderEmail: "queue-mailer" }, /senderEmail: ожидается адрес/],
+    [{ senderEmail: undefined, gmailQuery: "   " }, /gmailQuery: ожидается строка поиска Gmail/],
+    [{ deadlineExtractors: ["kdmid", "regex"] }, /deadlineExtractors: ожидается одно из: kdmid, generic, получено "regex"/],
+    [{ actionLinkPatterns: ["("] }, /actionLinkPatterns: неверный RegExp/],
+    [{ notifyChannels: "email" }, /notifyChannels: ожидается массив строк/],
+    [{ escalations: [{ emailTo: ["p@example.com"] }] }, /escalations: эскалация #1: нужен hoursBeforeDeadline или onFinal: true/],
+    [{ escalations: [{ id: "x", onFinal: true }] }, /escalations: эскалация "x": нет действий/],
+    [{ escalations: [{ id: "x", onFinal: true, addGuestsToFinal: ["p"] }] }, /addGuestsToFinal: ожидается адрес/],
+    [{ escalations: [{ id: "x", onFinal: true, emailTo: ["p@x.io"] }, { id: "x", hoursBeforeDeadline: 1, emailTo: ["p@x.io"] }] }, /"x": id повторяется/],
+    [{ processedLabel: "Done " }, /processedLabel: пробелы по краям/],
+    [{ enabled: "no" }, /enabled: ожидается true или false/]
+  ];
+  for (const [extra, re] of cases) assert.match(rule(extra), re, JSON.stringify(extra));
+});
+
+test("NOTIFY_CHANNELS и ESCALATIONS_DEFAULT проверяются, неизвестный канал отклоняет ссылающийся ключ", () => {
+  const { gas, logRows, config } = load({
+    sheetRows: [
+      ["NOTIFY_CHANNELS", JSON.stringify({ tg: { type: "telegram", chatId: "1" } })],
+      ["ESCALATIONS_DEFAULT", JSON.stringify([{ id: "p", hoursBeforeDeadline: 2, notifyChannels: ["push"] }])],
+      ["NOTIFY_CHANNELS_DEFAULT", JSON.stringify(["email"])]
+    ]
+  });
+  assert.match(gas.validateConfigValue_("NOTIFY_CHANNELS", { h: { type: "webhook" } }), /канал "h": не задан url или urlProperty/);
+  assert.match(gas.validateConfigValue_("NOTIFY_CHANNELS", { s: { type: "sms" } }), /канал "s", type: ожидается одно из: email, webhook, telegram, ntfy/);
+  assert.match(gas.validateConfigValue_("ESCALATIONS_DEFAULT", [{ id: "p", hoursBeforeDeadline: -1, emailTo: ["p@x.io"] }]), /hoursBeforeDeadline: ожидается 0\.\.720/);
+
+  gas.loadRuntimeConfig_("t12");
+  assert.deepEqual(Object.keys(config.NOTIFY_CHANNELS), ["email"]);
+  assert.deepEqual(Array.from(config.ESCALATIONS_DEFAULT), []);
+  assert.deepEqual(Array.from(config.NOTIFY_CHANNELS_DEFAULT), ["email"]);
+  const errors = JSON.parse(errRows(logRows)[0][5]).errors;
+  assert.deepEqual(errors, [
+    "NOTIFY_CHANNELS: канал \"tg\": не задан tokenProperty",
+    "ESCALATIONS_DEFAULT: нет канала \"push\" в NOTIFY_CHANNELS"
+  ]);
+});
+
+test("пояс проверяется по базе поясов, а не только по виду строки", () => {
+  const { gas } = load({});
+  ["Asia/Jerusalem", "Europe/Moscow", "America/Argentina/Buenos_Aires", "UTC", "GMT+03:00", ""].forEach(tz => {
+    assert.equal(gas.validateTimeZone_(tz), "", tz);
+  });
+  assert.match(gas.validateTimeZone_("Asia/Jerusalm"), /неизвестный IANA-пояс/);
+  assert.match(gas.validateTimeZone_("Mars/Olympus_Mons"), /неизвестный IANA-пояс/);
+  assert.match(gas.validateTimeZone_("asia/jerusalem"), /пояс пишется как "Asia\/Jerusalem"/);
+  assert.match(gas.validateWatchRules_([{ id: "r", senderEmail: "a@example.com", timeZone: "Europe/Mosow" }]), /правило "r", timeZone: неизвестный/);
+});
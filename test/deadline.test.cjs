@@ -0,0 +1,105 @@
+// Дедлайн из текста письма: findDateTimesInText_, экстракторы generic/kdmid, resolveDeadline_.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode, formatDate } = require("./helpers/load-code.cjs");
+
+const TZ = "Asia/Jerusalem";
+const gas = loadCode({ scriptTimeZone: TZ });
+const local = dt => formatDate(new Date(dt), TZ, "dd.MM HH:mm");
+const received = new Date("2026-10-20T06:00:00Z"); // 09:00 IDT
+const ctx = { receivedAt: received, timeZone: TZ };
+
+function found(text) {
+  return Array.from(gas.findDateTimesInText_(text, TZ), f => [f.text, f.date.toISOString(), f.dateOnly, f.timeZone]);
+}
+
+test("даты: числовые форматы, ISO и русские месяцы по порядку в тексте", () => {
+  assert.deepEqual(found("Приём 2026-10-22 14:30, подтвердите до 21.10.2026 12:00 или 23/10/2026"), [
+    ["2026-10-22 14:30", "2026-10-22T11:30:00.000Z", false, TZ],
+    ["21.10.2026 12:00", "2026-10-21T09:00:00.000Z", false, TZ],
+    ["23/10/2026", "2026-10-22T21:00:00.000Z", true, TZ]
+  ]);
+  assert.deepEqual(found("Запись на 5 ноября 2026 г. в 9.15"), [
+    ["5 ноября 2026 г. в 9.15", "2026-11-05T07:15:00.000Z", false, TZ] // после перехода на зимнее (+02)
+  ]);
+  // Несуществующие месяц/час пропускаются
+  assert.deepEqual(found("13.13.2026 10:00; 20.10.2026 25:00"), []);
+});
+
+test("даты: пояс после времени — МСК, UTC±N, GMT+HH:MM, IANA", () => {
+  const zones = found(
+    "a 21.10.2026 12:00 МСК; b 21.10.2026 12:00 (MSK); c 21.10.2026 12:00 UTC+3; " +
+    "d 21.10.2026 12:00 GMT+03:00; e 21.10.2026 12:00 Europe/Berlin; f 2026-10-21T12:00 UTC; g 21.10.2026 12:00 по московскому времени"
+  ).map(f => f[3] + " " + f[1]);
+  assert.deepEqual(zones, [
+    "Europe/Moscow 2026-10-21T09:00:00.000Z",
+    "Europe/Moscow 2026-10-21T09:00:00.000Z",
+    "GMT+03:00 2026-10-21T09:00:00.000Z",
+    "GMT+03:00 2026-10-21T09:00:00.000Z",
+    "Europe/Berlin 2026-10-21T10:00:00.000Z",
+    "GMT 2026-10-21T12:00:00.000Z",
+    "Europe/Moscow 2026-10-21T09:00:00.000Z"
+  ]);
+});
+
+test("generic: фразы срока перед датой", () => {
+  const cases = [
+    ["Подтвердите запись до 21.10.2026 12:00", "21.10 12:00"],
+    ["Ссылка действительна до 22 октября 2026 г. в 18:00 МСК", "22.10 18:00"],
+    ["Оплатите не позднее 21.10.2026", "21.10 23:59"],
+    ["Срок действия ссылки: 21.10.2026 15:00", "21.10 15:00"],
+    ["Please confirm by 2026-10-21 10:00", "21.10 10:00"],
+    ["The link is valid until 21/10/2026 08:00", "21.10 08:00"]
+  ];
+  for (const [text, expected] of cases) {
+    const res = gas.extractDeadlineGeneric_(text, ctx);
+    assert.ok(res, text);
+    assert.equal(local(res.expiresAt), expected, text);
+  }
+});
+
+test("generic: голые «до»/«by» и ключ далеко от даты дедлайном не считаются", () => {
+  const visit = gas.extractDeadlineGeneric_("Мы работаем с 9 до 18, ваш визит 21.10.2026 в 10:00", ctx);
+  assert.equal(visit, null);
+
+  assert.equal(gas.extractDeadlineGeneric_("Sent by our booking team on 21.10.2026 10:00", ctx), null);
+  assert.equal(gas.extractDeadlineGeneric_("Срок ответа на обращение по вашей заявке составляет 21.10.2026 10:00", ctx), null);
+
+  // Относительный срок остаётся запасным вариантом, дата записи сохраняется
+  const rel = gas.extractDeadlineGeneric_("Ссылка работает в течение 24 часов. Приём 22.10.2026 09:00", ctx);
+  assert.equal(rel.expiresAt.toISOString(), "2026-10-21T06:00:00.000Z");
+  assert.equal(local(rel.appointmentAt), "22.10 09:00");
+});
+
+test("kdmid: «подтвердите ... до», дата приёма; resolveDeadline_ с источником и пределами", () => {
+  const text = "Для подтверждения записи на приём 23.10.2026 10:30 подтвердите её до 21.10.2026 12:00.";
+  const res = gas.extractDeadlineKdmid_(text, ctx);
+  assert.equal(local(res.expiresAt), "21.10 12:00");
+  assert.equal(local(res.appointmentAt), "23.10 10:30");
+
+  const rule = gas.resolveRule_({ id: "d", senderEmail: "x@example.com", timeZone: TZ, deadlineExtractors: ["kdmid", "generic"] });
+  const live = gas.resolveDeadline_({ mode: "LIVE", receivedAt: received, body: text }, rule);
+  assert.equal(live.source, "body:kdmid");
+  assert.equal(local(live.expiresAt), "21.10 12:00");
+
+  // Дата в прошлом или дальше BODY_DEADLINE_MAX_DAYS — фиксированное окно; TEST не читает текст
+  const stale = gas.resolveDeadline_({ mode: "LIVE", receivedAt: received, body: "Оплатите не позднее 19.10.2026 12:00" }, rule);
+  assert.equal(stale.source, "fixed_window");
+  assert.equal(gas.resolveDeadline_({ mode: "LIVE", receivedAt: received, body: "Срок: 20.12.2026 12:00" }, rule).source, "fixed_window");
+  assert.equal(gas.resolveDeadline_({ mode: "TEST", receivedAt: received, body: text }, rule).source, "fixed_window");
+});
+
+test("дата без времени — 23:59 по часам и в день перехода на зимнее/летнее время", () => {
+  // 25.10.2026 в Израиле часы переводятся назад (сутки — 25 ч), 27.03.2026 — вперёд (23 ч)
+  const autumn = gas.extractDeadlineGeneric_("Оплатите не позднее 25.10.2026", ctx);
+  assert.equal(autumn.expiresAt.toISOString(), "2026-10-25T21:59:00.000Z");
+  assert.equal(local(autumn.expiresAt), "25.10 23:59");
+
+  const spring = gas.extractDeadlineGeneric_("Подтвердите до 27.03.2026", { receivedAt: new Date("2026-03-20T08:00:00Z"), timeZone: TZ });
+  assert.equal(spring.expiresAt.toISOString(), "2026-03-27T20:59:00.000Z");
+
+  // Пояс из текста важнее пояса правила
+  const msk = gas.extractDeadlineGeneric_("Оплатите не позднее 25.10.2026 МСК", ctx);
+  assert.equal(msk && msk.expiresAt.toISOString(), "2026-10-25T20:59:00.000Z");
+});
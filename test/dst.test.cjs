@@ -0,0 +1,103 @@
+// Переходы на летнее/зимнее время (Asia/Jerusalem, 2026):
+//  27.03.2026 02:00 -> 03:00 (весна), 25.10.2026 02:00 -> 01:00 (осень).
+// Запуск: node --test test/*.test.cjs
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode, formatDate } = require("./helpers/load-code.cjs");
+
+const TZ = "Asia/Jerusalem";
+const HOUR = 60 * 60 * 1000;
+
+// Сценарий вокруг перехода считаем в «чужом» поясе скрипта,
+// чтобы результат зависел только от пояса правила.
+const gas = loadCode({ scriptTimeZone: "America/New_York" });
+
+function rule(extra) {
+  return gas.resolveRule_(Object.assign({ id: "dst", senderEmail: "x@example.com", timeZone: TZ }, extra || {}));
+}
+
+const local = dt => formatDate(dt, TZ, "yyyy-MM-dd HH:mm");
+
+function assertHourlyGrid(signals) {
+  for (let i = 0; i < signals.length; i++) {
+    assert.equal(formatDate(signals[i], TZ, "mm"), "00", "сигнал не на начале часа: " + local(signals[i]));
+    if (i > 0) assert.equal(signals[i].getTime() - signals[i - 1].getTime(), HOUR, "шаг не 1 ч: " + local(signals[i]));
+  }
+}
+
+test("весна: 24 ч сигналов без дублей и без «потерянного» часа", () => {
+  const r = rule({ quietSchedule: { "*": [] } });
+  const longStart = new Date("2026-03-26T18:10:00Z"); // 20:10 IST
+  const expiresAt = new Date(longStart.getTime() + 24 * HOUR);
+
+  // Последний сигнал (expiresAt - 1ч) не на начале часа — проверяем сетку без него
+  const signals = gas.buildHourlySignals_(longStart, expiresAt, r);
+  const grid = signals.slice(0, -1);
+  assertHourlyGrid(grid);
+
+  assert.equal(local(grid[0]), "2026-03-26 22:00");
+  const hours = grid.map(local);
+  assert.ok(hours.includes("2026-03-27 01:00"));
+  assert.ok(!hours.includes("2026-03-27 02:00"), "02:00 в этот день не существует");
+  assert.ok(hours.includes("2026-03-27 03:00"));
+  assert.equal(new Set(signals.map(s => s.getTime())).size, signals.length);
+  assert.equal(local(signals[signals.length - 1]), "2026-03-27 20:10"); // 23 ч стенных часов = 24 ч реальных минус 1
+});
+
+test("осень: 01:00 встречается дважды — это два разных сигнала", () => {
+  const r = rule({ quietSchedule: { "*": [] } });
+  const longStart = new Date("2026-10-24T17:10:00Z"); // 20:10 IDT
+  const expiresAt = new Date(longStart.getTime() + 24 * HOUR);
+
+  const signals = gas.buildHourlySignals_(longStart, expiresAt, r);
+  const grid = signals.slice(0, -1);
+  assertHourlyGrid(grid);
+
+  assert.equal(grid.map(local).filter(h => h === "2026-10-25 01:00").length, 2);
+  assert.equal(new Set(signals.map(s => s.getTime())).size, signals.length);
+  assert.equal(local(signals[signals.length - 1]), "2026-10-25 18:10");
+});
+
+test("тихие часы считаются по часам пояса правила на обеих сторонах перехода", () => {
+  const r = rule();
+
+  // Весна: 03:30 IDT — ещё тихо, 07:00 IDT — уже нет
+  assert.equal(gas.isInQuietHours_(new Date("2026-03-27T00:30:00Z"), r), true);
+  assert.equal(gas.isInQuietHours_(new Date("2026-03-27T04:00:00Z"), r), false);
+  assert.equal(gas.getQuietEndAfter_(new Date("2026-03-26T23:30:00Z"), r).toISOString(), "2026-03-27T04:00:00.000Z");
+
+  // Осень: 06:30 IST — тихо, 07:00 IST — нет; 22:59 IDT накануне — не тихо
+  assert.equal(gas.isInQuietHours_(new Date("2026-10-25T04:30:00Z"), r), true);
+  assert.equal(gas.isInQuietHours_(new Date("2026-10-25T05:00:00Z"), r), false);
+  assert.equal(gas.isInQuietHours_(new Date("2026-10-24T19:59:00Z"), r), false);
+  assert.equal(gas.getQuietEndAfter_(new Date("2026-10-24T22:30:00Z"), r).toISOString(), "2026-10-25T05:00:00.000Z");
+});
+
+test("тихие сигналы выпадают из окна 24 ч, остальные остаются на сетке", () => {
+  const r = rule();
+  const longStart = new Date("2026-10-24T17:10:00Z");
+  const signals = gas.buildHourlySignals_(longStart, new Date(longStart.getTime() + 24 * HOUR), r);
+
+  for (const s of signals) assert.equal(gas.isInQuietHours_(s, r), false, "сигнал в тихие часы: " + local(s));
+  assert.equal(local(signals[0]), "2026-10-24 22:00");
+  assert.ok(signals.map(local).includes("2026-10-25 07:00"));
+});
+
+test("ID событий и baseId — в поясе правила, не скрипта", () => {
+  const at = new Date("2026-03-27T00:05:00Z");
+  assert.equal(gas.formatYYYYMMDDHHMM_(at, TZ), "202603270305");
+  assert.equal(gas.buildBaseId_("LIVE", "thread12345678", at, at, "dst", TZ), "LIVE|202603270305|T12345678|Rdst");
+});
+
+test("округление до часа учитывает пояса со смещением на полчаса", () => {
+  const at = new Date("2026-01-01T00:10:00Z"); // 05:40 в Asia/Kolkata
+  assert.equal(gas.ceilToHour_(at, "Asia/Kolkata").toISOString(), "2026-01-01T00:30:00.000Z");
+  assert.equal(gas.ceilToHour_(at, TZ).toISOString(), "2026-01-01T01:00:00.000Z");
+});
+
+test("addMinutes_ — реальные минуты даже через переход", () => {
+  const before = new Date("2026-03-26T23:30:00Z"); // 01:30 IST
+  assert.equal(gas.addMinutes_(before, 60).getTime() - before.getTime(), HOUR);
+  assert.equal(local(gas.addMinutes_(before, 60)), "2026-03-27 03:30");
+});
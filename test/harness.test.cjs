@@ -0,0 +1,1033 @@
+// Сквозные сценарии на офлайн-стенде: письмо -> 24 ч виртуального времени
+// с триггерами -> точный набор LONG/HOURLY/FINAL, задача и подтверждения.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness, MINUTE, HOUR } = require("./helpers/gas-harness.cjs");
+const { formatDate } = require("./helpers/load-code.cjs");
+
+const TZ = "Asia/Jerusalem";
+const local = ms => formatDate(new Date(ms), TZ, "dd HH:mm");
+const SENDER = "queue-mailer@kdmid.ru";
+
+function setup(extraConfig) {
+  const h = createHarness({
+    start: "2026-10-20T05:30:00Z", // 08:30 IDT
+    config: Object.assign({ YOUR_INBOX_EMAIL: "me@example.com", TIME_ZONE: TZ }, extraConfig || {})
+  });
+  h.run("setupSingleTriggerEveryMinute");
+  const thread = h.deliverMail({
+    from: "Очередь <" + SENDER + ">",
+    subject: "Запись на приём",
+    body: "Подтвердите запись по ссылке https://example.kdmid.ru/queue/confirm?id=42"
+  });
+  return { h, thread };
+}
+
+function chainStates(h) {
+  return Object.keys(h.props).filter(k => k.indexOf("MAILALERT_HCHAIN:") === 0);
+}
+
+function assertNoErrors(h) {
+  assert.deepEqual(h.errors.map(e => e.handler + ": " + e.error), []);
+  assert.deepEqual(h.logRows(/^ERR_/).map(r => r[3] + " " + r[4]), []);
+}
+
+test("24 ч: LONG, блоки HOURLY по плану вовремя, FINAL, затем уборка", () => {
+  const { h, thread } = setup();
+  h.advanceBy(25 * HOUR);
+  assertNoErrors(h);
+
+  // LONG: от первого минутного запуска (+10 мин) до receivedAt + 24 ч
+  const longs = h.alertEvents(/\|LONG$/);
+  assert.equal(longs.length, 1);
+  const long = longs[0];
+  assert.equal(local(long.start), "20 08:41");
+  assert.equal(local(long.end), "21 08:30");
+  assert.deepEqual(long.popups, [8, 6, 4, 2, 0]);
+  assert.equal(long.location, "https://example.kdmid.ru/queue/confirm?id=42");
+  assert.match(long.tags.MAILALERT_ID, new RegExp("^LIVE\\|202610200830\\|T" + thread.getId().slice(-8) + "\\|LONG$"));
+
+  // HOURLY: ровно блоки плана, каждый создан до своего первого сигнала и удалён после смены
+  const plan = h.run("buildAlertPlan_", new Date("2026-10-20T05:30:00Z"), new Date("2026-10-20T05:31:00Z"),
+    h.run("getRuleById_", "kdmid"));
+  const blocks = h.alertEvents(/\|B\d+\|/, true).sort((a, b) => a.start - b.start);
+  assert.ok(plan.blocks.length >= 3);
+  assert.equal(blocks.length, plan.blocks.length);
+  blocks.forEach((ev, i) => {
+    assert.equal(ev.start.toISOString(), plan.blocks[i].start, "блок " + i);
+    assert.deepEqual(ev.popups.slice().sort((a, b) => b - a), Array.from(plan.blocks[i].reminders).sort((a, b) => b - a));
+    assert.ok(ev.popups.length <= 5);
+    const firstSignal = ev.start.getTime() - Math.max(...ev.popups) * MINUTE;
+    assert.ok(ev.createdAt <= firstSignal, "блок " + i + " создан " + local(ev.createdAt) + " позже сигнала " + local(firstSignal));
+    assert.ok(ev.deleted, "блок " + i + " не удалён");
+    for (const m of ev.popups) {
+      const hh = Number(formatDate(new Date(ev.start.getTime() - m * MINUTE), TZ, "HH"));
+      assert.ok(hh >= 7 && hh < 23, "сигнал в тихие часы: " + local(ev.start.getTime() - m * MINUTE));
+    }
+  });
+
+  // FINAL: в момент дедлайна, создан до первого напоминания
+  const finals = h.alertEvents(/\|FINAL\|/);
+  assert.equal(finals.length, 1);
+  assert.equal(local(finals[0].start), "21 08:30");
+  assert.deepEqual(finals[0].popups, [40, 30, 20, 10, 0]);
+  assert.ok(finals[0].createdAt <= finals[0].start.getTime() - 40 * MINUTE);
+
+  // После дедлайна: цепочки и её триггеров нет, минутный триггер остался
+  assert.deepEqual(chainStates(h), []);
+  assert.deepEqual(h.triggers.map(t => t.handler), ["checkMailAndCreateTwoEvents"]);
+  assert.equal(h.logRows("ALERTS_CREATED").length, 1);
+  assert.ok(thread.labelNames.includes("MailAlertProcessed"));
+});
+
+test("звёздочка на треде останавливает комплект в ближайший запуск", () => {
+  const { h, thread } = setup();
+  h.advanceBy(3 * HOUR);
+  assert.equal(chainStates(h).length, 1);
+  assert.equal(h.alertEvents(/\|B\d+\|/).length, 1);
+
+  h.star(thread.getId());
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(h.alertEvents(/\|B\d+\|/).length, 0);
+  assert.equal(h.alertEvents(/\|FINAL\|/).length, 0);
+
+  const long = h.alertEvents(/\|LONG$/)[0];
+  assert.match(long.title, /^✅ Обработано: /);
+  assert.deepEqual(long.popups, []);
+  assert.equal(long.end.getTime(), h.clock.now);
+
+  const ack = h.logRows("ACKNOWLEDGED");
+  assert.equal(ack.length, 1);
+  assert.equal(JSON.parse(ack[0][5]).via, "star");
+  assert.deepEqual(h.triggers.map(t => t.handler), ["checkMailAndCreateTwoEvents"]);
+
+  // Больше ничего не создаётся до конца окна
+  const before = h.events().length;
+  h.advanceBy(22 * HOUR);
+  assert.equal(h.events().length, before);
+});
+
+test("задача: срок = дедлайн, выполнение задачи останавливает цепочку", () => {
+  const { h } = setup();
+  h.advanceBy(MINUTE);
+  h.run("checkMailAndCreateTaskOnce");
+
+  assert.equal(h.tasks.length, 1);
+  const task = h.tasks[0];
+  assert.equal(task.due, "2026-10-21T00:00:00.000Z");
+  assert.equal(task.status, "needsAction");
+  assert.match(task.notes, /^Ссылка для действия: https:\/\/example\.kdmid\.ru\/queue\/confirm\?id=42\n/);
+
+  h.advanceBy(2 * HOUR);
+  h.completeTask(task.id);
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).via, "task");
+  assert.match(h.alertEvents(/\|LONG$/)[0].title, /^✅ Обработано: /);
+});
+
+test("остановка другим способом выполняет связанную задачу", () => {
+  const { h, thread } = setup();
+  h.advanceBy(MINUTE);
+  h.run("checkMailAndCreateTaskOnce");
+
+  h.advanceBy(HOUR);
+  h.reply(thread.getId(), "Подтвердил");
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  assert.equal(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).via, "reply");
+  assert.equal(h.tasks[0].status, "completed");
+});
+
+test("удалённый вручную блок останавливает комплект, даже если getEventById его ещё находит", () => {
+  [false, true].forEach(returnsDeleted => {
+    const { h } = setup();
+    h.getEventByIdReturnsDeleted = returnsDeleted;
+    h.advanceBy(MINUTE);
+    h.run("checkMailAndCreateTaskOnce");
+
+    h.advanceBy(HOUR);
+    const state = JSON.parse(h.props[chainStates(h)[0]]);
+    const block = h.alertEvents(/\|B\d+\|/).find(e => e.tags.MAILALERT_ID === state.currentEventId);
+    block.deleteEvent();
+    h.advanceBy(HOUR);
+    assertNoErrors(h);
+
+    assert.deepEqual(chainStates(h), [], "getEventById с удалёнными: " + returnsDeleted);
+    const ack = JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]);
+    assert.equal(ack.via, "event_deleted");
+    assert.equal(ack.detail, block.tags.MAILALERT_ID);
+    assert.equal(h.tasks[0].status, "completed");
+    assert.match(h.alertEvents(/\|LONG$/)[0].title, /^✅ Обработано: /);
+    assert.deepEqual(h.alertEvents(/\|FINAL\|/), []);
+  });
+});
+
+test("webhook-канал получает LONG, каждый HOURLY-сигнал и FINAL (локальная заглушка)", () => {
+  const { h } = setup({
+    NOTIFY_CHANNELS: { hook: { type: "webhook", url: "https://hooks.example.test/alerts" } },
+    WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, notifyChannels: ["hook"] }]
+  });
+  h.advanceBy(25 * HOUR);
+  assertNoErrors(h);
+
+  const posts = h.fetches.map(f => Object.assign({ at: f.at, url: f.url }, JSON.parse(f.params.payload)));
+  assert.ok(posts.every(p => p.url === "https://hooks.example.test/alerts"));
+
+  const kinds = posts.map(p => p.kind);
+  assert.equal(kinds[0], "LONG");
+  assert.equal(kinds[kinds.length - 1], "FINAL");
+
+  const signalCount = h.alertEvents(/\|B\d+\|/, true).reduce((n, ev) => n + ev.popups.length, 0);
+  assert.equal(kinds.filter(k => k === "HOURLY").length, signalCount);
+
+  // Каждый сигнал ушёл в пределах минуты от своего времени
+  const signals = [];
+  for (const ev of h.alertEvents(/\|B\d+\|/, true)) for (const m of ev.popups) signals.push(ev.start.getTime() - m * MINUTE);
+  signals.sort((a, b) => a - b);
+  const hourlyAt = posts.filter(p => p.kind === "HOURLY").map(p => p.at);
+  hourlyAt.forEach((at, i) => assert.ok(at - signals[i] >= 0 && at - signals[i] < MINUTE, local(at) + " vs " + local(signals[i])));
+
+  assert.equal(h.logRows("NOTIFY_OK").length, posts.length);
+});
+
+test("новое письмо в обработанном треде перезапускает комплект", () => {
+  const { h, thread } = setup();
+  h.advanceBy(5 * HOUR);
+  const oldChain = chainStates(h);
+  assert.equal(oldChain.length, 1);
+
+  h.deliverMail({
+    threadId: thread.getId(),
+    from: "Очередь <" + SENDER + ">",
+    subject: "Запись на приём: повторно",
+    body: "Новая ссылка https://example.kdmid.ru/queue/confirm?id=43"
+  });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  const restarted = h.logRows("RESTARTED");
+  assert.equal(restarted.length, 1);
+  assert.equal(JSON.parse(restarted[0][5]).via, "new_message");
+  assert.equal(h.logRows("ALERTS_CREATED").length, 2);
+
+  // Старый LONG помечен и больше не звенит, старые блоки удалены
+  const longs = h.alertEvents(/\|LONG$/).sort((a, b) => a.createdAt - b.createdAt);
+  assert.equal(longs.length, 2);
+  assert.match(longs[0].title, /^🔁 Новое письмо: /);
+  assert.deepEqual(longs[0].popups, []);
+  assert.match(longs[1].tags.MAILALERT_ID, /^LIVE\|202610201330\|/);
+  assert.equal(longs[1].location, "https://example.kdmid.ru/queue/confirm?id=43");
+  assert.equal(h.alertEvents(/\|B\d+\|/).filter(ev => ev.tags.MAILALERT_ID.indexOf("|202610200830|") !== -1).length, 0);
+
+  const chains = chainStates(h);
+  assert.equal(chains.length, 1);
+  assert.notEqual(chains[0], oldChain[0]);
+
+  // Повторный запуск то же письмо не подхватывает, мой ответ — не новое письмо
+  h.advanceBy(10 * MINUTE);
+  assert.equal(h.logRows("ALERTS_CREATED").length, 2);
+  h.reply(thread.getId(), "Подтвердил");
+  h.advanceBy(MINUTE);
+  assert.equal(h.logRows("RESTARTED").length, 1);
+  assert.equal(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).via, "reply");
+});
+
+test("тред с ярлыком без записи о письме берётся на учёт без алертов", () => {
+  const { h, thread } = setup();
+  h.labelThread(thread.getId(), "MailAlertProcessed");
+  h.advanceBy(HOUR);
+  assertNoErrors(h);
+
+  assert.equal(h.alertEvents(/./).length, 0);
+  assert.deepEqual(chainStates(h), []);
+  const entry = JSON.parse(h.props["MAILALERT_MSG:" + thread.getId()]);
+  assert.equal(entry.migrated, true);
+  assert.match(entry.messageKey, /^msg\d+@mail\.example$/);
+});
+
+test("latestWins: новое письмо правила закрывает старый комплект, запоздавшее старое — пропускается", () => {
+  const { h } = setup({ WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, latestWins: true }] });
+  h.advanceBy(3 * HOUR);
+  assert.equal(chainStates(h).length, 1);
+
+  h.deliverMail({ from: SENDER, subject: "Запись на приём: новое окно", body: "https://example.kdmid.ru/queue/confirm?id=77" });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  const superseded = h.logRows("SUPERSEDED");
+  assert.equal(superseded.length, 1);
+  assert.equal(JSON.parse(superseded[0][5]).via, "latest_wins");
+
+  const longs = h.alertEvents(/\|LONG$/).sort((a, b) => a.createdAt - b.createdAt);
+  assert.equal(longs.length, 2);
+  assert.match(longs[0].title, /^⏭ Заменено новым письмом: /);
+  assert.match(longs[0].description, /^⏭ Заменено новым письмом .*latest_wins Запись на приём: новое окно/);
+  assert.deepEqual(longs[0].popups, []);
+  assert.deepEqual(longs[1].popups, [8, 6, 4, 2, 0]);
+  assert.equal(chainStates(h).length, 1);
+  assert.match(chainStates(h)[0], /\|202610201130\|/);
+
+  // Письмо из другого треда, отправленное раньше текущего комплекта, алертов не получает
+  h.deliverMail({ from: SENDER, subject: "Запись на приём: старое", body: "x", date: new Date("2026-10-20T07:00:00Z") });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+  assert.equal(h.logRows("ALERTS_CREATED").length, 2);
+  assert.equal(JSON.parse(h.logRows("SUPERSEDED")[1][5]).skipped, true);
+  assert.equal(chainStates(h).length, 1);
+});
+
+function setupStale(policy, sentHoursAgo) {
+  const h = createHarness({
+    start: "2026-10-20T05:30:00Z", // 08:30 IDT
+    config: {
+      YOUR_INBOX_EMAIL: "me@example.com",
+      TIME_ZONE: TZ,
+      NOTIFY_CHANNELS: { hook: { type: "webhook", url: "https://hooks.example.test/alerts" } },
+      WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, stalePolicy: policy, notifyChannels: ["hook"] }]
+    }
+  });
+  h.run("setupSingleTriggerEveryMinute");
+  const thread = h.deliverMail({
+    from: SENDER,
+    subject: "Запись на приём",
+    body: "https://example.kdmid.ru/queue/confirm?id=42",
+    date: new Date(h.clock.now - sentHoursAgo * HOUR)
+  });
+  return { h, thread };
+}
+
+test("stale skip: просроченное письмо только логируется", () => {
+  const { h, thread } = setupStale("skip", 25);
+  h.advanceBy(HOUR);
+  assertNoErrors(h);
+
+  assert.equal(h.events().length, 0);
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(h.fetches.length, 0);
+  const rows = h.logRows("STALE_SKIPPED");
+  assert.equal(rows.length, 1);
+  assert.equal(JSON.parse(rows[0][5]).expired, true);
+  assert.ok(thread.labelNames.includes("MailAlertProcessed"));
+});
+
+test("stale notice: одно событие «срок истёк» сейчас и уведомление по каналу", () => {
+  const { h } = setupStale("notice", 25);
+  h.advanceBy(HOUR);
+  assertNoErrors(h);
+
+  const events = h.alertEvents(/./);
+  assert.equal(events.length, 1);
+  assert.match(events[0].tags.MAILALERT_ID, /\|STALE$/);
+  assert.match(events[0].title, /^⌛ Срок истёк - Запись на приём\. Дедлайн 20\.10\.2026 07:30$/);
+  assert.equal(local(events[0].start), "20 08:31");
+  assert.deepEqual(events[0].popups, [0]);
+  assert.match(events[0].description, /Дедлайн прошёл 20\.10\.2026 07:30/);
+  assert.deepEqual(chainStates(h), []);
+
+  assert.equal(h.fetches.length, 1);
+  assert.equal(JSON.parse(h.fetches[0].params.payload).kind, "STALE");
+  assert.equal(h.logRows("STALE_NOTICE").length, 1);
+});
+
+test("stale compress: LONG сразу, сигналы в оставшийся час, FINAL в дедлайн", () => {
+  const { h } = setupStale("compress", 23);
+  h.advanceBy(2 * HOUR);
+  assertNoErrors(h);
+
+  const long = h.alertEvents(/\|LONG$/)[0];
+  assert.equal(local(long.start), "20 08:31");
+  assert.equal(local(long.end), "20 09:30");
+  assert.deepEqual(long.popups, [0]);
+
+  const blocks = h.alertEvents(/\|B\d+\|/, true);
+  assert.equal(blocks.length, 1);
+  const signals = blocks[0].popups.map(m => local(blocks[0].start.getTime() - m * MINUTE)).sort();
+  assert.deepEqual(signals, ["20 08:42", "20 08:53", "20 09:04", "20 09:15"]);
+  assert.ok(blocks[0].createdAt <= blocks[0].start.getTime() - Math.max(...blocks[0].popups) * MINUTE);
+
+  const finals = h.alertEvents(/\|FINAL\|/);
+  assert.equal(finals.length, 1);
+  assert.equal(local(finals[0].start), "20 09:30");
+
+  const kinds = h.fetches.map(f => JSON.parse(f.params.payload).kind);
+  assert.deepEqual(kinds.slice().sort(), ["FINAL", "HOURLY", "HOURLY", "HOURLY", "HOURLY", "LONG"]);
+  assert.deepEqual(chainStates(h), []);
+});
+
+test("неважное письмо: ярлык и MAIL_EXCLUDED, комплект треда не трогается", () => {
+  const { h, thread } = setup({
+    WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, excludePatterns: ["subject:^информаци"] }]
+  });
+  h.advanceBy(2 * HOUR);
+  assert.equal(chainStates(h).length, 1);
+
+  h.deliverMail({ threadId: thread.getId(), from: SENDER, subject: "Информация о режиме работы", body: "Запись на приём" });
+  const other = h.deliverMail({ from: SENDER, subject: "Информационная рассылка", body: "Новости" });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  const rows = h.logRows("MAIL_EXCLUDED");
+  assert.equal(rows.length, 2);
+  assert.equal(JSON.parse(rows[0][5]).pattern, "subject:^информаци");
+  assert.ok(other.labelNames.includes("MailAlertIgnored"));
+  assert.ok(!other.labelNames.includes("MailAlertProcessed"));
+
+  assert.equal(chainStates(h).length, 1);
+  assert.equal(h.logRows("RESTARTED").length, 0);
+  assert.equal(h.alertEvents(/\|LONG$/).length, 1);
+});
+
+test("письмо об отмене закрывает цепочку, LONG и задачу правила", () => {
+  const { h } = setup();
+  h.advanceBy(MINUTE);
+  h.run("checkMailAndCreateTaskOnce");
+  h.advanceBy(2 * HOUR);
+  assert.equal(h.alertEvents(/\|B\d+\|/).length, 1);
+
+  h.deliverMail({ from: SENDER, subject: "Изменение записи", body: "Ваша запись была отменена по вашему запросу." });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(h.alertEvents(/\|B\d+\|/).length, 0);
+  const longs = h.alertEvents(/\|LONG$/);
+  assert.equal(longs.length, 1);
+  assert.match(longs[0].title, /^🚫 Отменено: /);
+  assert.deepEqual(longs[0].popups, []);
+  assert.equal(h.tasks[0].status, "completed");
+
+  const cancel = JSON.parse(h.logRows("MAIL_CANCEL")[0][5]);
+  assert.equal(cancel.field, "body");
+  assert.equal(cancel.closed.length, 1);
+  assert.equal(JSON.parse(h.logRows("CANCELLED")[0][5]).via, "cancel_mail");
+
+  // Поток задач письмо-отмену тоже пропускает
+  h.run("checkMailAndCreateTaskOnce");
+  assert.equal(h.tasks.length, 1);
+  assert.equal(h.logRows("TASK_SKIPPED").length, 1);
+});
+
+test("поддельное письмо: карантин, ERR_AUTH и одно тихое предупреждение вместо комплекта", () => {
+  const { h } = setup();
+  h.advanceBy(MINUTE);
+  const fake = h.deliverMail({
+    from: "Очередь <" + SENDER + ">",
+    subject: "Срочно подтвердите запись",
+    body: "https://kdmid-queue.example/confirm",
+    headers: {
+      "Authentication-Results": "mx.google.com; dkim=none; spf=fail (google.com: domain of " + SENDER +
+        " does not designate 203.0.113.5 as permitted sender) smtp.mailfrom=" + SENDER + "; dmarc=fail header.from=kdmid.ru"
+    }
+  });
+  h.advanceBy(HOUR);
+
+  // Настоящее письмо из setup() обработано как обычно, поддельное — нет
+  assert.equal(h.logRows("ALERTS_CREATED").length, 1);
+  assert.equal(chainStates(h).length, 1);
+  assert.ok(fake.labelNames.includes("MailAlertQuarantine"));
+  assert.ok(!fake.labelNames.includes("MailAlertProcessed"));
+
+  const rows = h.logRows("ERR_AUTH");
+  assert.equal(rows.length, 1);
+  const payload = JSON.parse(rows[0][5]);
+  assert.deepEqual(payload.failed, ["dmarc"]);
+  assert.equal(payload.checks.dmarc, "fail");
+
+  const warn = h.alertEvents(/\|AUTH$/);
+  assert.equal(warn.length, 1);
+  assert.match(warn[0].title, /^⚠️ Подозрительное письмо - Срочно подтвердите запись \(не прошло DMARC\)$/);
+  assert.equal(warn[0].location || "", "");
+  assert.deepEqual(warn[0].popups, [0]);
+  assert.match(warn[0].description, /Проверки \(kdmid\.ru\): dmarc=fail/);
+  assert.doesNotMatch(warn[0].description, /kdmid-queue\.example/);
+
+  // Поток задач поддельное письмо тоже пропускает
+  h.run("checkMailAndCreateTaskOnce");
+  assert.equal(h.tasks.length, 0);
+  assert.equal(JSON.parse(h.logRows("TASK_SKIPPED")[0][5]).category, "quarantine");
+});
+
+test("поток задач сам ставит ярлык карантина поддельному письму", () => {
+  const h = createHarness({ start: "2026-10-20T05:30:00Z", config: { YOUR_INBOX_EMAIL: "me@example.com", TIME_ZONE: TZ } });
+  const fake = h.deliverMail({
+    from: SENDER,
+    subject: "Срочно подтвердите запись",
+    body: "https://kdmid-queue.example/confirm",
+    headers: { "Authentication-Results": "mx.google.com; dkim=pass header.d=evil.example; dmarc=fail header.from=kdmid.ru" }
+  });
+
+  h.run("checkMailAndCreateTaskOnce");
+  assert.equal(h.tasks.length, 0);
+  assert.ok(fake.labelNames.includes("MailAlertQuarantine"));
+  assert.ok(fake.labelNames.includes("MailAlertTaskProcessed"));
+});
+
+test("вложения: PDF в папке правила, ссылки в событиях и задаче, без дублей", () => {
+  const h = createHarness({
+    start: "2026-10-20T05:30:00Z",
+    config: { YOUR_INBOX_EMAIL: "me@example.com", TIME_ZONE: TZ, WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, attachmentPatterns: ["\\.pdf$"] }] }
+  });
+  h.run("setupSingleTriggerEveryMinute");
+  h.deliverMail({
+    from: SENDER,
+    subject: "Талон на приём",
+    body: "Талон во вложении",
+    attachments: [
+      { name: "talon.PDF", contentType: "application/pdf", data: "%PDF-1.4 talon" },
+      { name: "logo.png", contentType: "image/png", data: "png", inline: true },
+      { name: "readme.txt", contentType: "text/plain", data: "txt" }
+    ]
+  });
+  h.advanceBy(3 * HOUR);
+  h.run("checkMailAndCreateTaskOnce");
+  assertNoErrors(h);
+
+  const files = h.driveFiles();
+  assert.equal(files.length, 1);
+  assert.equal(files[0].path, "MailAlertAttachments/kdmid");
+  assert.match(files[0].name, /^LIVE\|202610200830\|T[0-9a-f]{8} talon\.PDF$/);
+  assert.equal(files[0].data, "%PDF-1.4 talon");
+
+  const line = "Вложения (Drive):\n- talon.PDF: " + files[0].url;
+  assert.ok(h.alertEvents(/\|LONG$/)[0].description.includes(line));
+  const blocks = h.alertEvents(/\|B\d+\|/, true);
+  assert.ok(blocks.length >= 1 && blocks.every(ev => ev.description.includes(line)));
+  assert.ok(h.tasks[0].notes.includes(line));
+
+  // Повторное сохранение того же письма находит готовый файл
+  h.run("saveMailAttachments_", { message: h.threads[0].messages[0], mode: "LIVE" }, h.run("getRuleById_", "kdmid"), files[0].name.replace(/ talon\.PDF$/, ""));
+  assert.equal(h.driveFiles().length, 1);
+});
+
+test("занятость: сигнал во время встречи переносится на её конец", () => {
+  const { h } = setup({ BUSY_CALENDAR_IDS: ["work@example.com"] });
+  const work = h.addCalendar("work@example.com", "Работа");
+  work.createEvent("Планёрка", new Date("2026-10-20T07:30:00Z"), new Date("2026-10-20T08:30:00Z")); // 10:30–11:30 IDT
+  h.advanceBy(6 * HOUR);
+  assertNoErrors(h);
+
+  const signals = [];
+  for (const ev of h.alertEvents(/\|B\d+\|/, true)) {
+    for (const m of ev.popups) signals.push(local(ev.start.getTime() - m * MINUTE));
+  }
+  signals.sort();
+  assert.deepEqual(signals.slice(0, 3), ["20 10:00", "20 11:30", "20 12:00"]);
+  assert.ok(!signals.includes("20 11:00"));
+  // Планировщик календари не читает: занятость загружает вызывающий (здесь — previewPlan)
+  work.createEvent("Созвон", new Date("2026-10-20T13:30:00Z"), new Date("2026-10-20T14:30:00Z")); // 16:30–17:30 IDT
+  const rule = h.run("getRuleById_", "kdmid");
+  assert.deepEqual(Array.from(h.run("buildAlertPlan_", new Date(h.clock.now), new Date(h.clock.now), rule).busyAdjusted), []);
+  const plan = h.run("previewPlan", "kdmid");
+  assert.deepEqual(Array.from(plan.busyAdjusted, a => a.mode + " " + local(a.from) + "→" + local(a.to)), ["shift 20 17:00→20 17:30"]);
+});
+
+test("профиль escalating: все блоки по плану, каждый создан до своего первого сигнала", () => {
+  const { h } = setup({ CADENCE_PROFILE: "escalating" });
+  h.advanceBy(25 * HOUR);
+  assertNoErrors(h);
+
+  const plan = h.run("buildAlertPlan_", new Date("2026-10-20T05:30:00Z"), new Date("2026-10-20T05:31:00Z"),
+    h.run("getRuleById_", "kdmid"));
+  const blocks = h.alertEvents(/\|B\d+\|/, true).sort((a, b) => a.start - b.start);
+  assert.equal(blocks.length, plan.blocks.length);
+  blocks.forEach((ev, i) => {
+    assert.equal(ev.start.toISOString(), plan.blocks[i].start, "блок " + i);
+    const firstSignal = ev.start.getTime() - Math.max(...ev.popups) * MINUTE;
+    assert.ok(ev.createdAt <= firstSignal, "блок " + i + " создан " + local(ev.createdAt) + " позже сигнала " + local(firstSignal));
+  });
+  assert.equal(local(blocks[blocks.length - 1].start), "21 07:40");
+  assert.equal(local(h.alertEvents(/\|FINAL\|/)[0].start), "21 08:30");
+});
+
+test("ALLDAY: якорь на каждый день окна без дублей, удаляется при подтверждении", () => {
+  const { h, thread } = setup({ ALLDAY_ANCHOR_ENABLED: true });
+  h.advanceBy(3 * HOUR);
+  assertNoErrors(h);
+
+  const anchors = h.alertEvents(/\|ALLDAY\|/, true);
+  assert.deepEqual(anchors.map(ev => ev.tags.MAILALERT_ID.split("|").pop()), ["20261020", "20261021"]);
+  for (const ev of anchors) {
+    assert.equal(ev.allDay, true);
+    assert.deepEqual(ev.popups, []);
+    assert.equal(ev.location, "https://example.kdmid.ru/queue/confirm?id=42");
+    assert.match(ev.title, /Событие до 21\.10\.2026 08:30$/);
+    assert.ok(ev.description.includes("Дедлайн: 21.10.2026 08:30"));
+  }
+  const state = JSON.parse(h.props[chainStates(h)[0]]);
+  assert.deepEqual(state.allDayIds, anchors.map(ev => ev.tags.MAILALERT_ID));
+
+  h.star(thread.getId());
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+  assert.equal(h.alertEvents(/\|ALLDAY\|/).length, 0);
+  assert.deepEqual(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).deletedEvents.filter(id => /\|ALLDAY\|/.test(id)), state.allDayIds);
+});
+
+test("ALLDAY: TEST-якоря убирает deleteAllTestAlerts", () => {
+  const h = createHarness({
+    start: "2026-10-20T05:30:00Z",
+    config: { YOUR_INBOX_EMAIL: "me@example.com", TIME_ZONE: TZ, ALLDAY_ANCHOR_ENABLED: true }
+  });
+  h.deliverMail({ from: SENDER, subject: "Запись на приём", body: "Подтвердите запись" });
+  h.advanceBy(MINUTE);
+  h.run("runTestOnce");
+  assert.equal(h.alertEvents(/^TEST\|.*\|ALLDAY\|/).length, 2);
+
+  h.run("deleteAllTestAlerts");
+  assertNoErrors(h);
+  assert.equal(h.alertEvents(/^TEST\|/).length, 0);
+  assert.deepEqual(Object.keys(h.props).filter(k => k.indexOf("MAILALERT_EVMAP:TEST|") === 0), []);
+});
+
+test("занятый lock в момент точного триггера: повтор через минуту, а не почасовой прогон", () => {
+  const { h } = setup();
+  h.advanceBy(HOUR);
+  const key = chainStates(h)[0];
+  const blockStart = new Date(JSON.parse(h.props[key]).blocks[0].start).getTime();
+  h.advanceTo(blockStart - MINUTE);
+  assert.equal(JSON.parse(h.props[key]).indexCurrent, 0);
+
+  // Точный триггер срабатывает, пока lock держит другой запуск
+  h.lockBusy = true;
+  h.advanceTo(blockStart + 30 * 1000);
+  assert.equal(JSON.parse(h.props[key]).indexCurrent, 0);
+  assert.deepEqual(h.triggers.filter(t => t.handler === "processHourlyChainsRetry_" && !t.fired).length, 1);
+
+  h.lockBusy = false;
+  h.advanceBy(2 * MINUTE);
+  assertNoErrors(h);
+  assert.equal(JSON.parse(h.props[key]).indexCurrent, 1);
+  assert.equal(h.triggers.filter(t => t.handler === "processHourlyChainsRetry_").length, 0);
+  assert.equal(h.alertEvents(/\|B1\|/).length, 1);
+});
+
+test("письмо в обработанном треде через 4 дня (запись учёта уже удалена) создаёт комплект", () => {
+  const { h, thread } = setup();
+  h.advanceBy(4 * 24 * HOUR);
+  assert.equal(h.props["MAILALERT_MSG:" + thread.getId()], undefined);
+  assert.ok(thread.labelNames.includes("MailAlertProcessed"));
+
+  h.deliverMail({
+    threadId: thread.getId(),
+    from: "Очередь <" + SENDER + ">",
+    subject: "Запись на приём: новая дата",
+    body: "Подтвердите запись https://example.kdmid.ru/queue/confirm?id=44"
+  });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+
+  assert.equal(h.logRows("ALERTS_CREATED").length, 2);
+  assert.equal(chainStates(h).length, 1);
+  const entry = JSON.parse(h.props["MAILALERT_MSG:" + thread.getId()]);
+  assert.equal(entry.migrated, undefined);
+  assert.equal(entry.category, "alert");
+});
+
+const ESCALATIONS = {
+  NOTIFY_CHANNELS: { hook: { type: "webhook", url: "https://hooks.example.test/alerts" } },
+  WATCH_RULES: [{
+    id: "kdmid",
+    senderEmail: SENDER,
+    escalations: [
+      { id: "partner", hoursBeforeDeadline: 20, emailTo: ["partner@example.com"], addGuestsToFinal: ["early@example.com"] },
+      { id: "final", onFinal: true, addGuestsToFinal: ["late@example.com"], notifyChannels: ["hook"] }
+    ]
+  }]
+};
+
+const escalatedRows = h => h.logRows("ESCALATED").map(r => Object.assign({ at: local(r[0].getTime()) }, JSON.parse(r[5])));
+
+test("LIVE-эскалации: по сроку до FINAL (гости — в будущий FINAL) и onFinal (гости — в созданный FINAL)", () => {
+  const { h } = setup(ESCALATIONS);
+  h.advanceBy(25 * HOUR);
+  assertNoErrors(h);
+
+  // Дедлайн 21 08:30: partner — за 20 ч, onFinal — с первым напоминанием FINAL (за 40 мин); каждая один раз
+  assert.deepEqual(escalatedRows(h).map(e => e.at + " " + e.escalation + " " + e.actions.join(",")), [
+    "20 12:30 partner guests:pending,email:partner@example.com",
+    "21 07:50 final guests:final,notify:hook"
+  ]);
+  assert.deepEqual(h.sentMail.filter(m => m.to === "partner@example.com").map(m => m.subject), [
+    "⚠️ Эскалация: письмо не обработано: Запись на приём"
+  ]);
+  const posts = h.fetches.map(f => JSON.parse(f.params.payload));
+  assert.deepEqual(posts.map(p => p.kind), ["ESCALATION"]);
+
+  // Гость первой эскалации пришёл с созданием FINAL, второй добавлен в уже созданное событие
+  const final = h.alertEvents(/\|FINAL\|/)[0];
+  assert.ok(final.createdAt < new Date("2026-10-21T04:50:00Z").getTime());
+  assert.deepEqual(final.guests, ["early@example.com", "late@example.com"]);
+});
+
+test("после подтверждения эскалации не срабатывают", () => {
+  const { h, thread } = setup(ESCALATIONS);
+  h.advanceBy(5 * HOUR);
+  assert.deepEqual(escalatedRows(h).map(e => e.escalation), ["partner"]);
+
+  h.star(thread.getId());
+  h.advanceBy(20 * HOUR);
+  assertNoErrors(h);
+
+  assert.deepEqual(chainStates(h), []);
+  assert.deepEqual(escalatedRows(h).map(e => e.escalation), ["partner"]);
+  assert.equal(h.sentMail.filter(m => m.to === "partner@example.com").length, 1);
+  assert.deepEqual(h.fetches, []);
+  assert.equal(h.alertEvents(/\|FINAL\|/).length, 0);
+});
+
+test("эскалации TEST-комплекта выключены, пока нет TEST_ESCALATIONS_ENABLED", () => {
+  const run = extra => {
+    const h = createHarness({
+      start: "2026-10-20T05:30:00Z",
+      config: Object.assign({
+        YOUR_INBOX_EMAIL: "me@example.com",
+        TIME_ZONE: TZ,
+        ESCALATIONS_DEFAULT: [{ id: "partner", hoursBeforeDeadline: 20, emailTo: ["partner@example.com"] }]
+      }, extra)
+    });
+    h.deliverMail({ from: SENDER, subject: "Запись на приём", body: "Подтвердите запись" });
+    h.advanceBy(MINUTE);
+    h.run("runTestOnce");
+    h.advanceBy(6 * HOUR);
+    assertNoErrors(h);
+    return h;
+  };
+
+  const off = run({});
+  assert.equal(off.sentMail.filter(m => m.to === "partner@example.com").length, 0);
+  assert.equal(off.logRows("ESCALATED").length, 0);
+
+  const on = run({ TEST_ESCALATIONS_ENABLED: true });
+  assert.equal(on.sentMail.filter(m => m.to === "partner@example.com").length, 1);
+  assert.equal(on.logRows("ESCALATED").length, 1);
+});
+
+test("TEST-комплект не шлёт в каналы правила, только в TEST_NOTIFY_CHANNELS", () => {
+  const run = extra => {
+    const h = createHarness({
+      start: "2026-10-20T05:30:00Z",
+      config: Object.assign({
+        YOUR_INBOX_EMAIL: "me@example.com",
+        TIME_ZONE: TZ,
+        NOTIFY_CHANNELS: {
+          hook: { type: "webhook", url: "https://hooks.example.test/alerts" },
+          testhook: { type: "webhook", url: "https://hooks.example.test/test" }
+        },
+        WATCH_RULES: [{ id: "kdmid", senderEmail: SENDER, notifyChannels: ["hook"] }]
+      }, extra)
+    });
+    h.deliverMail({ from: SENDER, subject: "Запись на приём", body: "Подтвердите запись" });
+    h.advanceBy(MINUTE);
+    h.run("runTestOnce");
+    h.advanceBy(3 * HOUR);
+    assertNoErrors(h);
+    return h;
+  };
+
+  assert.deepEqual(run({}).fetches, []);
+  const urls = run({ TEST_NOTIFY_CHANNELS: ["testhook"] }).fetches.map(f => f.url);
+  assert.ok(urls.length >= 2);
+  assert.ok(urls.every(u => u === "https://hooks.example.test/test"));
+});
+
+test("лист Config кэшируется, один и тот же набор ошибок пишется в лог один раз", () => {
+  const { h } = setup();
+  h.run("setupConfigSheet");
+  const { DriveApp, SpreadsheetApp } = h.services;
+  const cfg = SpreadsheetApp.open(DriveApp.getFilesByName("MailToCalendarLog").next()).getSheetByName("Config");
+  cfg.appendRow(["QUIET_HOUR_END", 25]);
+  h.run("setupConfigSheet"); // сбрасывает кэш
+
+  h.advanceBy(30 * MINUTE);
+  assert.equal(h.logRows("ERR_CONFIG").length, 1);
+  assert.equal(h.props.MAILALERT_CONFIG_ERR_HASH.length, 8);
+
+  // Правка листа видна только после истечения кэша (5 мин от ближайшего запуска)
+  h.run("setupConfigSheet");
+  h.advanceBy(MINUTE);
+  cfg.rows[cfg.rows.length - 1][1] = 26;
+  h.advanceBy(2 * MINUTE);
+  assert.equal(h.logRows("ERR_CONFIG").length, 1);
+  h.advanceBy(5 * MINUTE);
+  const rows = h.logRows("ERR_CONFIG");
+  assert.equal(rows.length, 2);
+  assert.match(rows[1][4], /QUIET_HOUR_END/);
+
+  // Исправленный лист снимает отпечаток: та же ошибка позже снова попадёт в лог
+  cfg.rows.pop();
+  h.advanceBy(10 * MINUTE);
+  assert.equal(h.props.MAILALERT_CONFIG_ERR_HASH, undefined);
+  assert.equal(h.logRows("ERR_CONFIG").length, 2);
+});
+
+test("dashboard: stop, snooze, extend, final и неизвестная/завершённая цепочка", () => {
+  const post = (h, parameter) => h.run("doPost", { parameter }).getContent();
+  const state = h => JSON.parse(h.props[chainStates(h)[0]]);
+  const signalsOf = ev => ev.popups.map(m => ev.start.getTime() - m * MINUTE);
+
+  // snooze: текущий блок заменён, первый сигнал не раньше snoozedUntil
+  let { h } = setup();
+  h.advanceBy(HOUR);
+  const before = state(h);
+  assert.match(post(h, { action: "snooze", chainId: before.chainId, amount: "60" }), /Отложено до 20\.10\.2026 10:30/);
+  const snoozed = state(h);
+  assert.equal(snoozed.snoozedUntil, new Date(h.clock.now + HOUR).toISOString());
+  assert.ok(h.alertEvents(/\|B\d+\|/, true).find(e => e.tags.MAILALERT_ID === before.currentEventId).deleted);
+  const first = h.alertEvents(/\|B\d+\|/).find(e => e.tags.MAILALERT_ID === snoozed.currentEventId);
+  assert.ok(Math.min(...signalsOf(first)) >= h.clock.now + HOUR);
+  assert.equal(h.logRows("DASHBOARD_SNOOZE").length, 1);
+
+  // extend: дедлайн и LONG на 6 ч позже
+  assert.match(post(h, { action: "extend", chainId: before.chainId, amount: "6" }), /Дедлайн продлён до 21\.10\.2026 14:30/);
+  assert.equal(state(h).expiresAt, "2026-10-21T11:30:00.000Z");
+  assert.equal(local(h.alertEvents(/\|LONG$/)[0].end), "21 14:30");
+  assert.equal(h.logRows("DASHBOARD_EXTEND").length, 1);
+
+  // final: FINAL сейчас, блоки убраны; повтор и snooze после FINAL отклоняются
+  assert.match(post(h, { action: "final", chainId: before.chainId }), /FINAL создан/);
+  assert.equal(state(h).status, "final");
+  assert.equal(h.alertEvents(/\|FINAL\|/).length, 1);
+  assert.deepEqual(h.alertEvents(/\|B\d+\|/), []);
+  assert.match(post(h, { action: "final", chainId: before.chainId }), /FINAL уже создан/);
+  assert.match(post(h, { action: "snooze", chainId: before.chainId, amount: "30" }), /Snooze недоступен: уже создан FINAL/);
+  assert.match(post(h, { action: "explode", chainId: before.chainId }), /Неизвестное действие: explode/);
+  assertNoErrors(h);
+
+  // stop: комплект закрыт; повторный stop и чужой chainId — «не найдена», без ошибок
+  ({ h } = setup());
+  h.advanceBy(HOUR);
+  const chainId = state(h).chainId;
+  assert.match(post(h, { action: "stop", chainId }), /Остановлено: Запись на приём/);
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(JSON.parse(h.logRows("DASHBOARD_STOP")[0][5]).via, "dashboard");
+  assert.match(h.alertEvents(/\|LONG$/)[0].title, /^⏹ Остановлено: /);
+  assert.match(post(h, { action: "stop", chainId }), /Цепочка не найдена/);
+  assert.match(post(h, { action: "extend", chainId: "LIVE|nope|HCHAIN", amount: "1" }), /Цепочка не найдена/);
+  assertNoErrors(h);
+
+  // Lock занят — действие не выполняется
+  ({ h } = setup());
+  h.advanceBy(HOUR);
+  h.lockBusy = true;
+  assert.match(post(h, { action: "stop", chainId: state(h).chainId }), /Занято: идёт другой запуск/);
+  assert.equal(chainStates(h).length, 1);
+});
+
+test("связанная задача читается по st.taskId, без перебора списка задач каждую минуту", () => {
+  [false, true].forEach(taskFirst => {
+    const { h } = setup();
+    const listCalls = [];
+    const list = h.services.Tasks.Tasks.list;
+    h.services.Tasks.Tasks.list = (...a) => { listCalls.push(h.clock.now); return list(...a); };
+
+    if (taskFirst) h.run("checkMailAndCreateTaskOnce");
+    h.advanceBy(MINUTE);
+    if (!taskFirst) h.run("checkMailAndCreateTaskOnce");
+    h.advanceBy(MINUTE);
+
+    const state = JSON.parse(h.props[chainStates(h)[0]]);
+    assert.equal(state.taskId, h.tasks[0].id, "задача раньше цепочки: " + taskFirst);
+    const since = h.clock.now;
+    h.advanceBy(30 * MINUTE);
+    assert.deepEqual(listCalls.filter(t => t > since), []);
+
+    h.completeTask(h.tasks[0].id);
+    h.advanceBy(MINUTE);
+    assertNoErrors(h);
+    assert.equal(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).via, "task");
+  });
+});
+
+test("задача после моего ответа в треде строится от входящего письма и связана с цепочкой", () => {
+  const { h, thread } = setup({ ACK_ON_REPLY: false });
+  h.advanceBy(HOUR);
+  h.reply(thread.getId(), "Уточняю детали");
+  h.advanceBy(MINUTE);
+  h.run("checkMailAndCreateTaskOnce");
+
+  const state = JSON.parse(h.props[chainStates(h)[0]]);
+  assert.match(h.tasks[0].notes, new RegExp("MAILALERT_TASK_ID: " + state.baseId.replace(/\|/g, "\\|") + "\\|TASK"));
+  assert.equal(state.taskId, h.tasks[0].id);
+
+  h.completeTask(h.tasks[0].id);
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+  assert.deepEqual(chainStates(h), []);
+  assert.equal(JSON.parse(h.logRows("ACKNOWLEDGED")[0][5]).via, "task");
+});
+
+test("два правила: отдельные цепочки и задачи, у legacy-правила baseId без |R", () => {
+  const { h, thread } = setup({
+    WATCH_RULES: [
+      { id: "kdmid", senderEmail: SENDER },
+      { id: "bank", senderEmail: "notify@bank.example" }
+    ]
+  });
+  const bankThread = h.deliverMail({
+    from: "Банк <notify@bank.example>",
+    subject: "Подтвердите операцию",
+    body: "Подтвердите по ссылке https://bank.example/confirm?op=7"
+  });
+  h.advanceBy(MINUTE);
+  h.run("checkMailAndCreateTaskOnce");
+  h.advanceBy(MINUTE);
+
+  const states = chainStates(h).map(k => JSON.parse(h.props[k]));
+  assert.deepEqual(states.map(st => st.ruleId + " " + st.baseId).sort(), [
+    "bank LIVE|202610200830|T" + bankThread.getId().slice(-8) + "|Rbank",
+    "kdmid LIVE|202610200830|T" + thread.getId().slice(-8)
+  ]);
+  assert.equal(h.alertEvents(/\|LONG$/).length, 2);
+  assert.equal(h.tasks.length, 2);
+  states.forEach(st => {
+    const task = h.tasks.find(t => t.id === st.taskId);
+    assert.ok(task.notes.includes("MAILALERT_TASK_ID: " + st.baseId + "|TASK"), st.ruleId);
+  });
+
+  // Выполненная задача банка не трогает цепочку и задачу kdmid
+  const bank = states.find(st => st.ruleId === "bank");
+  h.completeTask(bank.taskId);
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+  assert.deepEqual(chainStates(h).map(k => JSON.parse(h.props[k]).ruleId), ["kdmid"]);
+  assert.deepEqual(h.logRows("ACKNOWLEDGED").map(r => JSON.parse(r[5]).rule), ["bank"]);
+  assert.equal(h.tasks.find(t => t.id !== bank.taskId).status, "needsAction");
+});
+
+const evmap = (h, alertId) => h.props["MAILALERT_EVMAP:" + alertId] ? JSON.parse(h.props["MAILALERT_EVMAP:" + alertId]) : null;
+
+test("карта событий: устаревшая запись удаляется, скан находит событие и чинит карту", () => {
+  const { h } = setup();
+  h.advanceBy(MINUTE);
+  const long = h.alertEvents(/\|LONG$/)[0];
+  const longId = long.tags.MAILALERT_ID;
+  const cal = h.run("getAlertCalendar_");
+  const find = () => h.run("findEventById_", cal, new Date("2026-10-19T00:00:00Z"), new Date("2026-10-23T00:00:00Z"), longId);
+  assert.equal(evmap(h, longId).eventId, long.id);
+
+  // Перенесённое далеко за окно скана событие находится по карте
+  long.start = new Date("2026-11-20T06:00:00Z");
+  long.end = new Date("2026-11-20T07:00:00Z");
+  assert.equal(find().getId(), long.id);
+
+  // Запись указывает на чужое событие: она снимается, скан находит LONG по тегу и пишет новую
+  long.start = new Date("2026-10-20T05:41:00Z");
+  long.end = new Date("2026-10-21T05:30:00Z");
+  const other = cal.createEvent("Встреча", new Date("2026-10-20T09:00:00Z"), new Date("2026-10-20T10:00:00Z"));
+  h.props["MAILALERT_EVMAP:" + longId] = JSON.stringify({ eventId: other.id, calendarId: cal.getId(), until: "2026-10-21T05:30:00.000Z" });
+  assert.equal(find().getId(), long.id);
+  assert.equal(evmap(h, longId).eventId, long.id);
+
+  // События до карты (только строка MAILALERT_ID в описании): скан ставит тег и запись
+  delete h.props["MAILALERT_EVMAP:" + longId];
+  delete long.tags.MAILALERT_ID;
+  assert.equal(find().getId(), long.id);
+  assert.equal(long.tags.MAILALERT_ID, longId);
+  assert.equal(evmap(h, longId).eventId, long.id);
+
+  // Событие удалено вручную: ни карта, ни скан его не отдают, запись удалена
+  long.deleteEvent();
+  h.getEventByIdReturnsDeleted = true;
+  assert.equal(find(), null);
+  assert.equal(evmap(h, longId), null);
+  assertNoErrors(h);
+});
+
+test("deleteAllTestAlerts снимает все записи MAILALERT_EVMAP:TEST| и не трогает LIVE", () => {
+  const { h } = setup();
+  h.advanceBy(MINUTE);
+  h.run("runTestOnce");
+  h.advanceBy(2 * HOUR);
+
+  const testKeys = () => Object.keys(h.props).filter(k => k.indexOf("MAILALERT_EVMAP:TEST|") === 0);
+  const liveKeys = Object.keys(h.props).filter(k => k.indexOf("MAILALERT_EVMAP:LIVE|") === 0);
+  assert.ok(testKeys().length >= 2);
+  assert.ok(liveKeys.length >= 2);
+
+  // Устаревшая запись: TEST-блок удалён вручную, запись осталась
+  const block = h.alertEvents(/^TEST\|.*\|B\d+\|/)[0];
+  block.deleteEvent();
+  assert.ok(evmap(h, block.tags.MAILALERT_ID));
+
+  h.run("deleteAllTestAlerts");
+  assertNoErrors(h);
+  assert.deepEqual(testKeys(), []);
+  assert.deepEqual(h.alertEvents(/^TEST\|/), []);
+  assert.deepEqual(Object.keys(h.props).filter(k => k.indexOf("MAILALERT_EVMAP:LIVE|") === 0), liveKeys);
+  assert.equal(h.alertEvents(/^LIVE\|.*\|LONG$/).length, 1);
+});
+
+test("отдельный календарь: создаётся один раз, id в MAILALERT_CALENDAR_ID, все события и цепочка — в нём", () => {
+  const { h } = setup({ ALLDAY_ANCHOR_ENABLED: true });
+  h.advanceBy(2 * HOUR);
+
+  const created = h.calendars.filter(c => c.name === "Mail Alerts");
+  assert.equal(created.length, 1);
+  const cal = created[0];
+  assert.equal(h.props.MAILALERT_CALENDAR_ID, cal.id);
+  assert.equal(JSON.parse(h.props[chainStates(h)[0]]).calendarId, cal.id);
+  assert.ok(h.alertEvents().length >= 3);
+  assert.ok(h.alertEvents().every(e => e.calendarId === cal.id));
+
+  // Сохранённый id важнее имени: календарь-тёзка не перехватывает события
+  h.addCalendar("other@group.calendar.google.com", "Mail Alerts");
+  h.advanceBy(23 * HOUR);
+  assertNoErrors(h);
+  assert.ok(h.alertEvents(null, true).every(e => e.calendarId === cal.id));
+
+  // Календарь удалён — находится по имени (или создаётся), id перезаписывается
+  h.calendars.splice(h.calendars.indexOf(cal), 1);
+  h.deliverMail({ from: SENDER, subject: "Новая запись", body: "Подтвердите запись" });
+  h.advanceBy(MINUTE);
+  assertNoErrors(h);
+  assert.equal(h.props.MAILALERT_CALENDAR_ID, "other@group.calendar.google.com");
+  assert.equal(h.alertEvents(/\|LONG$/).filter(e => e.calendarId === "other@group.calendar.google.com").length, 1);
+});
+
+test("цепочка старой версии без calendarId продолжается в календаре по умолчанию", () => {
+  const { h } = setup({ ALERT_CALENDAR_NAME: "" });
+  h.advanceBy(MINUTE);
+  const key = chainStates(h)[0];
+  const state = JSON.parse(h.props[key]);
+  assert.equal(state.calendarId, h.me);
+
+  // Как до отдельного календаря: нет calendarId в состоянии и записей в карте событий
+  delete state.calendarId;
+  h.props[key] = JSON.stringify(state);
+  Object.keys(h.props).filter(k => k.indexOf("MAILALERT_EVMAP:") === 0).forEach(k => delete h.props[k]);
+  h.config.ALERT_CALENDAR_NAME = "Mail Alerts";
+
+  h.advanceBy(6 * HOUR);
+  assertNoErrors(h);
+  assert.deepEqual(h.logRows("ACKNOWLEDGED"), []);
+  const blocks = h.alertEvents(/\|B\d+\|/, true);
+  assert.ok(blocks.length >= 2);
+  assert.ok(blocks.every(e => e.calendarId === h.me));
+  assert.equal(h.alertEvents(/\|B\d+\|/).length, 1);
+  assert.ok(JSON.parse(h.props[key]).indexCurrent > 0);
+});
+
+test("цвета событий по видам из EVENT_COLORS: имя EventColor, номер или цвет календаря", () => {
+  const { h } = setup({ ALLDAY_ANCHOR_ENABLED: true });
+  h.advanceBy(24 * HOUR);
+  assertNoErrors(h);
+
+  const colorOf = re => Array.from(new Set(h.alertEvents(re, true).map(e => e.color)));
+  assert.deepEqual(colorOf(/\|LONG$/), ["6"]);
+  assert.deepEqual(colorOf(/\|B\d+\|/), ["5"]);
+  assert.deepEqual(colorOf(/\|FINAL\|/), ["11"]);
+  assert.deepEqual(colorOf(/\|ALLDAY\|/), ["1"]);
+
+  const custom = setup({ EVENT_COLORS: { LONG: "3", HOURLY: "" } }).h;
+  custom.advanceBy(2 * HOUR);
+  assert.deepEqual(Array.from(new Set(custom.alertEvents(/\|LONG$/).map(e => e.color))), ["3"]);
+  assert.deepEqual(Array.from(new Set(custom.alertEvents(/\|B\d+\|/, true).map(e => e.color))), [""]);
+});
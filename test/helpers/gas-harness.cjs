@@ -0,0 +1,754 @@
+// Офлайн-стенд для Code.js: сервисы Apps Script в памяти и виртуальные часы.
+//
+// Каждый запуск (h.run или срабатывание триггера) выполняется в новом
+// контексте vm — как отдельное выполнение Apps Script: глобальные переменные
+// Code.js сбрасываются, а состояние сервисов (свойства, календари, почта,
+// задачи, триггеры, таблицы) живёт в стенде между запусками.
+//
+//  const h = createHarness({ start: "2026-10-20T05:30:00Z" });
+//  h.deliverMail({ from: "queue-mailer@kdmid.ru", subject: "..." });
+//  h.run("setupSingleTriggerEveryMinute");
+//  h.advanceBy(25 * HOUR); // срабатывают все триггеры по времени
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { formatDate } = require("./load-code.cjs");
+
+const CODE_PATH = path.join(__dirname, "..", "..", "Code.js");
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+let compiled = null;
+function getScript() {
+  if (!compiled) compiled = new vm.Script(fs.readFileSync(CODE_PATH, "utf8"), { filename: "Code.js" });
+  return compiled;
+}
+
+function createHarness(opts) {
+  const o = opts || {};
+  const clock = { now: new Date(o.start || "2026-10-20T05:30:00Z").getTime() };
+  const me = o.me || "me@example.com";
+  const timeZone = o.timeZone || "Asia/Jerusalem";
+  let seq = 0;
+  const nextId = prefix => prefix + (++seq);
+
+  // Date с виртуальным «сейчас»
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now);
+      else super(...args);
+    }
+    static now() {
+      return clock.now;
+    }
+  }
+
+  const h = {
+    clock,
+    me,
+    timeZone,
+    logs: [],
+    errors: [],
+    executions: [],
+    sentMail: [],
+    fetches: [],
+    fetchHandler: o.fetchHandler || (() => ({ code: 200, body: "ok" })),
+    config: o.config || {},
+    HOUR,
+    MINUTE,
+    DAY
+  };
+
+  /***********************
+   * PropertiesService
+   ***********************/
+  const props = {};
+  const scriptProperties = {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(props, key) ? props[key] : null),
+    setProperty: (key, value) => { props[key] = String(value); return scriptProperties; },
+    deleteProperty: key => { delete props[key]; return scriptProperties; },
+    getProperties: () => Object.assign({}, props),
+    setProperties: obj => { Object.keys(obj).forEach(k => { props[k] = String(obj[k]); }); return scriptProperties; },
+    getKeys: () => Object.keys(props)
+  };
+  const PropertiesService = { getScriptProperties: () => scriptProperties };
+  h.props = props;
+
+  /***********************
+   * LockService (выполнения идут строго по очереди;
+   * h.lockBusy = true — lock держит «другой запуск», tryLock отказывает)
+   ***********************/
+  h.lockBusy = false;
+  const LockService = {
+    getScriptLock: () => ({
+      tryLock: () => !h.lockBusy,
+      waitLock: () => {},
+      releaseLock: () => {},
+      hasLock: () => true
+    })
+  };
+
+  /***********************
+   * CacheService: записи живут expirationInSeconds по часам харнесса
+   ***********************/
+  const cacheEntries = {};
+  const scriptCache = {
+    get: key => {
+      const e = cacheEntries[key];
+      return e && e.expiresAt > clock.now ? e.value : null;
+    },
+    put: (key, value, seconds) => {
+      cacheEntries[key] = { value: String(value), expiresAt: clock.now + (seconds || 600) * 1000 };
+    },
+    remove: key => { delete cacheEntries[key]; }
+  };
+  const CacheService = { getScriptCache: () => scriptCache };
+  h.cache = cacheEntries;
+
+  /***********************
+   * ScriptApp: триггеры по времени
+   ***********************/
+  const triggers = [];
+  function makeTrigger(handler, spec) {
+    const t = {
+      uid: nextId("trg_"),
+      handler,
+      everyMs: spec.everyMs || 0,
+      nextAt: spec.atMs !== undefined ? spec.atMs : clock.now + spec.everyMs,
+      fired: false,
+      getHandlerFunction: () => handler,
+      getUniqueId: () => t.uid,
+      getEventType: () => "CLOCK"
+    };
+    triggers.push(t);
+    return t;
+  }
+  const ScriptApp = {
+    newTrigger: handler => ({
+      timeBased: () => {
+        const spec = {};
+        const builder = {
+          everyMinutes: n => { spec.everyMs = n * MINUTE; return builder; },
+          everyHours: n => { spec.everyMs = n * HOUR; return builder; },
+          at: dt => { spec.atMs = new Date(dt).getTime(); return builder; },
+          after: ms => { spec.atMs = clock.now + ms; return builder; },
+          create: () => makeTrigger(handler, spec)
+        };
+        return builder;
+      }
+    }),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: t => {
+      const i = triggers.findIndex(x => x.uid === t.getUniqueId());
+      if (i !== -1) triggers.splice(i, 1);
+    },
+    getService: () => ({ getUrl: () => "https://script.google.com/macros/s/FAKE/exec" })
+  };
+  h.triggers = triggers;
+
+  /***********************
+   * GmailApp
+   ***********************/
+  const threads = [];
+  const labels = {};
+  function getLabel(name) {
+    if (!labels[name]) labels[name] = { getName: () => name };
+    return labels[name];
+  }
+  function makeMessage(thread, m) {
+    const id = nextId("msg");
+    const date = new Date(m.date !== undefined ? new Date(m.date).getTime() : clock.now);
+    // Как у Gmail: сверху Authentication-Results с pass для домена From (m.headers заменяет;
+    // значение-массив — несколько одноимённых заголовков, пустое — заголовка нет)
+    const fromAddr = String(m.from || "").replace(/^.*</, "").replace(/>.*$/, "").trim();
+    const fromDomain = fromAddr.split("@")[1] || "";
+    const headers = Object.assign({
+      "Authentication-Results": "mx.google.com;\r\n       dkim=pass header.i=@" + fromDomain + " header.s=mail header.b=abc123;\r\n" +
+        "       spf=pass (google.com: domain of " + fromAddr + " designates 192.0.2.10 as permitted sender) smtp.mailfrom=" + fromAddr + ";\r\n" +
+        "       dmarc=pass (p=NONE sp=NONE dis=NONE) header.from=" + fromDomain,
+      "Message-ID": "<" + id + "@mail.example>"
+    }, m.headers || {});
+    const headerList = name => [].concat(headers[name] || []);
+    const msg = {
+      id,
+      date,
+      from: m.from || "",
+      to: m.to || me,
+      subject: m.subject || "",
+      plain: m.body !== undefined ? m.body : "",
+      html: m.html !== undefined ? m.html : "",
+      headers,
+      starred: false,
+      getId: () => id,
+      getDate: () => new Date(date.getTime()),
+      getFrom: () => msg.from,
+      getTo: () => msg.to,
+      getSubject: () => msg.subject,
+      getPlainBody: () => msg.plain,
+      getBody: () => msg.html || msg.plain,
+      getHeader: name => headerList(name)[0] || "",
+      // m.attachments: [{ name, contentType, data, inline }]
+      getAttachments: options => (m.attachments || [])
+        .filter(a => !a.inline || (options && options.includeInlineImages !== false))
+        .map(a => Object.assign(makeBlob(a.name, a.contentType || "application/octet-stream", a.data || ""), {
+          getSize: () => (a.data || "").length
+        })),
+      getRawContent: () => {
+        const lines = [];
+        for (const name of Object.keys(headers)) for (const v of headerList(name)) lines.push(name + ": " + v);
+        lines.push("From: " + msg.from, "To: " + msg.to, "Subject: " + msg.subject, "Date: " + date.toUTCString());
+        return lines.join("\r\n") + "\r\n\r\n" + (msg.plain || msg.html);
+      },
+      isStarred: () => msg.starred,
+      star: () => { msg.starred = true; return msg; },
+      unstar: () => { msg.starred = false; return msg; },
+      getThread: () => thread
+    };
+    return msg;
+  }
+  function makeThread() {
+    // Gmail-подобный hex id (в baseId попадают последние 8 символов)
+    const id = "18c" + (0x1000000 + (++seq) * 7919).toString(16).padStart(13, "0");
+    const thread = {
+      id,
+      messages: [],
+      labelNames: [],
+      getId: () => id,
+      getMessages: () => thread.messages.slice(),
+      getMessageCount: () => thread.messages.length,
+      getFirstMessageSubject: () => (thread.messages[0] ? thread.messages[0].subject : ""),
+      getLastMessageDate: () => thread.messages[thread.messages.length - 1].getDate(),
+      getLabels: () => thread.labelNames.map(getLabel),
+      addLabel: label => {
+        const name = label.getName();
+        if (thread.labelNames.indexOf(name) === -1) thread.labelNames.push(name);
+        return thread;
+      },
+      removeLabel: label => {
+        thread.labelNames = thread.labelNames.filter(n => n !== label.getName());
+        return thread;
+      },
+      hasStarredMessages: () => thread.messages.some(m => m.starred),
+      getPermalink: () => "https://mail.google.com/mail/u/0/#inbox/" + id
+    };
+    threads.push(thread);
+    return thread;
+  }
+
+  // Поиск: from:, to:, newer_than:Nd|Nh, label:, -label:, is:starred, subject:, остальное — текст
+  function matchQuery(thread, query) {
+    const tokens = String(query).replace(/[()]/g, " ").split(/\s+/).filter(Boolean);
+    const msgFilters = [];
+    for (const raw of tokens) {
+      const neg = raw.charAt(0) === "-";
+      const tok = neg ? raw.slice(1) : raw;
+      const m = tok.match(/^([a-z_]+):(.+)$/i);
+      if (m && m[1] === "label") {
+        const has = thread.labelNames.indexOf(m[2]) !== -1;
+        if (has === neg) return false;
+        continue;
+      }
+      if (m && m[1] === "is" && m[2] === "starred") {
+        if (thread.hasStarredMessages() === neg) return false;
+        continue;
+      }
+      let fn;
+      if (m && m[1] === "from") fn = msg => msg.from.toLowerCase().indexOf(m[2].toLowerCase()) !== -1;
+      else if (m && m[1] === "to") fn = msg => msg.to.toLowerCase().indexOf(m[2].toLowerCase()) !== -1;
+      else if (m && m[1] === "subject") fn = msg => msg.subject.toLowerCase().indexOf(m[2].toLowerCase()) !== -1;
+      else if (m && m[1] === "newer_than") {
+        const n = m[2].match(/^(\d+)([dh])$/);
+        const ms = Number(n[1]) * (n[2] === "d" ? DAY : HOUR);
+        fn = msg => msg.date.getTime() > clock.now - ms;
+      } else if (tok.toUpperCase() === "OR") {
+        continue;
+      } else {
+        fn = msg => (msg.subject + " " + msg.plain).toLowerCase().indexOf(tok.toLowerCase()) !== -1;
+      }
+      msgFilters.push(neg ? msg => !fn(msg) : fn);
+    }
+    return thread.messages.some(msg => msgFilters.every(f => f(msg)));
+  }
+  const GmailApp = {
+    search: (query, start, max) => {
+      const found = threads
+        .filter(t => matchQuery(t, query))
+        .sort((a, b) => b.getLastMessageDate().getTime() - a.getLastMessageDate().getTime());
+      const from = start || 0;
+      return found.slice(from, max ? from + max : undefined);
+    },
+    getThreadById: id => threads.find(t => t.id === id) || null,
+    getUserLabelByName: name => labels[name] || null,
+    createLabel: name => getLabel(name),
+    getMessageById: id => {
+      for (const t of threads) for (const m of t.messages) if (m.id === id) return m;
+      return null;
+    }
+  };
+  h.threads = threads;
+
+  // Письмо в ящик сейчас (или m.date); m.threadId — ответ в существующий тред
+  h.deliverMail = m => {
+    const thread = m.threadId ? GmailApp.getThreadById(m.threadId) : makeThread();
+    const msg = makeMessage(thread, m);
+    thread.messages.push(msg);
+    return thread;
+  };
+  h.reply = (threadId, body) => h.deliverMail({ threadId, from: "Me <" + me + ">", to: "someone@example.com", subject: "Re", body: body || "ok" });
+  h.star = threadId => { const t = GmailApp.getThreadById(threadId); t.messages[t.messages.length - 1].star(); };
+  h.labelThread = (threadId, name) => GmailApp.getThreadById(threadId).addLabel(getLabel(name));
+
+  /***********************
+   * CalendarApp
+   ***********************/
+  // true — getEventById, как настоящий CalendarApp, находит и удалённые (cancelled) события
+  h.getEventByIdReturnsDeleted = false;
+  const calendars = [];
+  function makeCalendar(id, name) {
+    const cal = {
+      id,
+      name,
+      events: [],
+      getId: () => id,
+      getName: () => name,
+      setColor: () => cal,
+      setHidden: () => cal,
+      setSelected: () => cal,
+      createEvent: (title, start, end, options) => makeEvent(cal, title, start, end, options || {}, false),
+      createAllDayEvent: (title, date, options) => {
+        const d = new Date(date);
+        const startMs = new Date(formatDate(d, timeZone, "yyyy-MM-dd") + "T00:00:00" + isoOffset(d)).getTime();
+        return makeEvent(cal, title, new Date(startMs), new Date(startMs + DAY), options || {}, true);
+      },
+      getEvents: (from, to) => cal.events
+        .filter(e => !e.deleted && e.start.getTime() < to.getTime() && e.end.getTime() > from.getTime())
+        .sort((a, b) => a.start.getTime() - b.start.getTime()),
+      getEventsForDay: date => {
+        const d = new Date(date);
+        const dayStart = new Date(formatDate(d, timeZone, "yyyy-MM-dd") + "T00:00:00" + isoOffset(d));
+        return cal.getEvents(dayStart, new Date(dayStart.getTime() + DAY));
+      },
+      getEventById: eventId => cal.events.find(e => e.id === eventId && (h.getEventByIdReturnsDeleted || !e.deleted)) || null
+    };
+    calendars.push(cal);
+    return cal;
+  }
+  function isoOffset(d) {
+    const z = formatDate(d, timeZone, "Z");
+    return z.slice(0, 3) + ":" + z.slice(3);
+  }
+  function makeEvent(cal, title, start, end, options, allDay) {
+    const ev = {
+      id: nextId("evt_") + "@google.com",
+      calendarId: cal.id,
+      title,
+      start: new Date(start),
+      end: new Date(end),
+      allDay,
+      description: options.description || "",
+      location: options.location || "",
+      guests: options.guests ? String(options.guests).split(",").map(s => s.trim()).filter(Boolean) : [],
+      popups: [],
+      tags: {},
+      color: "",
+      createdAt: clock.now,
+      deleted: false,
+      deletedAt: null,
+      getId: () => ev.id,
+      getOriginalCalendarId: () => ev.calendarId,
+      getTitle: () => ev.title,
+      setTitle: t => { ev.title = t; return ev; },
+      getDescription: () => ev.description,
+      setDescription: d => { ev.description = d; return ev; },
+      getLocation: () => ev.location,
+      setLocation: l => { ev.location = l; return ev; },
+      getStartTime: () => new Date(ev.start),
+      getEndTime: () => new Date(ev.end),
+      getAllDayStartDate: () => new Date(ev.start),
+      setTime: (s, e) => { ev.start = new Date(s); ev.end = new Date(e); return ev; },
+      isAllDayEvent: () => ev.allDay,
+      getTag: key => (Object.prototype.hasOwnProperty.call(ev.tags, key) ? ev.tags[key] : null),
+      setTag: (key, value) => { ev.tags[key] = String(value); return ev; },
+      addPopupReminder: minutes => {
+        if (ev.popups.length >= 5) throw new Error("Too many reminders (max 5)");
+        if (minutes < 0 || minutes > 40320) throw new Error("Invalid reminder minutes: " + minutes);
+        ev.popups.push(minutes);
+        return ev;
+      },
+      getPopupReminders: () => ev.popups.slice(),
+      removeAllReminders: () => { ev.popups = []; return ev; },
+      setColor: c => { ev.color = String(c); return ev; },
+      getColor: () => ev.color,
+      addGuest: email => { if (ev.guests.indexOf(email) === -1) ev.guests.push(email); return ev; },
+      getGuestList: () => ev.guests.map(email => ({ getEmail: () => email })),
+      deleteEvent: () => { ev.deleted = true; ev.deletedAt = clock.now; }
+    };
+    cal.events.push(ev);
+    return ev;
+  }
+  const defaultCalendar = makeCalendar(me, me);
+  const CalendarApp = {
+    EventColor: {
+      PALE_BLUE: "1", PALE_GREEN: "2", MAUVE: "3", PALE_RED: "4", YELLOW: "5", ORANGE: "6",
+      CYAN: "7", GRAY: "8", BLUE: "9", GREEN: "10", RED: "11"
+    },
+    getDefaultCalendar: () => defaultCalendar,
+    getCalendarById: id => calendars.find(c => c.id === id) || null,
+    getCalendarsByName: name => calendars.filter(c => c.name === name),
+    createCalendar: name => makeCalendar(nextId("cal_") + "@group.calendar.google.com", name)
+  };
+  h.calendars = calendars;
+  h.addCalendar = (id, name) => makeCalendar(id, name || id);
+
+  // События всех календарей; tag MAILALERT_ID -> alertId
+  h.events = filter => {
+    const all = [];
+    for (const c of calendars) for (const e of c.events) all.push(e);
+    return all.filter(e => !filter || filter(e));
+  };
+  h.alertEvents = (suffixRe, includeDeleted) => h.events(e =>
+    (includeDeleted || !e.deleted) && e.tags.MAILALERT_ID && (!suffixRe || suffixRe.test(e.tags.MAILALERT_ID)));
+
+  /***********************
+   * Tasks (advanced service)
+   ***********************/
+  const tasks = [];
+  const Tasks = {
+    Tasklists: { list: () => ({ items: [{ id: "@default", title: "My Tasks" }] }) },
+    Tasks: {
+      list: (listId, params) => {
+        const p = params || {};
+        const items = tasks.filter(t => t.tasklist === listId && !t.deleted && (p.showCompleted !== false || t.status !== "completed"));
+        const start = p.pageToken ? Number(p.pageToken) : 0;
+        const max = p.maxResults || 100;
+        const page = items.slice(start, start + max).map(publicTask);
+        const out = { items: page };
+        if (start + max < items.length) out.nextPageToken = String(start + max);
+        return out;
+      },
+      get: (listId, taskId) => publicTask(findTask(listId, taskId)),
+      insert: (payload, listId) => {
+        const t = Object.assign({ id: nextId("task_"), tasklist: listId, status: "needsAction" }, payload);
+        t.due = normalizeDue(t.due);
+        tasks.push(t);
+        return publicTask(t);
+      },
+      patch: (patch, listId, taskId) => {
+        const t = findTask(listId, taskId);
+        Object.assign(t, patch);
+        if (patch.due) t.due = normalizeDue(patch.due);
+        if (patch.status === "completed" && !t.completed) t.completed = new Date(clock.now).toISOString();
+        return publicTask(t);
+      },
+      remove: (listId, taskId) => { findTask(listId, taskId).deleted = true; }
+    }
+  };
+  function findTask(listId, taskId) {
+    const t = tasks.find(x => x.id === taskId && x.tasklist === listId && !x.deleted);
+    if (!t) throw new Error("Task not found: " + taskId);
+    return t;
+  }
+  // Tasks API хранит только дату срока
+  function normalizeDue(due) {
+    return due ? String(due).slice(0, 10) + "T00:00:00.000Z" : due;
+  }
+  function publicTask(t) {
+    const out = Object.assign({}, t);
+    delete out.tasklist;
+    delete out.deleted;
+    return out;
+  }
+  h.tasks = tasks;
+  h.completeTask = taskId => Tasks.Tasks.patch({ status: "completed" }, tasks.find(t => t.id === taskId).tasklist, taskId);
+
+  /***********************
+   * SpreadsheetApp + DriveApp
+   ***********************/
+  const spreadsheets = [];
+  function makeSheet(ss, name) {
+    const sheet = {
+      name,
+      rows: [],
+      getName: () => name,
+      getParent: () => ss,
+      getLastRow: () => sheet.rows.length,
+      getLastColumn: () => sheet.rows.reduce((n, r) => Math.max(n, r.length), 0),
+      appendRow: row => { sheet.rows.push(row.slice()); return sheet; },
+      clearContents: () => { sheet.rows = []; return sheet; },
+      clear: () => { sheet.rows = []; return sheet; },
+      getRange: (row, col, numRows, numCols) => {
+        if (typeof row === "string") return { getA1Notation: () => row };
+        const nr = numRows || 1;
+        const nc = numCols || 1;
+        return {
+          getValues: () => {
+            const out = [];
+            for (let r = 0; r < nr; r++) {
+              const src = sheet.rows[row - 1 + r] || [];
+              const line = [];
+              for (let c = 0; c < nc; c++) line.push(src[col - 1 + c] !== undefined ? src[col - 1 + c] : "");
+              out.push(line);
+            }
+            return out;
+          },
+          setValues: values => {
+            for (let r = 0; r < values.length; r++) {
+              const target = sheet.rows[row - 1 + r] || (sheet.rows[row - 1 + r] = []);
+              for (let c = 0; c < values[r].length; c++) target[col - 1 + c] = values[r][c];
+            }
+          },
+          setValue: value => {
+            const target = sheet.rows[row - 1] || (sheet.rows[row - 1] = []);
+            target[col - 1] = value;
+          }
+        };
+      },
+      setConditionalFormatRules: () => {},
+      setFrozenRows: () => {}
+    };
+    return sheet;
+  }
+  function makeSpreadsheet(name) {
+    const ss = {
+      id: nextId("ss_"),
+      name,
+      sheets: [],
+      getId: () => ss.id,
+      getName: () => name,
+      getUrl: () => "https://docs.google.com/spreadsheets/d/" + ss.id,
+      getSheetByName: n => ss.sheets.find(s => s.name === n) || null,
+      getSheets: () => ss.sheets.slice(),
+      insertSheet: n => {
+        const sheet = makeSheet(ss, n || "Sheet" + (ss.sheets.length + 1));
+        ss.sheets.push(sheet);
+        return sheet;
+      }
+    };
+    ss.insertSheet("Sheet1");
+    spreadsheets.push(ss);
+    return ss;
+  }
+  function conditionalRuleBuilder() {
+    const b = {};
+    ["whenFormulaSatisfied", "setBackground", "setFontColor", "setRanges"].forEach(m => { b[m] = () => b; });
+    b.build = () => ({});
+    return b;
+  }
+  const SpreadsheetApp = {
+    create: name => makeSpreadsheet(name),
+    open: file => spreadsheets.find(s => s.id === file.getId()),
+    openById: id => spreadsheets.find(s => s.id === id),
+    newConditionalFormatRule: conditionalRuleBuilder
+  };
+
+  function iterator(list) {
+    let i = 0;
+    return { hasNext: () => i < list.length, next: () => list[i++] };
+  }
+  // Drive: папки и файлы в памяти (таблицы лога видны как файлы по имени)
+  const driveFolders = [];
+  const driveFiles = [];
+  function makeFolder(name, parent) {
+    const folder = {
+      id: nextId("folder_"),
+      name,
+      parentId: parent ? parent.id : "",
+      trashed: false,
+      getId: () => folder.id,
+      getName: () => name,
+      isTrashed: () => folder.trashed,
+      setTrashed: v => { folder.trashed = !!v; return folder; },
+      getFoldersByName: n => iterator(driveFolders.filter(f => f.parentId === folder.id && f.name === n)),
+      createFolder: n => makeFolder(n, folder),
+      getFilesByName: n => iterator(driveFiles.filter(f => f.folderId === folder.id && f.name === n)),
+      getFiles: () => iterator(driveFiles.filter(f => f.folderId === folder.id)),
+      createFile: blob => makeDriveFile(folder, blob)
+    };
+    driveFolders.push(folder);
+    return folder;
+  }
+  function makeDriveFile(folder, blob) {
+    const file = {
+      id: nextId("file_"),
+      folderId: folder.id,
+      name: blob.getName(),
+      contentType: blob.getContentType(),
+      data: blob.getDataAsString(),
+      trashed: false,
+      createdAt: clock.now,
+      getId: () => file.id,
+      getName: () => file.name,
+      getUrl: () => "https://drive.google.com/file/d/" + file.id + "/view",
+      getSize: () => file.data.length,
+      isTrashed: () => file.trashed,
+      setTrashed: v => { file.trashed = !!v; return file; },
+      getBlob: () => makeBlob(file.name, file.contentType, file.data)
+    };
+    driveFiles.push(file);
+    return file;
+  }
+  function makeBlob(name, contentType, data) {
+    const blob = {
+      name,
+      getName: () => blob.name,
+      setName: n => { blob.name = n; return blob; },
+      getContentType: () => contentType,
+      getDataAsString: () => data,
+      getBytes: () => Array.from(Buffer.from(data)),
+      copyBlob: () => makeBlob(blob.name, contentType, data)
+    };
+    return blob;
+  }
+  const DriveApp = {
+    getFilesByName: name => iterator(spreadsheets
+      .filter(s => s.name === name)
+      .map(s => ({ getId: () => s.id, getName: () => s.name }))
+      .concat(driveFiles.filter(f => f.name === name))),
+    getFoldersByName: name => iterator(driveFolders.filter(f => !f.parentId && f.name === name)),
+    getFolderById: id => {
+      const folder = driveFolders.find(f => f.id === id);
+      if (!folder) throw new Error("No item with the given ID could be found: " + id);
+      return folder;
+    },
+    createFolder: name => makeFolder(name, null)
+  };
+  // Файлы Drive с путём папки: [{ path, name, data, url, trashed }]
+  h.driveFiles = () => driveFiles.map(f => {
+    const names = [];
+    for (let folder = driveFolders.find(x => x.id === f.folderId); folder; folder = driveFolders.find(x => x.id === folder.parentId)) {
+      names.unshift(folder.name);
+    }
+    return { path: names.join("/"), name: f.name, data: f.data, url: f.getUrl(), trashed: f.trashed, file: f };
+  });
+  h.spreadsheets = spreadsheets;
+  // Строки листа таблицы лога (без заголовка)
+  h.sheetRows = sheetName => {
+    const ss = spreadsheets.find(s => s.name === "MailToCalendarLog");
+    const sheet = ss && ss.getSheetByName(sheetName || "Log");
+    return sheet ? sheet.rows.slice(1) : [];
+  };
+  h.logRows = status => h.sheetRows("Log").filter(r => !status || (status instanceof RegExp ? status.test(r[3]) : r[3] === status));
+
+  /***********************
+   * Utilities, Session, UrlFetchApp, MailApp, HtmlService
+   ***********************/
+  const Utilities = {
+    formatDate,
+    getUuid: () => "00000000-0000-4000-8000-" + String(++seq).padStart(12, "0"),
+    sleep: () => {}
+  };
+  const Session = {
+    getScriptTimeZone: () => timeZone,
+    getEffectiveUser: () => ({ getEmail: () => me }),
+    getActiveUser: () => ({ getEmail: () => me })
+  };
+
+  const UrlFetchApp = {
+    fetch: (url, params) => {
+      const req = { url, params: params || {}, at: clock.now };
+      h.fetches.push(req);
+      const res = h.fetchHandler(req) || {};
+      const code = res.code || 200;
+      if (code >= 400 && !(params && params.muteHttpExceptions)) throw new Error("Request failed for " + url + " returned code " + code);
+      return { getResponseCode: () => code, getContentText: () => String(res.body || "") };
+    }
+  };
+
+  const MailApp = {
+    sendEmail: (a, b, c) => {
+      const msg = typeof a === "object" ? Object.assign({}, a) : { to: a, subject: b, body: c };
+      msg.at = clock.now;
+      h.sentMail.push(msg);
+    },
+    getRemainingDailyQuota: () => 100
+  };
+
+  const HtmlService = {
+    createHtmlOutput: html => {
+      const out = {
+        content: String(html || ""),
+        title: "",
+        setTitle: t => { out.title = t; return out; },
+        getContent: () => out.content,
+        setXFrameOptionsMode: () => out
+      };
+      return out;
+    },
+    XFrameOptionsMode: { ALLOWALL: "ALLOWALL", DEFAULT: "DEFAULT" }
+  };
+
+  const services = {
+    PropertiesService, CacheService, LockService, ScriptApp, GmailApp, CalendarApp, Tasks,
+    SpreadsheetApp, DriveApp, Utilities, Session, UrlFetchApp, MailApp, HtmlService
+  };
+  h.services = services;
+
+  /***********************
+   * Выполнения
+   ***********************/
+  const quietConsole = {
+    log: (...a) => h.logs.push(a.join(" ")),
+    info: (...a) => h.logs.push(a.join(" ")),
+    warn: (...a) => h.logs.push(a.join(" ")),
+    error: (...a) => h.logs.push("ERROR " + a.join(" "))
+  };
+
+  // Новый глобальный контекст (как отдельное выполнение Apps Script)
+  function newContext() {
+    const ctx = Object.assign({ console: o.verbose ? console : quietConsole, Date: FakeDate }, services);
+    vm.createContext(ctx);
+    getScript().runInContext(ctx);
+    if (Object.keys(h.config).length) {
+      vm.runInContext("(function (o) { Object.assign(CONFIG, o); })", ctx)(JSON.parse(JSON.stringify(h.config)));
+    }
+    return ctx;
+  }
+
+  // Выполняет функцию Code.js (точка входа или внутренняя) в свежем контексте
+  h.run = (fnName, ...args) => {
+    const ctx = newContext();
+    if (typeof ctx[fnName] !== "function") throw new Error("Нет функции " + fnName);
+    h.executions.push({ fn: fnName, at: clock.now });
+    return ctx[fnName](...args);
+  };
+
+  // Значение выражения Code.js в свежем контексте (например, "CONFIG.WATCH_RULES")
+  h.eval = expr => vm.runInContext(expr, newContext());
+
+  // Ближайший триггер, срабатывающий не позже untilMs
+  function nextDueTrigger(untilMs) {
+    let best = null;
+    for (const t of triggers) {
+      if (t.fired || t.nextAt > untilMs) continue;
+      if (!best || t.nextAt < best.nextAt) best = t;
+    }
+    return best;
+  }
+
+  // Двигает часы до момента, по пути выполняя сработавшие триггеры по порядку
+  h.advanceTo = target => {
+    const untilMs = new Date(target).getTime();
+    for (;;) {
+      const t = nextDueTrigger(untilMs);
+      if (!t) break;
+      clock.now = Math.max(clock.now, t.nextAt);
+      if (t.everyMs) t.nextAt += t.everyMs;
+      else t.fired = true;
+      try {
+        h.run(t.handler);
+      } catch (err) {
+        h.errors.push({ handler: t.handler, at: clock.now, error: err });
+      }
+    }
+    clock.now = Math.max(clock.now, untilMs);
+  };
+
+  h.advanceBy = ms => h.advanceTo(clock.now + ms);
+  h.now = () => new Date(clock.now);
+
+  return h;
+}
+
+module.exports = { createHarness, MINUTE, HOUR, DAY };
@@ -0,0 +1,67 @@
+// Загружает Code.js в изолированный контекст vm с минимальными
+// заменами сервисов Apps Script (Utilities.formatDate, Session).
+// Функции Code.js доступны как свойства контекста; CONFIG — через ctx.getConfig().
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const CODE_PATH = path.join(__dirname, "..", "..", "Code.js");
+
+// Utilities.formatDate: поддерживаем шаблоны, которые использует Code.js
+function formatDate(dt, timeZone, pattern) {
+  const gmt = String(timeZone).match(/^GMT([+-]\d{2}):?(\d{2})$/);
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: gmt ? "UTC" : timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    timeZoneName: "longOffset"
+  }).formatToParts(gmt ? new Date(dt.getTime() + offsetFromGmt(gmt) * 60000) : dt);
+  const get = type => parts.find(p => p.type === type).value;
+
+  let zone = gmt ? gmt[1] + gmt[2] : get("timeZoneName").replace("GMT", "").replace(":", "");
+  if (!zone) zone = "+0000";
+
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss|Z/g, token => ({
+    yyyy: get("year"),
+    MM: get("month"),
+    dd: get("day"),
+    HH: get("hour"),
+    mm: get("minute"),
+    ss: get("second"),
+    Z: zone
+  })[token]);
+}
+
+function offsetFromGmt(m) {
+  const sign = m[1].charAt(0) === "-" ? -1 : 1;
+  return sign * (Number(m[1].slice(1)) * 60 + Number(m[2]));
+}
+
+function loadCode(opts) {
+  const o = opts || {};
+  const ctx = {
+    console,
+    Utilities: {
+      formatDate,
+      getUuid: () => "00000000-0000-4000-8000-000000000000"
+    },
+    Session: {
+      getScriptTimeZone: () => o.scriptTimeZone || "Asia/Jerusalem"
+    }
+  };
+  Object.assign(ctx, o.globals || {});
+
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(CODE_PATH, "utf8"), ctx, { filename: "Code.js" });
+  // const CONFIG не становится свойством контекста
+  ctx.getConfig = () => vm.runInContext("CONFIG", ctx);
+  return ctx;
+}
+
+module.exports = { loadCode, formatDate };
@@ -0,0 +1,60 @@
+// Ссылка для действия: collectBodyLinks_ (HTML и текст) и extractActionLink_.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode } = require("./helpers/load-code.cjs");
+
+const gas = loadCode();
+
+function rule(extra) {
+  return gas.resolveRule_(Object.assign({ id: "l", senderEmail: "x@example.com", actionLinkPatterns: [] }, extra || {}));
+}
+
+const HTML = '<p><a href="https://example.org/logo.png">logo</a> ' +
+  '<a href=\'https://queue.example.ru/confirm?id=1&amp;t=2\'>Подтвердить</a> ' +
+  '<a href="mailto:help@example.ru">help</a> <a href="https://example.org/unsubscribe">off</a></p>';
+const TEXT = "Подтвердите: https://queue.example.ru/confirm?id=1&t=2. Справка (https://help.example.ru/faq), " +
+  "отмена — https://queue.example.ru/cancel?id=1!";
+
+test("ссылки: сначала href из HTML, затем URL из текста, без дублей и хвостовой пунктуации", () => {
+  assert.deepEqual(Array.from(gas.collectBodyLinks_({ html: HTML, body: TEXT })), [
+    "https://example.org/logo.png",
+    "https://queue.example.ru/confirm?id=1&t=2",
+    "https://example.org/unsubscribe",
+    "https://help.example.ru/faq",
+    "https://queue.example.ru/cancel?id=1"
+  ]);
+  assert.deepEqual(Array.from(gas.collectBodyLinks_({ body: "нет ссылок" })), []);
+});
+
+test("без паттернов: первая ссылка не из ignore-списка, HTML важнее текста", () => {
+  assert.equal(gas.extractActionLink_({ html: HTML, body: TEXT }, rule()), "https://queue.example.ru/confirm?id=1&t=2");
+  // В HTML только игнорируемые — берётся первая ссылка из текста
+  assert.equal(
+    gas.extractActionLink_({ html: '<a href="https://example.org/unsubscribe">x</a>', body: "Справка https://help.example.ru/faq" }, rule()),
+    "https://help.example.ru/faq"
+  );
+});
+
+test("actionLinkPatterns: приоритет — порядок паттернов, а не порядок ссылок в письме", () => {
+  const r = rule({ actionLinkPatterns: ["/cancel\\?", "/confirm\\?"] });
+  assert.equal(gas.extractActionLink_({ html: HTML, body: TEXT }, r), "https://queue.example.ru/cancel?id=1");
+
+  // Паттерн не спасает ссылку из ignore-списка; неверный RegExp пропускается
+  const errors = [];
+  const saved = console.error;
+  console.error = (...a) => errors.push(a.join(" "));
+  try {
+    const r2 = rule({ actionLinkPatterns: ["(", "unsubscribe", "help\\."] });
+    assert.equal(gas.extractActionLink_({ html: HTML, body: TEXT }, r2), "https://help.example.ru/faq");
+  } finally {
+    console.error = saved;
+  }
+  assert.match(errors.join("\n"), /Неверный actionLinkPatterns "\("/);
+});
+
+test("нет подходящей ссылки — пустая строка", () => {
+  assert.equal(gas.extractActionLink_({ html: HTML, body: TEXT }, rule({ actionLinkPatterns: ["kdmid\\.ru"] })), "");
+  assert.equal(gas.extractActionLink_({ body: "Ссылок нет" }, rule()), "");
+  assert.equal(gas.extractActionLink_({ html: '<a href="https://mail.google.com/x">gmail</a>' }, rule()), "");
+});
@@ -0,0 +1,276 @@
+// buildAlertPlan_: план комплекта без Calendar/Tasks.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCode, formatDate } = require("./helpers/load-code.cjs");
+
+const TZ = "Asia/Jerusalem";
+const gas = loadCode({ scriptTimeZone: TZ });
+const local = dt => formatDate(new Date(dt), TZ, "dd HH:mm");
+const addMin = (dt, m) => new Date(dt.getTime() + m * 60000);
+
+function rule(extra) {
+  return gas.resolveRule_(Object.assign({ id: "plan", senderEmail: "x@example.com", timeZone: TZ }, extra || {}));
+}
+
+test("вечернее письмо: LONG, блоки по 5 сигналов, FINAL, срок задачи, тихие пропуски", () => {
+  const now = new Date("2026-10-20T18:00:00Z"); // 21:00 IDT
+  const plan = gas.buildAlertPlan_(now, now, rule());
+
+  assert.equal(local(plan.long.start), "20 21:10");
+  assert.equal(plan.long.quietShiftedFrom, null);
+  assert.equal(local(plan.expiresAt), "21 21:00");
+  assert.equal(plan.expiresSource, "fixed_window");
+
+  // Сетка с longStart+1ч (23:00): 23:00..06:00 — тишина (8 пропусков)
+  assert.deepEqual(Array.from(plan.quietSkips, local), [
+    "20 23:00", "21 00:00", "21 01:00", "21 02:00", "21 03:00", "21 04:00", "21 05:00", "21 06:00"
+  ]);
+
+  const signals = [].concat(...plan.blocks.map(b => b.signals.map(local)));
+  assert.equal(signals[0], "21 07:00");
+  assert.equal(signals[1], "21 08:00");
+  assert.equal(signals[signals.length - 1], "21 20:00");
+  for (const b of plan.blocks) {
+    assert.ok(b.reminders.length <= 5);
+    assert.equal(local(b.signals[b.signals.length - 1]), local(b.start));
+  }
+
+  assert.equal(local(plan.final.start), "21 21:00");
+  assert.deepEqual(Array.from(plan.final.signals, local), ["21 20:20", "21 20:30", "21 20:40", "21 20:50", "21 21:00"]);
+  assert.equal(plan.taskDue, "2026-10-21T00:00:00.000Z");
+});
+
+test("ночное письмо: LONG переносится на конец тихого окна", () => {
+  const now = new Date("2026-10-20T21:30:00Z"); // 00:30 IDT
+  const plan = gas.buildAlertPlan_(now, now, rule());
+
+  assert.equal(local(plan.long.quietShiftedFrom), "21 00:40");
+  assert.equal(local(plan.long.start), "21 07:00");
+  assert.equal(local(plan.blocks[0].signals[0]), "21 08:00");
+});
+
+test("дедлайн из письма заменяет фиксированное окно", () => {
+  const now = new Date("2026-10-20T08:00:00Z");
+  const deadline = { expiresAt: new Date("2026-10-20T14:00:00Z"), appointmentAt: null, source: "body:generic", match: "" };
+  const plan = gas.buildAlertPlan_(now, now, rule(), deadline);
+
+  assert.equal(plan.expiresSource, "body:generic");
+  assert.equal(local(plan.final.start), "20 17:00");
+  assert.equal(local(plan.blocks[plan.blocks.length - 1].start), "20 16:00");
+});
+
+test("строки листа Plan: заголовок, LONG, блоки, FINAL, TASK, пропуски", () => {
+  const now = new Date("2026-10-20T18:00:00Z");
+  const plan = gas.buildAlertPlan_(now, now, rule());
+  const rows = gas.buildPlanRows_(plan);
+
+  assert.deepEqual(Array.from(rows[0]), ["Kind", "#", "Start", "End", "Reminders (min)", "Signals", "Note"]);
+  const kinds = rows.slice(1).map(r => r[0]);
+  assert.equal(kinds.filter(k => k === "HOURLY").length, plan.blocks.length);
+  assert.equal(kinds.filter(k => k === "QUIET_SKIP").length, 8);
+  assert.ok(kinds.includes("LONG") && kinds.includes("FINAL") && kinds.includes("TASK"));
+  for (const r of rows) assert.equal(r.length, 7);
+});
+
+test("поздно подхваченное письмо помечается stale по политике правила", () => {
+  const now = new Date("2026-10-20T09:00:00Z"); // 12:00 IDT
+  assert.equal(gas.buildAlertPlan_(addMin(now, -20 * 60), now, rule()).stale, null);
+
+  const late = gas.buildAlertPlan_(addMin(now, -(23 * 60 + 10)), now, rule());
+  assert.deepEqual(Object.assign({}, late.stale), {
+    policy: "notice", remainingMinutes: 50, lagMinutes: 1390, late: true, expired: false, compressed: false
+  });
+
+  const expired = gas.buildAlertPlan_(addMin(now, -25 * 60), now, rule({ stalePolicy: "compress" }));
+  assert.equal(expired.stale.expired, true);
+  assert.equal(expired.stale.compressed, false);
+
+  // Порог не ниже EVENT1_START_PLUS_MINUTES + 60, даже если в правиле меньше
+  assert.equal(gas.buildAlertPlan_(addMin(now, -23 * 60), now, rule({ staleMinRemainingMinutes: 5 })).stale.remainingMinutes, 60);
+});
+
+test("свежее письмо с коротким сроком сжимается, а не сводится к notice/skip", () => {
+  const now = new Date("2026-10-20T09:00:00Z"); // 12:00 IDT
+  const deadline = { expiresAt: addMin(now, 60), appointmentAt: null, source: "body", match: "до 13:00" };
+
+  const fresh = gas.buildAlertPlan_(addMin(now, -2), now, rule({ stalePolicy: "skip" }), deadline);
+  assert.equal(fresh.stale.policy, "compress");
+  assert.equal(fresh.stale.late, false);
+  assert.equal(fresh.stale.compressed, true);
+  assert.equal(local(fresh.long.start), "20 12:00");
+  assert.equal(fresh.blocks.length, 1);
+
+  // То же письмо, подхваченное через 30+ минут, — поздно: политика правила
+  const late = gas.buildAlertPlan_(addMin(now, -45), now, rule({ stalePolicy: "skip" }), deadline);
+  assert.equal(late.stale.policy, "skip");
+  assert.equal(late.stale.lagMinutes, 45);
+  assert.equal(gas.buildAlertPlan_(addMin(now, -45), now, rule({ staleMinPickupLagMinutes: 60 }), deadline).stale.policy, "compress");
+});
+
+test("compress: LONG звенит сразу, сигналы равномерно в оставшийся час", () => {
+  const now = new Date("2026-10-20T09:00:00Z"); // 12:00 IDT, дедлайн 13:00
+  const plan = gas.buildAlertPlan_(addMin(now, -23 * 60), now, rule({ stalePolicy: "compress" }));
+
+  assert.equal(plan.stale.compressed, true);
+  assert.equal(local(plan.long.start), "20 12:00");
+  assert.deepEqual(Array.from(plan.long.reminders), [0]);
+  assert.equal(plan.blocks.length, 1);
+  assert.deepEqual(Array.from(plan.blocks[0].signals, local), ["20 12:10", "20 12:20", "20 12:30", "20 12:40", "20 12:50"]);
+  assert.equal(local(plan.final.start), "20 13:00");
+  assert.match(gas.buildPlanRows_(plan)[1][6], /; stale=compress, осталось 60 мин$/);
+});
+
+test("занятость: shift переносит сигнал на ближайшую свободную минуту", () => {
+  const now = new Date("2026-10-20T18:00:00Z"); // 21:00 IDT
+  const r = rule();
+  const longStart = addMin(now, 10);
+  const expiresAt = addMin(now, 24 * 60);
+  const busy = [
+    { start: Date.parse("2026-10-21T06:30:00+03:00"), end: Date.parse("2026-10-21T07:30:00+03:00") },
+    { start: Date.parse("2026-10-21T10:30:00+03:00"), end: Date.parse("2026-10-21T11:30:00+03:00") }
+  ];
+  const adjusted = [];
+  const signals = Array.from(gas.buildHourlySignals_(longStart, expiresAt, r, { busy, busyAdjusted: adjusted }), local);
+
+  // 07:00: 06:29 — тихие часы, остаётся конец встречи; 11:00: конец встречи ближе на минуту
+  assert.deepEqual(signals.slice(0, 6), ["21 07:30", "21 08:00", "21 09:00", "21 10:00", "21 11:30", "21 12:00"]);
+  assert.deepEqual(adjusted.map(a => a.mode + " " + local(a.from) + "→" + local(a.to)), [
+    "shift 21 07:00→21 07:30", "shift 21 11:00→21 11:30"
+  ]);
+});
+
+test("занятость приходит в план аргументом: сам план календари не читает", () => {
+  // В этом контексте нет CalendarApp: обращение к календарю упало бы в console.error
+  const errors = [];
+  const saved = console.error;
+  console.error = (...a) => errors.push(a.join(" "));
+  try {
+    const now = new Date("2026-10-20T18:00:00Z");
+    const r = rule({ busyCalendarIds: ["work@example.com"] });
+    const busy = [{ start: Date.parse("2026-10-21T10:30:00+03:00"), end: Date.parse("2026-10-21T11:30:00+03:00") }];
+    assert.deepEqual(Array.from(gas.buildAlertPlan_(now, now, r).busyAdjusted), []);
+    const plan = gas.buildAlertPlan_(now, now, r, null, busy);
+    assert.deepEqual(Array.from(plan.busyAdjusted, a => local(a.from) + "→" + local(a.to)), ["21 11:00→21 11:30"]);
+  } finally {
+    console.error = saved;
+  }
+  assert.deepEqual(errors, []);
+});
+
+test("занятость: double добавляет повтор в конце встречи, за дедлайн не выходит", () => {
+  const now = new Date("2026-10-20T18:00:00Z");
+  const r = rule({ busySignalMode: "double" });
+  const longStart = addMin(now, 10);
+  const expiresAt = addMin(now, 24 * 60);
+
+  const adjusted = [];
+  const busy = [{ start: Date.parse("2026-10-21T12:00:00+03:00"), end: Date.parse("2026-10-21T12:45:00+03:00") }];
+  const signals = Array.from(gas.buildHourlySignals_(longStart, expiresAt, r, { busy, busyAdjusted: adjusted }), local);
+  assert.ok(signals.includes("21 12:00") && signals.includes("21 12:45"));
+  assert.equal(adjusted.length, 1);
+
+  // Встреча до конца дня: свободной минуты до дедлайна нет — сигналы не трогаем
+  const plain = Array.from(gas.buildHourlySignals_(longStart, expiresAt, rule()), local);
+  const allDay = [{ start: Date.parse("2026-10-21T05:00:00+03:00"), end: Date.parse("2026-10-21T23:00:00+03:00") }];
+  const stuck = [];
+  const kept = Array.from(gas.buildHourlySignals_(longStart, expiresAt, rule(), { busy: allDay, busyAdjusted: stuck }), local);
+  assert.deepEqual(kept, plain);
+  assert.equal(stuck.length, 0);
+});
+
+test("профиль escalating: 2 ч, последние 6 ч — 30 мин, последний час — 10 мин до FINAL", () => {
+  const received = new Date("2026-10-20T05:30:00Z"); // 08:30 IDT, дедлайн 21 08:30
+  const plan = gas.buildAlertPlan_(received, addMin(received, 1), rule({ cadenceProfile: "escalating" }));
+
+  const signals = [].concat(...plan.blocks.map(b => b.signals.map(local)));
+  assert.deepEqual(signals, [
+    "20 12:00", "20 14:00", "20 16:00", "20 18:00", "20 20:00", "20 22:00",
+    "21 07:00", "21 07:30", "21 07:40"
+  ]);
+  // Тихие часы: 2-часовая сетка до 02:30, дальше 30-минутная
+  assert.deepEqual(Array.from(plan.quietSkips, local).slice(0, 4), ["21 00:00", "21 02:00", "21 02:30", "21 03:00"]);
+  for (const b of plan.blocks) assert.ok(b.reminders.length <= 5);
+  assert.deepEqual(Array.from(plan.final.signals, local), ["21 07:50", "21 08:00", "21 08:10", "21 08:20", "21 08:30"]);
+  assert.match(gas.buildPlanRows_(plan)[1][6], /; cadence=escalating$/);
+});
+
+test("профиль: свой FINAL и перестройка после snooze по сетке текущей фазы", () => {
+  gas.getConfig().CADENCE_PROFILES.dense = {
+    phases: [{ everyMinutes: 60 }, { lastMinutes: 180, everyMinutes: 20 }],
+    finalRemindersMinutes: [15, 5, 0]
+  };
+  const r = rule({ cadenceProfile: "dense" });
+  assert.deepEqual(Array.from(r.finalRemindersMinutes), [15, 5, 0]);
+  assert.deepEqual(Array.from(rule({ cadenceProfile: "dense", finalRemindersMinutes: [30, 0] }).finalRemindersMinutes), [30, 0]);
+
+  const longStart = new Date("2026-10-20T09:10:00Z"); // 12:10 IDT
+  const expiresAt = new Date("2026-10-20T14:00:00Z"); // 17:00 IDT
+  const all = Array.from(gas.buildHourlySignals_(longStart, expiresAt, r), local);
+  assert.deepEqual(all, ["20 14:00", "20 14:20", "20 14:40", "20 15:00", "20 15:20", "20 15:40", "20 16:00", "20 16:20", "20 16:40"]);
+
+  const snoozed = Array.from(gas.buildHourlySignals_(longStart, expiresAt, r, { firstSignalAt: new Date("2026-10-20T12:05:00Z") }), local);
+  assert.deepEqual(snoozed, ["20 15:20", "20 15:40", "20 16:00", "20 16:20", "20 16:40"]);
+  delete gas.getConfig().CADENCE_PROFILES.dense;
+});
+
+// Местное время Asia/Jerusalem до перехода 25.10 (IDT, +03:00)
+const idt = s => new Date("2026-10-" + s + ":00+03:00");
+const quietAt = (r, list) => list.map(s => s + " " + (gas.isInQuietHours_(idt(s), r) ? "тихо" : "-"));
+
+test("тихие часы: QUIET_SCHEDULE по дням недели и окна через полночь", () => {
+  // Пт (5) — своё окно вместо "*"; ночь Чт→Пт по-прежнему тихая (окно Чт)
+  const r = rule({ quietSchedule: { "*": ["23:00-07:00"], "5": ["14:00-15:00"] } });
+  assert.deepEqual(quietAt(r, ["20T22:59", "20T23:00", "21T06:59", "21T07:00", "23T06:59", "23T07:00", "23T14:30", "23T15:00", "23T23:30", "24T06:00"]), [
+    "20T22:59 -", "20T23:00 тихо", "21T06:59 тихо", "21T07:00 -", "23T06:59 тихо", "23T07:00 -",
+    "23T14:30 тихо", "23T15:00 -", "23T23:30 -", "24T06:00 -"
+  ]);
+  assert.equal(local(gas.getQuietEndAfter_(idt("20T23:30"), r)), "21 07:00");
+});
+
+test("тихие часы: блок Шаббата с пятницы start до субботы end", () => {
+  const r = rule({ quietSchedule: { "*": [] }, quietShabbat: { enabled: true, start: "16:00", end: "20:00" } });
+  assert.deepEqual(quietAt(r, ["23T15:59", "23T16:00", "23T23:59", "24T00:00", "24T19:59", "24T20:00"]), [
+    "23T15:59 -", "23T16:00 тихо", "23T23:59 тихо", "24T00:00 тихо", "24T19:59 тихо", "24T20:00 -"
+  ]);
+  assert.equal(local(gas.getQuietEndAfter_(idt("23T17:00"), r)), "24 20:00");
+
+  // Вместе с ночным окном: пятничная ночь не обрывает блок в 07:00
+  const both = rule({ quietShabbat: { enabled: true, start: "16:00", end: "20:00" } });
+  assert.equal(local(gas.getQuietEndAfter_(idt("23T23:30"), both)), "24 20:00");
+});
+
+test("тихие часы: день из календаря праздников тих целиком, по поясу правила", () => {
+  // Праздник 21.10 (событие «весь день»), 22.10 — только обычная встреча
+  const days = [];
+  const CalendarApp = {
+    getCalendarById: id => (id !== "hol" ? null : {
+      getEventsForDay: day => {
+        const ymd = formatDate(day, TZ, "yyyy-MM-dd");
+        days.push(ymd);
+        if (ymd === "2026-10-21") return [{ isAllDayEvent: () => true, getTitle: () => "Симхат Тора" }];
+        if (ymd === "2026-10-22") return [{ isAllDayEvent: () => false, getTitle: () => "Встреча" }];
+        return [];
+      }
+    })
+  };
+  const withHolidays = titlePattern => {
+    const ctx = loadCode({ scriptTimeZone: "America/New_York", globals: { CalendarApp } });
+    ctx.getConfig().QUIET_HOLIDAY_TITLE_PATTERN = titlePattern;
+    const r = ctx.resolveRule_({ id: "h", senderEmail: "x@example.com", timeZone: TZ, quietSchedule: { "*": [] }, quietHolidayCalendarId: "hol" });
+    return { ctx, r, quiet: s => ctx.isInQuietHours_(idt(s), r) };
+  };
+
+  const { ctx, r, quiet } = withHolidays("");
+  assert.equal(quiet("20T23:59"), false);
+  assert.equal(quiet("21T00:00"), true);
+  assert.equal(quiet("21T23:59"), true);
+  assert.equal(quiet("22T00:00"), false);
+  assert.equal(quiet("22T12:00"), false);
+  assert.equal(local(ctx.getQuietEndAfter_(idt("21T10:00"), r)), "22 00:00");
+  // Один запрос к календарю на день за выполнение
+  assert.equal(days.filter(d => d === "2026-10-21").length, 1);
+
+  // Название не совпало с QUIET_HOLIDAY_TITLE_PATTERN — день обычный
+  assert.equal(withHolidays("йом кипур").quiet("21T12:00"), false);
+});